@@ -0,0 +1,347 @@
+/**
+ * Assignment event pipeline
+ * Webhooks (webhook-handler.js) and ticket polling (poll.js) are both sources:
+ * each turns what it saw into a normalized assignment event and hands it to
+ * processAssignmentEvent, which applies dedupe, the Fin gate, opt-out, the DM,
+ * nudges, SLA tracking and the ticket timeline the same way for both.
+ */
+
+import { getConversation, getAdmin } from './intercom.js';
+import { sendAssignmentDM } from './slack.js';
+import { sendTicketAssignmentDM, getTicketLink } from './ticket-notifier.js';
+import { isFinInvolved } from './fin.js';
+import { isAssignmentNotified, markAssignmentNotified } from './dedupe.js';
+import { scheduleNudge, cancelNudge } from './nudge.js';
+import { isOptedIn } from './preferences.js';
+import { resolveSlackUser } from './identity.js';
+import { recordMessageSent } from './stats.js';
+import { recordTicketEvent } from './ticket-timeline.js';
+import { trackAssignment } from './sla-monitor-enhanced.js';
+import { getHandoffMessage, recordHandoffMessage, updateHandoffMessage } from './handoff-actions.js';
+import { recordFinEscalation } from './fin-analytics.js';
+
+const FIN_GATE_MODE = process.env.FIN_GATE_MODE || 'required'; // required | log_only
+
+// Conversations assigned this recently are notified even if already closed
+// (workflows that assign and close in one go)
+const RECENT_ASSIGNMENT_MINUTES = 5;
+
+export const ASSIGNMENT_SOURCES = {
+  WEBHOOK: 'webhook',
+  POLL: 'poll'
+};
+
+/**
+ * Generate conversation link
+ * @param {string} conversationId - Intercom conversation ID
+ * @returns {string} - Conversation URL
+ */
+export function getConversationLink(conversationId) {
+  return `https://app.intercom.com/a/inbox/${conversationId}`;
+}
+
+/**
+ * Build a normalized assignment event
+ * @param {Object} fields - Event fields
+ * @param {string} fields.source - Where the assignment was seen (see ASSIGNMENT_SOURCES)
+ * @param {string} fields.sourceId - Webhook notification ID or poll reference (for logging)
+ * @param {string} fields.kind - 'conversation' or 'ticket'
+ * @param {string} fields.id - Conversation or ticket ID
+ * @param {string} fields.assigneeId - Intercom admin ID
+ * @param {string|null} fields.assigneeEmail - Assignee email, if the source had it
+ * @param {string|null} fields.assigneeName - Assignee name, if the source had it
+ * @param {string|null} fields.teamAssigneeId - Intercom team that owns the item
+ * @param {number|null} fields.assignedAt - Assignment timestamp in seconds
+ * @param {boolean} fields.approximate - True if assignedAt is really updated_at
+ * @param {Object|null} fields.conversation - Conversation, if the source already fetched it
+ * @param {Object|null} fields.ticket - Ticket, for ticket events
+ * @param {Object|null} fields.payload - Raw webhook payload (extra Fin signals)
+ * @returns {Object} - Assignment event
+ */
+export function createAssignmentEvent({
+  source,
+  sourceId = null,
+  kind = 'conversation',
+  id,
+  assigneeId,
+  assigneeEmail = null,
+  assigneeName = null,
+  teamAssigneeId = null,
+  assignedAt = null,
+  approximate = false,
+  conversation = null,
+  ticket = null,
+  payload = null
+}) {
+  return {
+    source,
+    sourceId: sourceId ? String(sourceId) : null,
+    kind,
+    id: String(id),
+    assigneeId: String(assigneeId),
+    assigneeEmail: assigneeEmail || null,
+    assigneeName: assigneeName || null,
+    teamAssigneeId: teamAssigneeId ? String(teamAssigneeId) : null,
+    assignedAt: toSeconds(assignedAt),
+    approximate: !!approximate,
+    conversation,
+    ticket,
+    payload
+  };
+}
+
+/**
+ * Convert a timestamp to seconds
+ * @param {number|string|null} value - Unix timestamp in seconds or a date string
+ * @returns {number|null} - Unix timestamp in seconds
+ */
+function toSeconds(value) {
+  if (!value) return null;
+  return typeof value === 'number' ? value : new Date(value).getTime() / 1000;
+}
+
+/**
+ * Get the conversation behind an event
+ * Tickets use their linked conversation, or their own ID (tickets created
+ * from a conversation share its ID). Ticket events still go ahead without one.
+ * @param {Object} event - Assignment event
+ * @returns {Promise<Object|null>} - Conversation or null (tickets only)
+ */
+async function resolveConversation(event) {
+  if (event.conversation) {
+    return event.conversation;
+  }
+
+  if (event.kind !== 'ticket') {
+    return getConversation(event.id);
+  }
+
+  const linked = event.ticket?.linked_objects?.data?.find(object => object.type === 'conversation');
+  try {
+    return await getConversation(linked?.id || event.id);
+  } catch (err) {
+    console.log(`[${event.id}] No conversation for ticket (${err.message}) - continuing with ticket details only`);
+    return null;
+  }
+}
+
+/**
+ * Mark the previous assignee's DM as reassigned and stop their nudge ladder
+ * @param {string} conversationId - Conversation ID (ticket ID for tickets without one)
+ * @param {Object} assignee - New assignee { id, name, email }
+ */
+async function retirePreviousHandoff(conversationId, assignee) {
+  try {
+    const previous = await getHandoffMessage(conversationId);
+    if (!previous || previous.final || previous.assigneeId === assignee.id) {
+      return;
+    }
+
+    await cancelNudge(conversationId);
+    if (await updateHandoffMessage(conversationId, `🔀 Reassigned to *${assignee.name || assignee.email}*`, { final: true })) {
+      console.log(`[${conversationId}] Marked ${previous.assigneeEmail}'s DM as reassigned`);
+    }
+  } catch (err) {
+    console.error(`[${conversationId}] Failed to update the previous assignee's DM:`, err.message);
+  }
+}
+
+/**
+ * Process an assignment event
+ * Throws on transient failures (Intercom fetch, retryable Slack errors) so the source can
+ * retry; every other outcome is recorded so the assignment isn't reprocessed.
+ * @param {Object} event - Assignment event (see createAssignmentEvent)
+ * @returns {Promise<{decision: string, reason: string|null, usedFallback?: boolean}>} - Outcome
+ */
+export async function processAssignmentEvent(event) {
+  const logEntry = {
+    requestId: event.sourceId,
+    source: event.source,
+    kind: event.kind,
+    itemId: event.id,
+    assigneeId: event.assigneeId,
+    timestamp: new Date().toISOString()
+  };
+
+  const finish = (decision, reason = null, extra = {}) => {
+    console.log(JSON.stringify({ ...logEntry, decision, reason, ...extra }));
+    return { decision, reason, ...extra };
+  };
+
+  const markNotified = (decision) => markAssignmentNotified(event.id, event.assigneeId, event.assignedAt, {
+    source: event.source,
+    sourceId: event.sourceId,
+    assigneeEmail: logEntry.assigneeEmail || null,
+    decision
+  });
+
+  // Resolve the assignee's email (the identity directory maps it to Slack)
+  let assigneeEmail = event.assigneeEmail;
+  let assigneeName = event.assigneeName;
+  try {
+    const admin = await getAdmin(event.assigneeId);
+    assigneeEmail = admin.email || assigneeEmail;
+    assigneeName = admin.name || assigneeName;
+  } catch (err) {
+    console.error(`[${event.sourceId || event.id}] Failed to fetch admin details:`, err);
+    if (!assigneeEmail) {
+      finish('error', 'admin_fetch_failed');
+      throw new Error(`admin_fetch_failed: ${err.message}`);
+    }
+  }
+
+  if (!assigneeEmail) {
+    return finish('ignored', 'no_assignee_email');
+  }
+  logEntry.assigneeEmail = assigneeEmail;
+
+  // One dedupe store for every source
+  if (await isAssignmentNotified(event.id, event.assigneeId, event.assignedAt, { approximate: event.approximate })) {
+    return finish('ignored', 'assignment_already_notified');
+  }
+
+  let conversation;
+  try {
+    conversation = await resolveConversation(event);
+  } catch (err) {
+    console.error(`[${event.sourceId || event.id}] Failed to fetch conversation:`, err);
+    finish('error', 'conversation_fetch_failed');
+    throw new Error(`conversation_fetch_failed: ${err.message}`);
+  }
+
+  const item = event.ticket || conversation;
+  const assignee = { id: event.assigneeId, name: assigneeName, email: assigneeEmail };
+  // Nudges and the stored DM are keyed by the conversation (replies, snooze and reassign happen there)
+  const conversationId = conversation?.id || event.id;
+
+  await retirePreviousHandoff(conversationId, assignee);
+  const teamAssigneeId = event.teamAssigneeId || item?.team_assignee_id || conversation?.team_assignee_id || null;
+  const slaName = item?.sla_applied?.sla_name || conversation?.sla_applied?.sla_name || null;
+
+  // SLA tracking covers every assignment, notified or not
+  try {
+    await trackAssignment({
+      ...item,
+      id: event.id,
+      admin_assignee_id: event.assigneeId,
+      admin_assignee: assignee,
+      statistics: item?.statistics || (event.assignedAt ? { last_assignment_at: event.assignedAt } : undefined)
+    });
+  } catch (err) {
+    console.error(`[${event.id}] Failed to track assignment:`, err.message);
+  }
+
+  // Snoozed items are picked up again by whoever wakes them
+  const snoozedUntil = item?.snoozed_until;
+  if (snoozedUntil && snoozedUntil > Date.now() / 1000) {
+    await markNotified('snoozed');
+    return finish('ignored', 'snoozed', { snoozedUntil: new Date(snoozedUntil * 1000).toISOString() });
+  }
+
+  // Noise control: skip conversations that aren't open, unless the assignment
+  // was very recent (workflow assignments that immediately close conversations)
+  if (event.kind === 'conversation' && conversation.state !== 'open') {
+    const assignmentAgeMinutes = event.assignedAt ? (Date.now() / 1000 - event.assignedAt) / 60 : null;
+    if (assignmentAgeMinutes === null || assignmentAgeMinutes > RECENT_ASSIGNMENT_MINUTES) {
+      await markNotified('conversation_not_open');
+      return finish('ignored', 'conversation_not_open', {
+        state: conversation.state,
+        assignmentAgeMinutes: assignmentAgeMinutes !== null ? assignmentAgeMinutes.toFixed(2) : null
+      });
+    }
+    console.log(JSON.stringify({
+      ...logEntry,
+      decision: 'processing_despite_closed',
+      reason: 'recent_assignment',
+      state: conversation.state,
+      assignmentAgeMinutes: assignmentAgeMinutes.toFixed(2)
+    }));
+  }
+
+  // Fin gate
+  const finCheck = isFinInvolved(conversation, event.payload || { id: event.sourceId });
+  logEntry.finInvolved = finCheck.involved;
+  logEntry.finMatchedRules = finCheck.matchedRules;
+
+  if (finCheck.involved && conversation) {
+    try {
+      await recordFinEscalation(conversation, { finCheck, assigneeId: event.assigneeId, assignedAt: event.assignedAt });
+    } catch (err) {
+      console.error(`[${conversation.id}] Failed to record Fin escalation:`, err.message);
+    }
+  }
+
+  if (FIN_GATE_MODE === 'required' && !finCheck.involved) {
+    await markNotified('fin_not_involved');
+    return finish('ignored', 'fin_not_involved', { finReason: finCheck.reason });
+  }
+  if (FIN_GATE_MODE === 'log_only') {
+    console.log(`[${event.sourceId || event.id}] FIN_GATE_MODE=log_only: Fin involved=${finCheck.involved}, but sending anyway`);
+  }
+
+  // Opt-out (preferences are keyed by the Slack user's email, as /cx-alerts sets them)
+  const recipient = await resolveSlackUser({ email: assigneeEmail, adminId: event.assigneeId });
+  if (!(await isOptedIn(recipient?.email || assigneeEmail))) {
+    await markNotified('user_opted_out');
+    return finish('ignored', 'user_opted_out');
+  }
+
+  // One DM format: the handoff DM whenever there's a conversation behind the
+  // event; the ticket DM only for tickets without one (FIN_GATE_MODE=log_only)
+  const link = event.kind === 'ticket' ? getTicketLink(event.id) : getConversationLink(event.id);
+  let result;
+  if (conversation) {
+    result = await sendAssignmentDM(assigneeEmail, conversation, link, { assigneeName, assigneeId: event.assigneeId });
+  } else {
+    result = await sendTicketAssignmentDM(assigneeEmail, { ...event.ticket, admin_assignee: assignee }, link);
+  }
+
+  if (!result.success && !result.error) {
+    // No Slack user or DM channel and no fallback channel: retrying won't reach them
+    await markNotified('unreachable');
+    return finish('failed', 'assignee_unreachable', { slackError: result.reason || null, retryable: false });
+  }
+
+  if (!result.success && !result.error.retryable) {
+    // Permanent Slack error (bad auth, missing scope, invalid blocks): the same DM would fail again
+    await markNotified('slack_send_failed');
+    return finish('failed', 'slack_send_failed', { slackError: result.error.code || null, retryable: false });
+  }
+
+  if (!result.success) {
+    // Thrown so the webhook queue (or the next poll) tries again; result.error.code says why
+    const reason = result.error.code ? `slack_send_failed: ${result.error.code}` : 'slack_send_failed';
+    finish('failed', 'slack_send_failed', { slackError: result.error.code || null, retryable: true });
+    throw new Error(reason);
+  }
+
+  recordMessageSent();
+  await markNotified('sent');
+
+  await recordTicketEvent(event.id, 'assignment', {
+    text: `${assigneeName || assigneeEmail} (DM sent)`,
+    summary: {
+      link,
+      subject: event.ticket?.ticket_attributes?._default_title_ || event.ticket?.subject || conversation?.title || null,
+      assigneeName
+    }
+  });
+
+  if (result.message) {
+    await recordHandoffMessage(conversationId, {
+      ...result.message,
+      assigneeId: event.assigneeId,
+      assigneeEmail,
+      itemId: event.id,
+      assignedAt: event.assignedAt
+    });
+  }
+
+  try {
+    await scheduleNudge(conversationId, assigneeEmail, getConversationLink(conversationId), teamAssigneeId, slaName, event.id);
+  } catch (err) {
+    console.error(`[${conversationId}] Failed to schedule SLA nudge:`, err);
+  }
+
+  return finish('sent', null, { usedFallback: result.usedFallback });
+}
@@ -210,7 +210,7 @@ async function backfillSLA() {
           ticketsByAssignee[assigneeName].total++;
         }
         
-        // Check SLA status (this will update the cache and save to sla-state.json)
+        // Check SLA status (this saves the SLA state through the storage backend)
         // Note: This won't send alerts because we're not setting SLA_CHANNEL or it will only send if configured
         if (!isDryRun) {
           const slaResult = await checkSLAStatus(fullTicket);
@@ -262,9 +262,9 @@ async function backfillSLA() {
     
     if (isDryRun) {
       console.log(`\n⚠️  DRY RUN - No changes were made`);
-      console.log(`   Run without --dry-run to actually update sla-state.json`);
+      console.log(`   Run without --dry-run to actually update the SLA state`);
     } else {
-      console.log(`\n✅ Backfill complete! Check sla-state.json for tracked SLAs`);
+      console.log(`\n✅ Backfill complete! Check the dashboard for tracked SLAs`);
     }
     
   } catch (err) {
@@ -2,6 +2,14 @@
  * Business hours configuration and checking
  */
 
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getHolidays, loadHolidayCalendar } from './holidays.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 // Default business hours (can be overridden via environment variables)
 // Format: "HH:MM" in 24-hour format
 const DEFAULT_START_TIME = process.env.BUSINESS_HOURS_START || '09:00'; // 9 AM
@@ -26,60 +34,39 @@ function parseTime(timeStr) {
   return { hours, minutes };
 }
 
+/**
+ * Format a local calendar date as "YYYY-MM-DD"
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string} - Date key
+ */
+function toDateKey(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
 /**
  * Check if current time is within business hours
+ * Holidays close the whole day; half-days use their own window.
  * @param {Date} date - Date to check (defaults to now)
+ * @param {Object} config - Business hours config (defaults to global config)
  * @returns {boolean} - True if within business hours
  */
-export function isBusinessHours(date = new Date()) {
+export function isBusinessHours(date = new Date(), config = getBusinessHoursConfig()) {
   // Check if business hours are enabled
-  if (process.env.BUSINESS_HOURS_ENABLED === 'false') {
+  if (!config.enabled) {
     return true; // If disabled, always return true (no restrictions)
   }
 
   try {
-    // Get current time in specified timezone
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: DEFAULT_TIMEZONE,
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false,
-      weekday: 'long'
-    });
-
-    const parts = formatter.formatToParts(date);
-    const hour = parseInt(parts.find(p => p.type === 'hour').value);
-    const minute = parseInt(parts.find(p => p.type === 'minute').value);
-    const weekday = parts.find(p => p.type === 'weekday').value;
-
-    // Map weekday name to day number (0=Sunday, 1=Monday, ..., 6=Saturday)
-    const dayMap = {
-      'Sunday': 0,
-      'Monday': 1,
-      'Tuesday': 2,
-      'Wednesday': 3,
-      'Thursday': 4,
-      'Friday': 5,
-      'Saturday': 6
-    };
-    const dayOfWeek = dayMap[weekday];
-
-    // Check if it's a business day
-    if (!DEFAULT_BUSINESS_DAYS.includes(dayOfWeek)) {
-      return false; // Not a business day
+    const local = getZonedParts(date, config.timezone);
+    const window = getBusinessWindowForDay(local.year, local.month, local.day, config);
+    if (!window) {
+      return false; // Not a business day, or closed for a holiday
     }
 
-    // Parse start and end times
-    const startTime = parseTime(DEFAULT_START_TIME);
-    const endTime = parseTime(DEFAULT_END_TIME);
-
-    // Convert current time to minutes since midnight
-    const currentMinutes = hour * 60 + minute;
-    const startMinutes = startTime.hours * 60 + startTime.minutes;
-    const endMinutes = endTime.hours * 60 + endTime.minutes;
-
-    // Check if current time is within business hours
-    return currentMinutes >= startMinutes && currentMinutes < endMinutes;
+    const time = date.getTime();
+    return time >= window.open && time < window.close;
   } catch (err) {
     console.error('Error checking business hours:', err);
     // On error, default to allowing (fail open)
@@ -89,179 +76,418 @@ export function isBusinessHours(date = new Date()) {
 
 /**
  * Get next business hours start time
+ * @param {Date} from - Reference time (defaults to now)
+ * @param {Object} config - Business hours config (defaults to global config)
  * @returns {Date} - Next time business hours start (in UTC)
  */
-export function getNextBusinessHoursStart() {
-  const now = new Date();
-  const startTime = parseTime(DEFAULT_START_TIME);
-  
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: DEFAULT_TIMEZONE,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false,
-    weekday: 'long'
-  });
-  
-  const dayMap = {
-    'Sunday': 0, 'Monday': 1, 'Tuesday': 2, 'Wednesday': 3,
-    'Thursday': 4, 'Friday': 5, 'Saturday': 6
-  };
-  
-  // Get current time in target timezone
-  const currentParts = formatter.formatToParts(now);
-  const currentTzHour = parseInt(currentParts.find(p => p.type === 'hour').value);
-  const currentTzMinute = parseInt(currentParts.find(p => p.type === 'minute').value);
-  const currentTzMinutes = currentTzHour * 60 + currentTzMinute;
-  const startMinutes = startTime.hours * 60 + startTime.minutes;
-  const currentWeekday = currentParts.find(p => p.type === 'weekday').value;
-  const currentDayOfWeek = dayMap[currentWeekday];
-  
-  // Check if today is a business day and we haven't passed start time
-  if (DEFAULT_BUSINESS_DAYS.includes(currentDayOfWeek) && currentTzMinutes < startMinutes) {
-    // Today at start time - find the UTC time that corresponds to startTime in the timezone
-    return findUTCTimeForTimezoneTime(now, startTime.hours, startTime.minutes, DEFAULT_TIMEZONE);
-  }
-  
-  // Find next business day
-  for (let daysAhead = 1; daysAhead < 14; daysAhead++) {
-    const futureDate = new Date(now.getTime() + daysAhead * 24 * 60 * 60 * 1000);
-    const futureParts = formatter.formatToParts(futureDate);
-    const futureWeekday = futureParts.find(p => p.type === 'weekday').value;
-    const futureDayOfWeek = dayMap[futureWeekday];
-    
-    if (DEFAULT_BUSINESS_DAYS.includes(futureDayOfWeek)) {
-      return findUTCTimeForTimezoneTime(futureDate, startTime.hours, startTime.minutes, DEFAULT_TIMEZONE);
+export function getNextBusinessHoursStart(from = new Date(), config = getBusinessHoursConfig()) {
+  const now = from.getTime();
+
+  for (const { open } of businessWindowsFrom(now, config)) {
+    if (open > now) {
+      return new Date(open);
     }
   }
-  
+
   // Fallback (shouldn't reach here)
-  return new Date(now.getTime() + 24 * 60 * 60 * 1000);
+  return new Date(now + 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Get the holiday or date exception covering a date, if any
+ * @param {Date} date - Date to check (defaults to now)
+ * @param {Object} config - Business hours config (defaults to global config)
+ * @returns {Object|null} - Holiday entry { date, name, closed, start, end } or null
+ */
+export function getClosureForDate(date = new Date(), config = getBusinessHoursConfig()) {
+  const local = getZonedParts(date, config.timezone);
+  return config.holidays?.get(toDateKey(local.year, local.month, local.day)) || null;
 }
 
 /**
- * Find UTC time that corresponds to a specific local time in a timezone
- * @param {Date} referenceDate - Reference date (used to determine which day)
- * @param {number} targetHour - Target hour (0-23) in the timezone
- * @param {number} targetMinute - Target minute (0-59) in the timezone
- * @param {string} timezone - Target timezone
- * @returns {Date} - UTC Date object
+ * List upcoming closures and shortened days
+ * @param {number} days - How many days ahead to look (default: 90)
+ * @param {Object} config - Business hours config (defaults to global config)
+ * @returns {Array<Object>} - Entries sorted by date, each with UTC open/close for half-days
  */
-function findUTCTimeForTimezoneTime(referenceDate, targetHour, targetMinute, timezone) {
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: timezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false
-  });
-  
-  // Get the date parts in the timezone for the reference date
-  const refParts = formatter.formatToParts(referenceDate);
-  const targetYear = parseInt(refParts.find(p => p.type === 'year').value);
-  const targetMonth = parseInt(refParts.find(p => p.type === 'month').value) - 1;
-  const targetDay = parseInt(refParts.find(p => p.type === 'day').value);
-  
-  // Start with a guess: use the reference date and set UTC hours to target
-  // Then adjust until the timezone formatter shows our target time
-  let candidate = new Date(referenceDate);
-  candidate.setUTCHours(targetHour, targetMinute, 0, 0);
-  
-  // Binary search approach: try different UTC times until we find one that
-  // when formatted in the timezone, gives us our target time
-  let minOffset = -12 * 60; // -12 hours in minutes
-  let maxOffset = 12 * 60;  // +12 hours in minutes
-  
-  // Try a simpler approach: iterate through possible UTC offsets
-  for (let offsetHours = -12; offsetHours <= 12; offsetHours++) {
-    const testDate = new Date(referenceDate);
-    testDate.setUTCHours(targetHour + offsetHours, targetMinute, 0, 0);
-    
-    const testParts = formatter.formatToParts(testDate);
-    const testHour = parseInt(testParts.find(p => p.type === 'hour').value);
-    const testMinute = parseInt(testParts.find(p => p.type === 'minute').value);
-    const testDay = parseInt(testParts.find(p => p.type === 'day').value);
-    const testYear = parseInt(testParts.find(p => p.type === 'year').value);
-    const testMonth = parseInt(testParts.find(p => p.type === 'month').value) - 1;
-    
-    if (testYear === targetYear && testMonth === targetMonth && testDay === targetDay && 
-        testHour === targetHour && testMinute === targetMinute) {
-      return testDate;
-    }
+export function getUpcomingClosures(days = 90, config = getBusinessHoursConfig()) {
+  const today = getZonedParts(new Date(), config.timezone);
+  const todayKey = toDateKey(today.year, today.month, today.day);
+  const lastDay = new Date(Date.UTC(today.year, today.month - 1, today.day + days));
+  const lastKey = toDateKey(lastDay.getUTCFullYear(), lastDay.getUTCMonth() + 1, lastDay.getUTCDate());
+
+  return Array.from(config.holidays?.values() || [])
+    .filter(entry => entry.date >= todayKey && entry.date <= lastKey)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(entry => {
+      const [year, month, day] = entry.date.split('-').map(Number);
+      const window = entry.closed ? null : getBusinessWindowForDay(year, month, day, config);
+      return {
+        date: entry.date,
+        name: entry.name,
+        type: entry.closed ? 'closed' : 'shortened',
+        start: entry.start,
+        end: entry.end,
+        opens_at: window ? new Date(window.open).toISOString() : null,
+        closes_at: window ? new Date(window.close).toISOString() : null,
+        source: entry.source
+      };
+    });
+}
+
+// Intl formatters are expensive to construct - cache one per timezone
+const zonedFormatters = new Map();
+
+/**
+ * Get the wall-clock parts of a date in a timezone
+ * @param {Date} date - Date to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timezone) {
+  let formatter = zonedFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    });
+    zonedFormatters.set(timezone, formatter);
+  }
+
+  const parts = formatter.formatToParts(date);
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+}
+
+/**
+ * Get the UTC offset of a timezone at a given instant
+ * @param {number} utcMs - Instant in milliseconds
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Offset in milliseconds (local - UTC)
+ */
+function getTimezoneOffsetMs(utcMs, timezone) {
+  const p = getZonedParts(new Date(utcMs), timezone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ * Handles DST: times skipped by a spring-forward gap resolve to the instant
+ * after the gap, ambiguous fall-back times resolve to the first occurrence.
+ * @param {number} year - Local year
+ * @param {number} month - Local month (1-12)
+ * @param {number} day - Local day of month
+ * @param {number} hour - Local hour (0-24, 24 means end of day)
+ * @param {number} minute - Local minute
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - UTC instant in milliseconds
+ */
+function zonedTimeToUtcMs(year, month, day, hour, minute, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, 0);
+
+  // Two passes settle the offset on either side of a DST transition
+  const firstGuess = wallClock - getTimezoneOffsetMs(wallClock, timezone);
+  const secondGuess = wallClock - getTimezoneOffsetMs(firstGuess, timezone);
+  if (firstGuess === secondGuess) {
+    return firstGuess;
+  }
+
+  // Offsets disagree - we are inside a DST gap or overlap. Prefer the earlier
+  // instant if it round-trips to the requested wall-clock time, else the later.
+  const earlier = Math.min(firstGuess, secondGuess);
+  const later = Math.max(firstGuess, secondGuess);
+  const roundTrip = getTimezoneOffsetMs(earlier, timezone) + earlier;
+  return roundTrip === wallClock ? earlier : later;
+}
+
+/**
+ * Get the business window (open/close instants) for a local calendar day
+ * Holiday closures return null; date exceptions override the normal hours,
+ * even on days that are normally closed.
+ * @param {number} year - Local year
+ * @param {number} month - Local month (1-12)
+ * @param {number} day - Local day of month
+ * @param {Object} config - Business hours config (see getBusinessHoursConfig)
+ * @returns {{open: number, close: number}|null} - Window in ms, or null if closed all day
+ */
+function getBusinessWindowForDay(year, month, day, config) {
+  const exception = config.holidays?.get(toDateKey(year, month, day));
+  if (exception?.closed) {
+    return null;
   }
-  
-  // If simple approach didn't work, use a more precise search
-  // Calculate timezone offset for the reference date
-  const refTime = referenceDate.getTime();
-  const refTzStr = formatter.format(referenceDate);
-  const refTzParts = formatter.formatToParts(referenceDate);
-  const refTzHour = parseInt(refTzParts.find(p => p.type === 'hour').value);
-  
-  // Estimate offset based on difference
-  const refUTCHour = referenceDate.getUTCHours();
-  const estimatedOffset = refTzHour - refUTCHour;
-  
-  // Try around the estimated offset
-  for (let offsetHours = estimatedOffset - 2; offsetHours <= estimatedOffset + 2; offsetHours++) {
-    const testDate = new Date(referenceDate);
-    testDate.setUTCHours(targetHour + offsetHours, targetMinute, 0, 0);
-    
-    const testParts = formatter.formatToParts(testDate);
-    const testHour = parseInt(testParts.find(p => p.type === 'hour').value);
-    const testMinute = parseInt(testParts.find(p => p.type === 'minute').value);
-    const testDay = parseInt(testParts.find(p => p.type === 'day').value);
-    
-    if (testDay === targetDay && testHour === targetHour && testMinute === targetMinute) {
-      return testDate;
+
+  const dayOfWeek = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  if (!exception && !config.businessDays.includes(dayOfWeek)) {
+    return null;
+  }
+
+  // Date exceptions (e.g. half-days) replace the normal window for that day
+  const start = parseTime(exception?.start || config.startTime);
+  const end = parseTime(exception?.end || config.endTime);
+
+  const open = zonedTimeToUtcMs(year, month, day, start.hours, start.minutes, config.timezone);
+  const close = zonedTimeToUtcMs(year, month, day, end.hours, end.minutes, config.timezone);
+
+  if (close <= open) {
+    return null;
+  }
+
+  return { open, close };
+}
+
+// Upper bound on how many calendar days a business-time walk may cover,
+// so a misconfiguration (e.g. no business days) can never loop forever
+const MAX_WALK_DAYS = 366 * 2;
+
+/**
+ * Iterate business windows starting from the local day containing a timestamp
+ * @param {number} fromMs - Start instant in milliseconds
+ * @param {Object} config - Business hours config
+ * @returns {Generator<{open: number, close: number}>} - Business windows in order
+ */
+function* businessWindowsFrom(fromMs, config) {
+  const startParts = getZonedParts(new Date(fromMs), config.timezone);
+
+  for (let offset = 0; offset < MAX_WALK_DAYS; offset++) {
+    // Calendar arithmetic in UTC so DST never skips or repeats a local day
+    const calendarDay = new Date(Date.UTC(startParts.year, startParts.month - 1, startParts.day + offset));
+    const window = getBusinessWindowForDay(
+      calendarDay.getUTCFullYear(),
+      calendarDay.getUTCMonth() + 1,
+      calendarDay.getUTCDate(),
+      config
+    );
+
+    if (window) {
+      yield window;
     }
   }
-  
-  // Last resort: use a library-like approach with more iterations
-  const baseDate = new Date(referenceDate);
-  baseDate.setUTCHours(12, 0, 0, 0); // Noon UTC as reference
-  
-  for (let hours = 0; hours < 24; hours++) {
-    for (let minutes = 0; minutes < 60; minutes += 15) {
-      const testDate = new Date(baseDate);
-      testDate.setUTCHours(hours, minutes, 0, 0);
-      
-      const testParts = formatter.formatToParts(testDate);
-      const testHour = parseInt(testParts.find(p => p.type === 'hour').value);
-      const testMinute = parseInt(testParts.find(p => p.type === 'minute').value);
-      const testDay = parseInt(testParts.find(p => p.type === 'day').value);
-      const testYear = parseInt(testParts.find(p => p.type === 'year').value);
-      const testMonth = parseInt(testParts.find(p => p.type === 'month').value) - 1;
-      
-      if (testYear === targetYear && testMonth === targetMonth && testDay === targetDay && 
-          testHour === targetHour && testMinute === targetMinute) {
-        return testDate;
-      }
+}
+
+/**
+ * Add business seconds to a timestamp, skipping closed hours, non-business
+ * days and DST shifts
+ * @param {number} startTimestamp - Start timestamp (seconds)
+ * @param {number} businessSeconds - Business time to add (seconds)
+ * @param {Object} config - Business hours config (defaults to global config)
+ * @returns {number} - Resulting timestamp (seconds)
+ */
+export function addBusinessSeconds(startTimestamp, businessSeconds, config = getBusinessHoursConfig()) {
+  if (!config.enabled) {
+    return startTimestamp + businessSeconds;
+  }
+
+  let remainingMs = businessSeconds * 1000;
+  let cursor = startTimestamp * 1000;
+
+  for (const { open, close } of businessWindowsFrom(cursor, config)) {
+    if (close <= cursor) continue;
+
+    const windowStart = Math.max(open, cursor);
+    const available = close - windowStart;
+
+    if (remainingMs <= available) {
+      return Math.floor((windowStart + remainingMs) / 1000);
     }
+
+    remainingMs -= available;
+    cursor = close;
   }
-  
-  // Ultimate fallback
-  return new Date(referenceDate.getTime() + 12 * 60 * 60 * 1000);
+
+  // No business window within range - fall back to wall-clock time
+  console.warn('addBusinessSeconds: no business window found, falling back to wall-clock time');
+  return startTimestamp + businessSeconds;
 }
 
 /**
- * Get business hours configuration
+ * Count business seconds between two timestamps
+ * @param {number} startTimestamp - Start timestamp (seconds)
+ * @param {number} endTimestamp - End timestamp (seconds)
+ * @param {Object} config - Business hours config (defaults to global config)
+ * @returns {number} - Business seconds elapsed (0 if end <= start)
+ */
+export function businessSecondsBetween(startTimestamp, endTimestamp, config = getBusinessHoursConfig()) {
+  if (endTimestamp <= startTimestamp) {
+    return 0;
+  }
+
+  if (!config.enabled) {
+    return endTimestamp - startTimestamp;
+  }
+
+  const startMs = startTimestamp * 1000;
+  const endMs = endTimestamp * 1000;
+  let elapsedMs = 0;
+
+  for (const { open, close } of businessWindowsFrom(startMs, config)) {
+    if (open >= endMs) break;
+    if (close <= startMs) continue;
+
+    elapsedMs += Math.min(close, endMs) - Math.max(open, startMs);
+  }
+
+  return Math.floor(elapsedMs / 1000);
+}
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Build a business hours config object
+ * @param {string} name - Schedule name
+ * @param {Object} options - { startTime, endTime, timezone, businessDays, holidays }
  * @returns {Object} - Configuration object
  */
-export function getBusinessHoursConfig() {
+function buildConfig(name, { startTime, endTime, timezone, businessDays, holidays }) {
   return {
+    name,
     enabled: process.env.BUSINESS_HOURS_ENABLED !== 'false',
+    startTime,
+    endTime,
+    timezone,
+    businessDays,
+    businessDaysNames: businessDays.map(d => DAY_NAMES[d]),
+    holidays
+  };
+}
+
+/**
+ * Get business hours configuration
+ * This is the default schedule, used for anything not owned by a mapped team.
+ * @returns {Object} - Configuration object
+ */
+export function getBusinessHoursConfig() {
+  return schedules.get(DEFAULT_SCHEDULE) || buildConfig(DEFAULT_SCHEDULE, {
     startTime: DEFAULT_START_TIME,
     endTime: DEFAULT_END_TIME,
     timezone: DEFAULT_TIMEZONE,
     businessDays: DEFAULT_BUSINESS_DAYS,
-    businessDaysNames: DEFAULT_BUSINESS_DAYS.map(d => {
-      const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      return days[d];
-    })
-  };
+    holidays: getHolidays()
+  });
+}
+
+// Named per-team/per-region schedules
+// Format: { "schedules": { "emea": { "timezone", "start", "end", "days", "holidays", "teams": [...] } } }
+const SCHEDULES_FILE = process.env.BUSINESS_HOURS_SCHEDULES_FILE
+  ? path.resolve(process.env.BUSINESS_HOURS_SCHEDULES_FILE)
+  : path.join(__dirname, '..', 'schedules.json');
+const DEFAULT_SCHEDULE = 'default';
+
+// In-memory stores: schedule name -> config, Intercom team ID -> schedule name
+const schedules = new Map();
+const teamSchedules = new Map();
+
+/**
+ * Load named schedules and their team mappings from file
+ * Fields a schedule leaves out fall back to the default (env) schedule.
+ * @returns {number} - Number of named schedules loaded
+ */
+export function loadSchedules() {
+  schedules.clear();
+  teamSchedules.clear();
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error loading business hours schedules:', err.message);
+    }
+    return 0;
+  }
+
+  // Resolve the default first so other schedules can inherit from it
+  const entries = Object.entries(data.schedules || {})
+    .sort(([a], [b]) => (a === DEFAULT_SCHEDULE ? -1 : b === DEFAULT_SCHEDULE ? 1 : 0));
+
+  for (const [name, schedule] of entries) {
+    const base = getBusinessHoursConfig();
+    const timezone = schedule.timezone || base.timezone;
+
+    try {
+      // Throws RangeError for unknown timezones
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (err) {
+      console.error(`Ignoring business hours schedule "${name}": invalid timezone ${timezone}`);
+      continue;
+    }
+
+    schedules.set(name, buildConfig(name, {
+      startTime: schedule.start || base.startTime,
+      endTime: schedule.end || base.endTime,
+      timezone,
+      businessDays: Array.isArray(schedule.days) ? schedule.days.map(d => parseInt(d, 10)) : base.businessDays,
+      holidays: schedule.holidays ? loadHolidayCalendar(schedule.holidays) : base.holidays
+    }));
+
+    for (const teamId of schedule.teams || []) {
+      teamSchedules.set(String(teamId), name);
+    }
+  }
+
+  console.log(`Loaded ${schedules.size} business hours schedules (${teamSchedules.size} team mappings)`);
+  return schedules.size;
+}
+
+// Load schedules on startup
+loadSchedules();
+
+/**
+ * Get a named schedule's configuration
+ * @param {string} name - Schedule name
+ * @returns {Object} - Configuration object (default schedule if unknown)
+ */
+export function getScheduleConfig(name) {
+  return (name && schedules.get(name)) || getBusinessHoursConfig();
+}
+
+/**
+ * Get the schedule of the Intercom team that owns a ticket or conversation
+ * @param {string|number|null} teamId - Intercom team ID (team_assignee_id)
+ * @returns {Object} - Configuration object (default schedule if the team is unmapped)
+ */
+export function getScheduleForTeam(teamId) {
+  if (teamId === null || teamId === undefined) {
+    return getBusinessHoursConfig();
+  }
+  return getScheduleConfig(teamSchedules.get(String(teamId)));
+}
+
+/**
+ * Get all schedules, including the default
+ * @returns {Array<Object>} - Configuration objects with their mapped team IDs
+ */
+export function getAllSchedules() {
+  const all = new Map([[DEFAULT_SCHEDULE, getBusinessHoursConfig()], ...schedules]);
+
+  return Array.from(all.values()).map(config => ({
+    ...config,
+    teams: Array.from(teamSchedules.entries())
+      .filter(([, name]) => name === config.name)
+      .map(([teamId]) => teamId)
+  }));
+}
+
+/**
+ * Check if any schedule is currently within business hours
+ * Used to decide whether polling should run at all.
+ * @param {Date} date - Date to check (defaults to now)
+ * @returns {boolean} - True if at least one schedule is open
+ */
+export function isAnyScheduleOpen(date = new Date()) {
+  return getAllSchedules().some(config => isBusinessHours(date, config));
 }
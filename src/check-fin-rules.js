@@ -0,0 +1,97 @@
+/**
+ * Evaluate the Fin detection rules against saved conversation fixtures
+ * A fixture is a conversation JSON from the Intercom API, or
+ * { "conversation": {...}, "expected": true|false } to assert the outcome.
+ * Exits with 1 when a fixture's expected outcome doesn't match.
+ * Usage: node src/check-fin-rules.js <fixture.json|directory>... [--rules fin-rules.json] [--verbose]
+ * Example: node src/check-fin-rules.js fixtures/fin --rules fin-rules.example.json
+ */
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { loadFinRules, evaluateFinRules } from './fin-rules.js';
+
+const args = process.argv.slice(2);
+const isVerbose = args.includes('--verbose');
+const rulesIndex = args.indexOf('--rules');
+const rulesFile = rulesIndex !== -1 ? args[rulesIndex + 1] : null;
+const inputs = args.filter((arg, index) => !arg.startsWith('--') && (rulesIndex === -1 || index !== rulesIndex + 1));
+
+/**
+ * Expand files and directories to the JSON files to check
+ * @param {Array<string>} paths - Files or directories
+ * @returns {Promise<Array<string>>} - JSON files, directories expanded in name order
+ */
+async function collectFixtures(paths) {
+  const files = [];
+  for (const input of paths) {
+    const stat = await fs.stat(input);
+    if (stat.isDirectory()) {
+      const entries = (await fs.readdir(input)).filter(name => name.endsWith('.json')).sort();
+      files.push(...entries.map(name => path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+async function checkFinRules() {
+  if (inputs.length === 0 || (rulesIndex !== -1 && !rulesFile)) {
+    console.error('Usage: node src/check-fin-rules.js <fixture.json|directory>... [--rules fin-rules.json] [--verbose]');
+    process.exit(1);
+  }
+
+  if (rulesFile) {
+    if (loadFinRules(path.resolve(rulesFile)) === 0) {
+      process.exit(1);
+    }
+  }
+
+  const files = await collectFixtures(inputs);
+  console.log(`\n🔎 Checking ${files.length} fixtures\n`);
+
+  let involved = 0;
+  let failed = 0;
+
+  for (const file of files) {
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (err) {
+      console.log(`   ⚠️  ${file}: could not read (${err.message})`);
+      failed++;
+      continue;
+    }
+
+    const conversation = fixture.conversation || fixture;
+    const expected = typeof fixture.expected === 'boolean' ? fixture.expected : null;
+    const result = evaluateFinRules(conversation);
+    const mismatch = expected !== null && expected !== result.involved;
+
+    if (result.involved) involved++;
+    if (mismatch) failed++;
+
+    const icon = mismatch ? '❌' : (result.involved ? '🤖' : '👤');
+    const outcome = result.involved ? 'Fin involved' : 'no Fin';
+    const matched = result.matches.map(match => match.ruleId).join(', ') || 'no rules matched';
+    console.log(`   ${icon} ${path.basename(file)}: ${outcome} (score ${result.score}/${result.threshold}) - ${matched}${mismatch ? ` - expected ${expected ? 'Fin involved' : 'no Fin'}` : ''}`);
+
+    if (isVerbose) {
+      for (const match of result.matches) {
+        console.log(`        ${match.ruleId} [${match.weight >= 0 ? '+' : ''}${match.weight}] ${match.path} = ${JSON.stringify(match.value)}`);
+      }
+    }
+  }
+
+  console.log(`\n   Fin involved: ${involved}, no Fin: ${files.length - involved}, failed: ${failed}\n`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+checkFinRules().catch(err => {
+  console.error('Error checking Fin rules:', err.message);
+  process.exit(1);
+});
@@ -93,7 +93,7 @@ async function checkTags() {
     
     return;
   } catch (err) {
-    if (err.message.includes('404')) {
+    if (err.status === 404) {
       console.log('   ❌ Not found as ticket, trying as conversation...\n');
     } else {
       console.log(`   ⚠️  Error: ${err.message}, trying as conversation...\n`);
@@ -124,7 +124,7 @@ async function checkTicketWithTags() {
     }
     
   } catch (err) {
-    if (err.message.includes('404')) {
+    if (err.status === 404) {
       console.log('❌ Ticket not found. Trying as conversation...\n');
       
       // Try as conversation
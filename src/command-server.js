@@ -5,59 +5,71 @@
 
 import 'dotenv/config';
 import express from 'express';
-import { handleSlashCommand, handleInteractiveAction } from './slack-commands.js';
+import { handleSlashCommand, handleInteractiveRequest, captureRawBody, requireSlackSignature } from './slack-commands.js';
 import { getStats as getPreferenceStats, getAllPreferences } from './preferences.js';
 import { getSLAStats } from './sla-monitor-enhanced.js';
+import { flush as flushStorage } from './storage.js';
 
 const app = express();
 const PORT = process.env.COMMAND_SERVER_PORT || 3001; // Different port from polling
 
 // URL-encoded parsing for Slack commands/interactions
-app.use(express.urlencoded({ extended: true }));
+// The raw body is kept for Slack signature verification
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  const preferenceStats = getPreferenceStats();
-  const slaStats = getSLAStats();
-  
-  res.status(200).json({ 
-    status: 'ok', 
-    service: 'slack-commands',
-    timestamp: new Date().toISOString(),
-    preferences: preferenceStats,
-    sla: slaStats
-  });
+app.get('/health', async (req, res) => {
+  try {
+    const preferenceStats = await getPreferenceStats();
+    const slaStats = await getSLAStats();
+
+    res.status(200).json({ 
+      status: 'ok', 
+      service: 'slack-commands',
+      timestamp: new Date().toISOString(),
+      preferences: preferenceStats,
+      sla: slaStats
+    });
+  } catch (err) {
+    console.error('Error collecting health stats:', err);
+    res.status(500).json({ status: 'error', service: 'slack-commands', timestamp: new Date().toISOString(), error: err.message });
+  }
 });
 
 // Preferences endpoint - list all user preferences
-app.get('/preferences', (req, res) => {
-  const allPrefs = getAllPreferences();
-  const stats = getPreferenceStats();
-  
-  // Separate opted in and opted out
-  const optedIn = allPrefs.filter(p => p.optedIn);
-  const optedOut = allPrefs.filter(p => !p.optedIn);
-  
-  res.status(200).json({
-    stats,
-    optedIn: optedIn.map(p => ({
-      email: p.email,
-      updatedAt: new Date(p.updatedAt).toISOString()
-    })),
-    optedOut: optedOut.map(p => ({
-      email: p.email,
-      updatedAt: new Date(p.updatedAt).toISOString()
-    })),
-    all: allPrefs.map(p => ({
-      email: p.email,
-      optedIn: p.optedIn,
-      updatedAt: new Date(p.updatedAt).toISOString()
-    }))
-  });
+app.get('/preferences', async (req, res) => {
+  try {
+    const allPrefs = await getAllPreferences();
+    const stats = await getPreferenceStats();
+
+    // Separate opted in and opted out
+    const optedIn = allPrefs.filter(p => p.optedIn);
+    const optedOut = allPrefs.filter(p => !p.optedIn);
+
+    res.status(200).json({
+      stats,
+      optedIn: optedIn.map(p => ({
+        email: p.email,
+        updatedAt: new Date(p.updatedAt).toISOString()
+      })),
+      optedOut: optedOut.map(p => ({
+        email: p.email,
+        updatedAt: new Date(p.updatedAt).toISOString()
+      })),
+      all: allPrefs.map(p => ({
+        email: p.email,
+        optedIn: p.optedIn,
+        updatedAt: new Date(p.updatedAt).toISOString()
+      }))
+    });
+  } catch (err) {
+    console.error('Error listing preferences:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Slack slash command endpoint
-app.post('/slack/command', async (req, res) => {
+app.post('/slack/command', requireSlackSignature, async (req, res) => {
   try {
     await handleSlashCommand(req, res);
   } catch (err) {
@@ -79,19 +91,7 @@ app.post('/slack/command', async (req, res) => {
 });
 
 // Slack interactive actions endpoint (for buttons)
-app.post('/slack/interactive', async (req, res) => {
-  try {
-    const payload = req.body.payload;
-    const response = await handleInteractiveAction(payload);
-    res.json(response);
-  } catch (err) {
-    console.error('Error handling interactive action:', err);
-    res.json({
-      response_type: 'ephemeral',
-      text: '❌ An error occurred. Please try again later.'
-    });
-  }
-});
+app.post('/slack/interactive', requireSlackSignature, handleInteractiveRequest);
 
 // Start server
 app.listen(PORT, () => {
@@ -99,3 +99,17 @@ app.listen(PORT, () => {
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`Preferences: http://localhost:${PORT}/preferences`);
 });
+
+// Handle graceful shutdown (flush any buffered storage writes first)
+async function shutdown() {
+  console.log('\nShutting down gracefully...');
+  try {
+    await flushStorage();
+  } catch (err) {
+    console.error('Error flushing storage on shutdown:', err);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,286 @@
+/**
+ * Conversation and ticket lifecycle webhooks
+ * - conversation.admin.replied: cancels the nudge ladder and records first-response time
+ * - conversation.admin.closed: stops nudges and SLA tracking, marks the handoff DM closed
+ * - conversation.admin.snoozed: pauses the SLA clock
+ * - conversation.admin.unassigned: stops nudges and marks the handoff DM unassigned
+ * - ticket.*: refreshes the ticket's SLA state without waiting for the poller
+ * Replies and closes also feed the Fin handoff analytics (fin-analytics.js).
+ * Assignments themselves go through the assignment pipeline (assignment-events.js).
+ */
+
+import { cancelNudge } from './nudge.js';
+import { getHandoffMessage, updateHandoffMessage } from './handoff-actions.js';
+import { recordTicketEvent } from './ticket-timeline.js';
+import { refreshTicketSLA, findSLATicketsForConversation } from './sla-monitor-enhanced.js';
+import { get, set, getAll } from './storage.js';
+import { isFinInvolved, isFinPart } from './fin.js';
+import { recordFinResolution, recordHumanReply } from './fin-analytics.js';
+
+export const LIFECYCLE_TOPICS = [
+  'conversation.admin.replied',
+  'conversation.admin.closed',
+  'conversation.admin.snoozed',
+  'conversation.admin.unassigned'
+];
+
+// Key: conversation ID, Value: { conversationId, adminId, adminName, respondedAt, assignedAt, notifiedAt,
+//   secondsFromAssignment, secondsFromNotification, handoffSentAt }
+const FIRST_RESPONSE_NAMESPACE = 'first_responses';
+const FIRST_RESPONSE_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+/**
+ * Check whether a webhook topic is handled here
+ * @param {string} topic - Webhook topic
+ * @returns {boolean} - True for lifecycle and ticket topics
+ */
+export function isLifecycleTopic(topic) {
+  return LIFECYCLE_TOPICS.includes(topic) || (typeof topic === 'string' && topic.startsWith('ticket.'));
+}
+
+/**
+ * Handle a lifecycle webhook
+ * Throws on transient failures so the webhook queue retries the payload.
+ * @param {Object} payload - Webhook payload JSON
+ * @returns {Promise<{decision: string, reason: string|null, itemId: string|null}>} - Outcome
+ */
+export async function handleLifecycleWebhook(payload) {
+  const topic = payload.topic || payload.type;
+  const item = payload.data?.item || payload.item || payload.data;
+  const itemId = item?.id ? String(item.id) : null;
+
+  if (!itemId) {
+    return { decision: 'ignored', reason: 'missing_item_id', itemId };
+  }
+
+  if (topic.startsWith('ticket.')) {
+    const slaResult = await refreshTicketSLA({ id: itemId, ...(item.admin_assignee?.id ? { admin_assignee: item.admin_assignee } : {}) });
+    return { decision: 'sla_refreshed', reason: null, itemId, violationType: slaResult.violationType || null };
+  }
+
+  switch (topic) {
+    case 'conversation.admin.replied':
+      return handleReply(payload, item, itemId);
+    case 'conversation.admin.closed':
+      return handleClose(payload, item, itemId);
+    case 'conversation.admin.snoozed':
+      return handleSnooze(item, itemId);
+    case 'conversation.admin.unassigned':
+      return handleUnassign(payload, item, itemId);
+    default:
+      return { decision: 'ignored', reason: 'wrong_topic', itemId };
+  }
+}
+
+/**
+ * Mark the handoff DM as reassigned to a team and stop its nudge ladder
+ * Team-only assignments have no agent to notify, but the previous assignee's
+ * DM should no longer look like theirs.
+ * @param {string} conversationId - Conversation ID
+ * @param {string|null} teamAssigneeId - Team the conversation moved to
+ * @returns {Promise<boolean>} - True if a handoff DM was updated
+ */
+export async function handleTeamReassignment(conversationId, teamAssigneeId) {
+  const handoff = await getHandoffMessage(conversationId);
+  if (!handoff || handoff.final) {
+    return false;
+  }
+
+  await cancelNudge(conversationId);
+  return updateHandoffMessage(conversationId, `🔀 Reassigned to a team${teamAssigneeId ? ` (${teamAssigneeId})` : ''}`, { final: true });
+}
+
+/**
+ * Admin replied: the handoff has been picked up
+ */
+async function handleReply(payload, item, conversationId) {
+  await cancelNudge(conversationId);
+
+  const part = getLatestPart(item, ['comment']);
+  const admin = part?.author?.type === 'admin' ? part.author : null;
+  const respondedAt = toMillis(part?.created_at || payload.created_at) || Date.now();
+
+  const firstResponse = await recordFirstResponse(conversationId, admin, respondedAt);
+  if (admin && !isFinPart(part)) {
+    await recordHumanReply(conversationId, respondedAt);
+  }
+  await refreshConversationSLA(conversationId, {});
+
+  return {
+    decision: firstResponse ? 'first_response_recorded' : 'nudge_cancelled',
+    reason: null,
+    itemId: conversationId,
+    secondsFromAssignment: firstResponse?.secondsFromAssignment ?? null
+  };
+}
+
+/**
+ * Record the first reply after a handoff DM
+ * @param {string} conversationId - Conversation ID
+ * @param {Object|null} admin - Replying admin { id, name }
+ * @param {number} respondedAt - Reply time (ms)
+ * @returns {Promise<Object|null>} - First response record, or null if not a first response
+ */
+async function recordFirstResponse(conversationId, admin, respondedAt) {
+  const handoff = await getHandoffMessage(conversationId);
+  if (!handoff) {
+    return null; // No handoff DM for this conversation
+  }
+
+  const existing = await get(FIRST_RESPONSE_NAMESPACE, conversationId);
+  if (existing && existing.handoffSentAt === handoff.sentAt) {
+    return null; // Already recorded for this handoff
+  }
+
+  const assignedAt = toMillis(handoff.assignedAt);
+  if (respondedAt < (assignedAt || handoff.sentAt)) {
+    return null; // Reply belongs to an earlier assignment
+  }
+
+  const record = {
+    conversationId,
+    adminId: admin?.id ? String(admin.id) : null,
+    adminName: admin?.name || null,
+    respondedAt,
+    assignedAt,
+    notifiedAt: handoff.sentAt,
+    secondsFromAssignment: assignedAt ? Math.max(0, Math.round((respondedAt - assignedAt) / 1000)) : null,
+    secondsFromNotification: Math.max(0, Math.round((respondedAt - handoff.sentAt) / 1000)),
+    handoffSentAt: handoff.sentAt
+  };
+  await set(FIRST_RESPONSE_NAMESPACE, conversationId, record, { ttlSeconds: FIRST_RESPONSE_TTL_SECONDS });
+
+  const seconds = record.secondsFromAssignment ?? record.secondsFromNotification;
+  console.log(`[${conversationId}] First response by ${record.adminName || 'unknown admin'} after ${seconds}s`);
+  await recordTicketEvent(handoff.itemId || conversationId, 'replied', {
+    text: `first response by ${record.adminName || 'an admin'} after ${formatSeconds(seconds)}`
+  });
+
+  return record;
+}
+
+/**
+ * Conversation closed: nothing left to nudge or track
+ */
+async function handleClose(payload, item, conversationId) {
+  await cancelNudge(conversationId);
+
+  const part = getLatestPart(item, ['close']);
+  const closedBy = part?.author?.name;
+
+  const resolution = await recordFinResolution(item, isFinInvolved(item, payload));
+  await updateHandoffMessage(conversationId, `🔒 Closed${closedBy ? ` by ${closedBy}` : ''} in Intercom`, { final: true });
+
+  // SLA-tracked tickets record the close on their timeline through the SLA check
+  const tracked = await refreshConversationSLA(conversationId, { open: false });
+  if (tracked === 0) {
+    await recordTicketEvent(conversationId, 'closed', { text: closedBy ? `by ${closedBy}` : '' });
+  }
+
+  return { decision: 'closed', reason: null, itemId: conversationId, slaTickets: tracked, finResolved: !!resolution };
+}
+
+/**
+ * Conversation snoozed: pause the SLA clock until it wakes
+ * The handoff DM and timeline are left alone - snoozes from the DM's own
+ * button already show there.
+ */
+async function handleSnooze(item, conversationId) {
+  const snoozedUntil = item.snoozed_until || null;
+  const tracked = await refreshConversationSLA(conversationId, snoozedUntil ? { snoozed_until: snoozedUntil } : {});
+
+  return {
+    decision: 'snoozed',
+    reason: null,
+    itemId: conversationId,
+    snoozedUntil: snoozedUntil ? new Date(snoozedUntil * 1000).toISOString() : null,
+    slaTickets: tracked
+  };
+}
+
+/**
+ * Conversation unassigned: the previous assignee is off the hook
+ */
+async function handleUnassign(payload, item, conversationId) {
+  await cancelNudge(conversationId);
+
+  const handoff = await getHandoffMessage(conversationId);
+  const updated = await updateHandoffMessage(conversationId, '↩️ Unassigned in Intercom', { final: true });
+  if (updated) {
+    await recordTicketEvent(handoff.itemId || conversationId, 'reassignment', {
+      text: `${handoff.assigneeEmail} → unassigned`
+    });
+  }
+
+  await refreshConversationSLA(conversationId, {});
+  return { decision: 'unassigned', reason: null, itemId: conversationId };
+}
+
+/**
+ * Refresh the SLA state of the tickets tracked for a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} overrides - Fresher fields from the webhook (see refreshTicketSLA)
+ * @returns {Promise<number>} - Number of tickets refreshed
+ */
+async function refreshConversationSLA(conversationId, overrides) {
+  const ticketIds = await findSLATicketsForConversation(conversationId);
+  for (const ticketId of ticketIds) {
+    await refreshTicketSLA({ id: ticketId }, overrides);
+  }
+  return ticketIds.length;
+}
+
+/**
+ * Get first-response stats
+ * @returns {Promise<Object>} - { recorded, averageSeconds, medianSeconds } (from assignment)
+ */
+export async function getFirstResponseStats() {
+  const times = Object.values(await getAll(FIRST_RESPONSE_NAMESPACE))
+    .map(response => response.secondsFromAssignment ?? response.secondsFromNotification)
+    .filter(seconds => typeof seconds === 'number')
+    .sort((a, b) => a - b);
+
+  return {
+    recorded: times.length,
+    averageSeconds: times.length > 0 ? Math.round(times.reduce((sum, t) => sum + t, 0) / times.length) : null,
+    medianSeconds: times.length > 0 ? times[Math.floor(times.length / 2)] : null
+  };
+}
+
+/**
+ * Get the most recent conversation part of the given types
+ * @param {Object} item - Conversation from the webhook
+ * @param {Array<string>} partTypes - Part types to look for
+ * @returns {Object|null} - Conversation part
+ */
+function getLatestPart(item, partTypes) {
+  const parts = item.conversation_parts?.conversation_parts || [];
+  for (let i = parts.length - 1; i >= 0; i--) {
+    if (partTypes.includes(parts[i].part_type)) {
+      return parts[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a timestamp to milliseconds
+ * @param {number|string|null} value - Unix timestamp in seconds or a date string
+ * @returns {number|null} - Timestamp in milliseconds
+ */
+function toMillis(value) {
+  if (!value) return null;
+  return typeof value === 'number' ? value * 1000 : new Date(value).getTime();
+}
+
+/**
+ * Format a duration for the timeline
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - e.g. "4m 10s"
+ */
+function formatSeconds(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
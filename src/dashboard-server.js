@@ -7,6 +7,8 @@ import 'dotenv/config';
 import express from 'express';
 import { getAllSLATickets, getSLAStats, reloadSLAState } from './sla-monitor-enhanced.js';
 import { getStats as getPreferenceStats } from './preferences.js';
+import { getScheduleConfig, getUpcomingClosures } from './business-hours.js';
+import { getFinAnalytics, listFinOutcomes } from './fin-analytics.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -16,22 +18,6 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.DASHBOARD_PORT || 3002;
 
-// Reload SLA state periodically to sync with polling service
-// Since dashboard runs as separate process, it needs to reload the file
-const RELOAD_INTERVAL = parseInt(process.env.SLA_STATE_RELOAD_INTERVAL || '10000', 10); // Default 10 seconds
-
-setInterval(async () => {
-  try {
-    const count = await reloadSLAState();
-    // Only log if there are tickets (to avoid spam when empty)
-    if (count > 0) {
-      console.log(`Reloaded SLA state: ${count} tickets`);
-    }
-  } catch (err) {
-    console.error('Error reloading SLA state:', err);
-  }
-}, RELOAD_INTERVAL);
-
 // Serve static files from dashboard directory
 app.use(express.static(path.join(__dirname, '..', 'dashboard')));
 
@@ -49,9 +35,7 @@ app.use((req, res, next) => {
  */
 app.get('/api/sla/tickets', async (req, res) => {
   try {
-    // Force reload before getting tickets
-    await reloadSLAState();
-    let tickets = getAllSLATickets();
+    let tickets = await getAllSLATickets();
     
     // Filter by status
     if (req.query.status) {
@@ -166,9 +150,7 @@ app.get('/api/sla/tickets', async (req, res) => {
  */
 app.get('/api/sla/stats', async (req, res) => {
   try {
-    // Force reload before getting stats
-    await reloadSLAState();
-    let tickets = getAllSLATickets();
+    let tickets = await getAllSLATickets();
     
     // Apply date filters if provided (same logic as /api/sla/tickets)
     const dateType = req.query.date_type || 'assigned';
@@ -201,7 +183,7 @@ app.get('/api/sla/stats', async (req, res) => {
     }
     
     // Get stats with filtered tickets
-    const stats = getSLAStats(tickets);
+    const stats = await getSLAStats(tickets);
     res.json({
       success: true,
       stats
@@ -236,13 +218,104 @@ app.get('/api/sla/reload', async (req, res) => {
   }
 });
 
+/**
+ * API: Upcoming business closures (holidays and shortened days)
+ * GET /api/business-hours/closures
+ * Query params: days (how far ahead to look, default 90), schedule (named schedule, default "default")
+ */
+app.get('/api/business-hours/closures', (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days || '90', 10) || 90, 366);
+    const config = getScheduleConfig(req.query.schedule);
+    const closures = getUpcomingClosures(days, config);
+
+    res.json({
+      success: true,
+      schedule: config.name,
+      timezone: config.timezone,
+      days,
+      count: closures.length,
+      closures
+    });
+  } catch (err) {
+    console.error('Error fetching upcoming closures:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Parse the Fin analytics filters from the query string
+ * date_to includes the entire end date, like the SLA endpoints
+ */
+function getFinAnalyticsFilters(query) {
+  return {
+    from: query.date_from ? new Date(query.date_from).getTime() : null,
+    to: query.date_to ? new Date(query.date_to).getTime() + (24 * 60 * 60 * 1000) : null,
+    brand: query.brand || null,
+    language: query.language || null
+  };
+}
+
+/**
+ * API: Fin handoff analytics
+ * GET /api/fin/analytics
+ * Query params: date_from, date_to, period (day or week), brand, language
+ */
+app.get('/api/fin/analytics', async (req, res) => {
+  try {
+    const analytics = await getFinAnalytics({
+      ...getFinAnalyticsFilters(req.query),
+      period: req.query.period
+    });
+    res.json({
+      success: true,
+      analytics
+    });
+  } catch (err) {
+    console.error('Error fetching Fin analytics:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+/**
+ * API: Fin conversation outcomes, newest first
+ * GET /api/fin/outcomes
+ * Query params: date_from, date_to, outcome (resolved or escalated), brand, language, limit (default 100)
+ */
+app.get('/api/fin/outcomes', async (req, res) => {
+  try {
+    const outcomes = await listFinOutcomes({
+      ...getFinAnalyticsFilters(req.query),
+      outcome: req.query.outcome || null,
+      limit: Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000)
+    });
+    res.json({
+      success: true,
+      count: outcomes.length,
+      outcomes
+    });
+  } catch (err) {
+    console.error('Error fetching Fin outcomes:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
 /**
  * API: Health check
  * GET /api/health
  */
-app.get('/api/health', (req, res) => {
-  const slaStats = getSLAStats();
-  const preferenceStats = getPreferenceStats();
+app.get('/api/health', async (req, res) => {
+  const slaStats = await getSLAStats();
+  const preferenceStats = await getPreferenceStats();
   
   res.json({
     status: 'ok',
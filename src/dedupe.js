@@ -1,33 +1,80 @@
 /**
- * Deduplication module with TTL Map
- * Can be replaced with Redis later
+ * Deduplication module with TTL entries
+ * Stored through the shared storage backend (JSON, SQLite or Redis)
  */
 
+import { get, set, remove, getAll, purgeExpired, getStorageInfo } from './storage.js';
+import { getWebhookMaxAgeSeconds } from './intercom.js';
+
+const DEDUPE_NAMESPACE = 'dedupe';
 const DEDUPE_TTL_SECONDS = parseInt(process.env.DEDUPE_TTL_SECONDS || '600', 10); // 10 minutes default
-const DEDUPE_TTL_MS = DEDUPE_TTL_SECONDS * 1000;
 
-// In-memory deduplication stores
-// Key: dedupe key, Value: { timestamp, metadata }
-const dedupeStore = new Map();
+// Key: dedupe key, Value: { timestamp, metadata } - expires after DEDUPE_TTL_SECONDS
+
+// Notified assignments from any source, kept long enough that polling doesn't
+// re-notify a ticket that is updated days later.
+// Key: "itemId:assigneeId", Value: { assigneeId, assignedAt, notifiedAt, source, sourceId, assigneeEmail }
+const ASSIGNMENT_NAMESPACE = 'notified_assignments';
+const ASSIGNMENT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Webhook notification IDs seen at the endpoint, kept well past the created_at
+// replay window so a replayed notification is either stale or already seen.
+// Key: notification ID, Value: { receivedAt, createdAt, topic }
+const SEEN_NAMESPACE = 'webhook_notifications';
+const SEEN_TTL_SECONDS = Math.max(
+  parseInt(process.env.WEBHOOK_SEEN_TTL_SECONDS || '86400', 10), // 24 hours default
+  getWebhookMaxAgeSeconds() * 2
+);
+
+// Notification IDs being claimed right now (two deliveries racing each other)
+const claiming = new Set();
+
+/**
+ * Record a webhook notification ID, unless it was seen before
+ * @param {string} notificationId - Webhook notification ID (notif_xxx)
+ * @param {Object} details - { createdAt, topic }
+ * @returns {Promise<boolean>} - True if this is the first delivery, false for a replay/duplicate
+ */
+export async function claimWebhookNotification(notificationId, details = {}) {
+  if (!notificationId) return true;
+  if (claiming.has(notificationId)) return false;
+
+  claiming.add(notificationId);
+  try {
+    if (await get(SEEN_NAMESPACE, notificationId)) {
+      return false;
+    }
+    await set(SEEN_NAMESPACE, notificationId, {
+      receivedAt: Date.now(),
+      createdAt: details.createdAt || null,
+      topic: details.topic || null
+    }, { ttlSeconds: SEEN_TTL_SECONDS });
+    return true;
+  } finally {
+    claiming.delete(notificationId);
+  }
+}
+
+/**
+ * Forget a claimed notification ID so Intercom's retry of it is accepted
+ * Used when the notification couldn't be queued after it was claimed.
+ * @param {string} notificationId - Webhook notification ID (notif_xxx)
+ */
+export async function releaseWebhookNotification(notificationId) {
+  if (!notificationId) return;
+  await remove(SEEN_NAMESPACE, notificationId);
+}
 
 /**
  * Check if a webhook was already processed
  * @param {string} webhookId - Webhook notification ID (notif_xxx)
- * @returns {boolean} - True if already processed
+ * @returns {Promise<boolean>} - True if already processed
  */
-export function isWebhookProcessed(webhookId) {
+export async function isWebhookProcessed(webhookId) {
   if (!webhookId) return false;
   
-  const entry = dedupeStore.get(`webhook:${webhookId}`);
-  if (!entry) return false;
-
-  const age = Date.now() - entry.timestamp;
-  if (age > DEDUPE_TTL_MS) {
-    dedupeStore.delete(`webhook:${webhookId}`);
-    return false;
-  }
-
-  return true;
+  const entry = await get(DEDUPE_NAMESPACE, `webhook:${webhookId}`);
+  return !!entry;
 }
 
 /**
@@ -35,76 +82,142 @@ export function isWebhookProcessed(webhookId) {
  * @param {string} webhookId - Webhook notification ID
  * @param {Object} metadata - Optional metadata to store
  */
-export function markWebhookProcessed(webhookId, metadata = {}) {
+export async function markWebhookProcessed(webhookId, metadata = {}) {
   if (!webhookId) return;
-  dedupeStore.set(`webhook:${webhookId}`, {
+  await set(DEDUPE_NAMESPACE, `webhook:${webhookId}`, {
     timestamp: Date.now(),
     metadata
-  });
+  }, { ttlSeconds: DEDUPE_TTL_SECONDS });
 }
 
 /**
  * Check if an assignment was already notified
- * @param {string} conversationId - Conversation ID
- * @param {string} assigneeEmail - Assignee email
- * @param {number} lastAssignmentAt - Last assignment timestamp
- * @returns {boolean} - True if already notified
+ * Shared by every assignment source (webhooks and ticket polling), so the
+ * same assignment seen by both is only notified once. A different timestamp
+ * for the same assignee only counts as a new assignment when it's clearly
+ * apart from the notified one, since updated_at and re-fetched statistics
+ * move for reasons other than reassignment.
+ * @param {string} itemId - Conversation or ticket ID
+ * @param {string} assigneeId - Intercom admin ID
+ * @param {number} assignedAt - Assignment timestamp in seconds
+ * @param {Object} options - Additional options
+ * @param {boolean} options.approximate - True if assignedAt is really updated_at (no assignment statistics)
+ * @returns {Promise<boolean>} - True if already notified
  */
-export function isAssignmentNotified(conversationId, assigneeEmail, lastAssignmentAt) {
-  if (!conversationId || !assigneeEmail || !lastAssignmentAt) return false;
-  
-  const key = `assignment:${conversationId}:${assigneeEmail}:${lastAssignmentAt}`;
-  const entry = dedupeStore.get(key);
-  if (!entry) return false;
+export async function isAssignmentNotified(itemId, assigneeId, assignedAt, options = {}) {
+  if (!itemId || !assigneeId || !assignedAt) return false;
+
+  const notified = await get(ASSIGNMENT_NAMESPACE, `${itemId}:${assigneeId}`);
+  if (!notified) {
+    return false;
+  }
+
+  // Same assignment
+  if (notified.assignedAt === assignedAt) {
+    return true;
+  }
 
-  const age = Date.now() - entry.timestamp;
-  if (age > DEDUPE_TTL_MS) {
-    dedupeStore.delete(key);
+  // Notified a moment ago - another source reporting the same assignment
+  const notifiedAgo = Math.floor(Date.now() / 1000) - notified.notifiedAt;
+  if (notifiedAgo < 600) {
+    console.log(`Skipping duplicate assignment: ${itemId}:${assigneeId} (notified ${notifiedAgo}s ago via ${notified.source || 'unknown'})`);
+    return true;
+  }
+
+  // updated_at changes on every comment or status change; only allow a new
+  // notification a day after the last one
+  if (options.approximate) {
+    if (notifiedAgo < 86400) {
+      console.log(`Skipping notification for ${itemId} - already notified ${Math.floor(notifiedAgo / 60)} minutes ago (using updated_at, likely an update not a reassignment)`);
+      return true;
+    }
     return false;
   }
 
-  return true;
+  // Assignment statistics: less than an hour apart is the same assignment re-read
+  const timeDiff = Math.abs(notified.assignedAt - assignedAt);
+  if (timeDiff < 3600) {
+    console.log(`Skipping notification for ${itemId} - assignment timestamp diff: ${timeDiff}s (likely same assignment)`);
+    return true;
+  }
+
+  return false;
 }
 
 /**
  * Mark an assignment as notified
- * @param {string} conversationId - Conversation ID
- * @param {string} assigneeEmail - Assignee email
- * @param {number} lastAssignmentAt - Last assignment timestamp
- * @param {Object} metadata - Optional metadata
+ * @param {string} itemId - Conversation or ticket ID
+ * @param {string} assigneeId - Intercom admin ID
+ * @param {number} assignedAt - Assignment timestamp in seconds
+ * @param {Object} metadata - { source, sourceId, assigneeEmail, decision }
  */
-export function markAssignmentNotified(conversationId, assigneeEmail, lastAssignmentAt, metadata = {}) {
-  if (!conversationId || !assigneeEmail || !lastAssignmentAt) return;
-  
-  const key = `assignment:${conversationId}:${assigneeEmail}:${lastAssignmentAt}`;
-  dedupeStore.set(key, {
-    timestamp: Date.now(),
-    metadata
-  });
+export async function markAssignmentNotified(itemId, assigneeId, assignedAt, metadata = {}) {
+  if (!itemId || !assigneeId || !assignedAt) return;
+
+  await set(ASSIGNMENT_NAMESPACE, `${itemId}:${assigneeId}`, {
+    assigneeId: String(assigneeId),
+    assignedAt,
+    notifiedAt: Math.floor(Date.now() / 1000),
+    ...metadata
+  }, { ttlSeconds: ASSIGNMENT_TTL_SECONDS });
 }
 
 /**
- * Clean up expired entries
+ * Import notified assignments kept in state.json before they moved here
+ * @param {Object} entries - "ticketId:assigneeId" -> { assigneeId, assignmentTimestamp, notifiedAt }
+ * @returns {Promise<number>} - Number of entries imported
  */
-function cleanup() {
-  const now = Date.now();
-  for (const [key, entry] of dedupeStore.entries()) {
-    if (now - entry.timestamp > DEDUPE_TTL_MS) {
-      dedupeStore.delete(key);
+export async function importNotifiedAssignments(entries) {
+  let imported = 0;
+  const now = Math.floor(Date.now() / 1000);
+
+  for (const [key, entry] of Object.entries(entries || {})) {
+    const ttlSeconds = ASSIGNMENT_TTL_SECONDS - (now - (entry.notifiedAt || 0));
+    if (ttlSeconds <= 0 || await get(ASSIGNMENT_NAMESPACE, key)) {
+      continue;
     }
+    await set(ASSIGNMENT_NAMESPACE, key, {
+      assigneeId: String(entry.assigneeId),
+      assignedAt: entry.assignmentTimestamp,
+      notifiedAt: entry.notifiedAt,
+      source: 'poll'
+    }, { ttlSeconds });
+    imported++;
   }
+
+  return imported;
 }
 
-// Clean up every minute
-setInterval(cleanup, 60 * 1000);
+/**
+ * Clean up expired entries
+ */
+async function cleanup() {
+  try {
+    await purgeExpired(DEDUPE_NAMESPACE);
+    await purgeExpired(SEEN_NAMESPACE);
+    await purgeExpired(ASSIGNMENT_NAMESPACE);
+  } catch (err) {
+    console.error('Error cleaning up dedupe store:', err.message);
+  }
+}
+
+// Clean up every minute (without keeping one-off scripts that load state.js alive)
+setInterval(cleanup, 60 * 1000).unref();
 
 /**
  * Get dedupe store stats (for debugging)
+ * @returns {Promise<Object>} - { size, ttlSeconds, seenNotifications, seenTtlSeconds, notifiedAssignments, backend }
  */
-export function getStats() {
+export async function getStats() {
+  const entries = await getAll(DEDUPE_NAMESPACE);
+  const seen = await getAll(SEEN_NAMESPACE);
+  const assignments = await getAll(ASSIGNMENT_NAMESPACE);
   return {
-    size: dedupeStore.size,
-    ttlSeconds: DEDUPE_TTL_SECONDS
+    size: Object.keys(entries).length,
+    ttlSeconds: DEDUPE_TTL_SECONDS,
+    seenNotifications: Object.keys(seen).length,
+    seenTtlSeconds: SEEN_TTL_SECONDS,
+    notifiedAssignments: Object.keys(assignments).length,
+    backend: getStorageInfo().backend
   };
 }
-
@@ -0,0 +1,191 @@
+/**
+ * Escalation policies for unanswered handoffs
+ * A policy is an ordered list of steps (nudge the assignee, DM a team lead,
+ * post to a channel, page on-call), selected per SLA name or Intercom team.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ESCALATION_POLICIES_FILE = process.env.ESCALATION_POLICIES_FILE
+  ? path.resolve(process.env.ESCALATION_POLICIES_FILE)
+  : path.join(__dirname, '..', 'escalation-policies.json');
+
+const PAGERDUTY_ROUTING_KEY = process.env.PAGERDUTY_ROUTING_KEY;
+const PAGERDUTY_EVENTS_URL = 'https://events.pagerduty.com/v2/enqueue';
+
+const DEFAULT_POLICY = 'default';
+
+// Supported step actions and the fields each one needs
+const STEP_ACTIONS = {
+  dm_assignee: [],
+  dm_user: ['email'],
+  post_channel: ['channel'],
+  page: []
+};
+
+// Named policies: name -> { name, steps }
+const policies = new Map();
+
+// SLA name (lowercase) -> policy name
+const slaPolicies = new Map();
+
+// Intercom team ID -> policy name
+const teamPolicies = new Map();
+
+/**
+ * Validate and normalize a policy step
+ * @param {Object} step - Raw step { after_minutes, action, ... }
+ * @param {string} policyName - Policy name (for logging)
+ * @returns {Object|null} - Normalized step or null if invalid
+ */
+function normalizeStep(step, policyName) {
+  const afterMinutes = Number(step?.after_minutes);
+  if (!Number.isFinite(afterMinutes) || afterMinutes < 0) {
+    console.error(`Ignoring escalation step in policy "${policyName}": after_minutes must be a non-negative number`);
+    return null;
+  }
+
+  const required = STEP_ACTIONS[step.action];
+  if (!required) {
+    console.error(`Ignoring escalation step in policy "${policyName}": unknown action ${step.action} (expected ${Object.keys(STEP_ACTIONS).join(', ')})`);
+    return null;
+  }
+
+  const missing = required.filter(field => !step[field]);
+  if (missing.length > 0) {
+    console.error(`Ignoring ${step.action} step in policy "${policyName}": missing ${missing.join(', ')}`);
+    return null;
+  }
+
+  if (step.action === 'page' && !step.routing_key && !PAGERDUTY_ROUTING_KEY) {
+    console.error(`Ignoring page step in policy "${policyName}": set routing_key or PAGERDUTY_ROUTING_KEY`);
+    return null;
+  }
+
+  return { ...step, after_minutes: afterMinutes };
+}
+
+/**
+ * Load escalation policies from ESCALATION_POLICIES_FILE
+ * Format: { "policies": { "<name>": { "sla_names": [], "teams": [], "steps": [...] } } }
+ * @returns {number} - Number of policies loaded
+ */
+export function loadEscalationPolicies() {
+  policies.clear();
+  slaPolicies.clear();
+  teamPolicies.clear();
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(ESCALATION_POLICIES_FILE, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error loading escalation policies:', err.message);
+    }
+    return 0;
+  }
+
+  for (const [name, policy] of Object.entries(data.policies || {})) {
+    const steps = (policy.steps || [])
+      .map(step => normalizeStep(step, name))
+      .filter(Boolean)
+      .sort((a, b) => a.after_minutes - b.after_minutes);
+
+    if (steps.length === 0) {
+      console.error(`Ignoring escalation policy "${name}": no valid steps`);
+      continue;
+    }
+
+    policies.set(name, { name, steps });
+
+    for (const slaName of policy.sla_names || []) {
+      slaPolicies.set(String(slaName).toLowerCase(), name);
+    }
+    for (const teamId of policy.teams || []) {
+      teamPolicies.set(String(teamId), name);
+    }
+  }
+
+  console.log(`Loaded ${policies.size} escalation policies (${slaPolicies.size} SLA mappings, ${teamPolicies.size} team mappings)`);
+  return policies.size;
+}
+
+// Load policies on startup
+loadEscalationPolicies();
+
+/**
+ * Check if any escalation policies are configured
+ * @returns {boolean} - True if at least one policy is loaded
+ */
+export function hasEscalationPolicies() {
+  return policies.size > 0;
+}
+
+/**
+ * Select the escalation policy for a conversation
+ * SLA name mappings win over team mappings, then the "default" policy.
+ * Without a policies file, falls back to a single assignee nudge.
+ * @param {Object} options - Selection options
+ * @param {string|null} options.slaName - Name of the SLA applied to the conversation
+ * @param {string|null} options.teamAssigneeId - Intercom team that owns the conversation
+ * @param {number|null} options.fallbackMinutes - Minutes for the fallback assignee nudge
+ * @returns {Object|null} - { name, steps } or null if nothing applies
+ */
+export function getEscalationPolicy({ slaName = null, teamAssigneeId = null, fallbackMinutes = null } = {}) {
+  const bySla = slaName && slaPolicies.get(String(slaName).toLowerCase());
+  const byTeam = teamAssigneeId && teamPolicies.get(String(teamAssigneeId));
+  const name = bySla || byTeam || DEFAULT_POLICY;
+
+  if (policies.has(name)) {
+    return policies.get(name);
+  }
+
+  if (fallbackMinutes) {
+    return { name: 'nudge', steps: [{ after_minutes: fallbackMinutes, action: 'dm_assignee' }] };
+  }
+
+  return null;
+}
+
+/**
+ * Trigger a PagerDuty incident for an unanswered conversation
+ * Uses the conversation ID as dedup key, so repeated pages update one incident.
+ * @param {Object} step - Page step (optional routing_key, severity)
+ * @param {Object} details - { conversationId, conversationLink, assigneeEmail, summary }
+ * @returns {Promise<boolean>} - True if the event was accepted
+ */
+export async function triggerPage(step, details) {
+  const routingKey = step.routing_key || PAGERDUTY_ROUTING_KEY;
+
+  const response = await fetch(PAGERDUTY_EVENTS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      routing_key: routingKey,
+      event_action: 'trigger',
+      dedup_key: `fin-handoff-${details.conversationId}`,
+      payload: {
+        summary: details.summary,
+        source: 'intercom-slack-fin-handoff',
+        severity: step.severity || 'error',
+        custom_details: {
+          conversation_id: details.conversationId,
+          assignee: details.assigneeEmail
+        }
+      },
+      links: [{ href: details.conversationLink, text: 'Open in Intercom' }]
+    })
+  });
+
+  if (!response.ok) {
+    console.error(`PagerDuty API error: ${response.status} ${await response.text()}`);
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,295 @@
+/**
+ * Fin handoff analytics
+ * Records one outcome per conversation Fin was involved in:
+ * - escalated: handed to a human (assignment pipeline), with the reason, the
+ *   time since Fin's last reply and, once it happens, the first human reply
+ * - resolved: closed without ever being assigned to a human (close webhook)
+ * and reports handoff rates per day/week, brand and language for the dashboard.
+ */
+
+import { get, set, getAll } from './storage.js';
+import { getConversationMessages, getHandoffDigest } from './fin.js';
+import { getScheduleConfig } from './business-hours.js';
+
+// Key: conversation ID, Value: { conversationId, outcome, occurredAt, brand, language, matchedRules,
+//   lastFinReplyAt, secondsFromLastFinReply, escalationReason, assigneeId, firstHumanReplyAt, secondsToFirstHumanReply }
+const OUTCOME_NAMESPACE = 'fin_outcomes';
+const RETENTION_DAYS = parseInt(process.env.FIN_ANALYTICS_RETENTION_DAYS || '180', 10);
+
+// Conversation fields holding the brand and language, first non-empty wins
+const BRAND_FIELDS = (process.env.FIN_ANALYTICS_BRAND_FIELDS || 'custom_attributes.Brand,brand.name')
+  .split(',').map(field => field.trim()).filter(Boolean);
+const LANGUAGE_FIELDS = (process.env.FIN_ANALYTICS_LANGUAGE_FIELDS || 'custom_attributes.Language,language')
+  .split(',').map(field => field.trim()).filter(Boolean);
+
+// Fin resolution states that mean Fin resolved the conversation (conversation.ai_agent.resolution_state)
+const RESOLVED_STATES = ['assumed_resolution', 'confirmed_resolution'];
+
+export const FIN_OUTCOMES = {
+  RESOLVED: 'resolved',
+  ESCALATED: 'escalated'
+};
+
+/**
+ * Record that a Fin conversation was handed to a human
+ * Only the first handoff of a conversation counts; later reassignments keep it.
+ * @param {Object} conversation - Full conversation object from Intercom API
+ * @param {Object} details - { finCheck: isFinInvolved result, assigneeId, assignedAt (seconds) }
+ * @returns {Promise<Object|null>} - Outcome record, or null if already recorded
+ */
+export async function recordFinEscalation(conversation, { finCheck, assigneeId = null, assignedAt = null }) {
+  const conversationId = String(conversation.id);
+  const existing = await get(OUTCOME_NAMESPACE, conversationId);
+  if (existing?.outcome === FIN_OUTCOMES.ESCALATED) {
+    return null;
+  }
+
+  const handoffAt = assignedAt ? Math.round(assignedAt * 1000) : Date.now();
+  const finReplies = getConversationMessages(conversation).filter(message => message.from === 'fin' && message.createdAt);
+  const lastFinReplyAt = finReplies.length > 0 ? finReplies[finReplies.length - 1].createdAt * 1000 : null;
+
+  const record = {
+    ...describeConversation(conversation, finCheck),
+    outcome: FIN_OUTCOMES.ESCALATED,
+    occurredAt: handoffAt,
+    lastFinReplyAt,
+    secondsFromLastFinReply: lastFinReplyAt ? Math.max(0, Math.round((handoffAt - lastFinReplyAt) / 1000)) : null,
+    escalationReason: getHandoffDigest(conversation).reason,
+    assigneeId: assigneeId ? String(assigneeId) : null,
+    firstHumanReplyAt: null,
+    secondsToFirstHumanReply: null
+  };
+
+  await saveOutcome(record);
+  return record;
+}
+
+/**
+ * Record that a Fin conversation was closed without a human assignment
+ * Conversations that were escalated, never involved Fin or were assigned to an
+ * admin are not counted as resolutions.
+ * @param {Object} conversation - Conversation from the close webhook
+ * @param {Object} finCheck - isFinInvolved result
+ * @returns {Promise<Object|null>} - Outcome record, or null if not a Fin resolution
+ */
+export async function recordFinResolution(conversation, finCheck) {
+  const conversationId = String(conversation.id);
+  const resolutionState = conversation.ai_agent?.resolution_state;
+  if (!finCheck.involved && !RESOLVED_STATES.includes(resolutionState)) {
+    return null;
+  }
+  if (conversation.admin_assignee_id || wasAssignedToAdmin(conversation)) {
+    return null;
+  }
+  if (await get(OUTCOME_NAMESPACE, conversationId)) {
+    return null;
+  }
+
+  const record = {
+    ...describeConversation(conversation, finCheck),
+    outcome: FIN_OUTCOMES.RESOLVED,
+    occurredAt: Date.now(),
+    resolutionState: resolutionState || null
+  };
+
+  await saveOutcome(record);
+  return record;
+}
+
+/**
+ * Record the first human reply after a Fin handoff
+ * @param {string} conversationId - Conversation ID
+ * @param {number} repliedAt - Reply time (ms)
+ * @returns {Promise<boolean>} - True if this was the first human reply
+ */
+export async function recordHumanReply(conversationId, repliedAt) {
+  const record = await get(OUTCOME_NAMESPACE, String(conversationId));
+  if (record?.outcome !== FIN_OUTCOMES.ESCALATED || record.firstHumanReplyAt || repliedAt < record.occurredAt) {
+    return false;
+  }
+
+  await saveOutcome({
+    ...record,
+    firstHumanReplyAt: repliedAt,
+    secondsToFirstHumanReply: Math.round((repliedAt - record.occurredAt) / 1000)
+  });
+  return true;
+}
+
+/**
+ * List recorded outcomes, newest first
+ * @param {Object} filters - { from, to (ms), outcome, brand, language, limit }
+ * @returns {Promise<Array<Object>>} - Outcome records
+ */
+export async function listFinOutcomes(filters = {}) {
+  const outcomes = await getOutcomes(filters);
+  const sorted = outcomes.sort((a, b) => b.occurredAt - a.occurredAt);
+  return filters.limit ? sorted.slice(0, filters.limit) : sorted;
+}
+
+/**
+ * Report handoff rates and timings
+ * Days and weeks (starting Monday) are in the timezone of the default business hours schedule.
+ * @param {Object} filters - { from, to (ms), brand, language, period: 'day' | 'week' }
+ * @returns {Promise<Object>} - { summary, series, byBrand, byLanguage, byReason, firstHumanReply, lastFinReplyToHandoff }
+ */
+export async function getFinAnalytics(filters = {}) {
+  const outcomes = await getOutcomes(filters);
+  const period = filters.period === 'week' ? 'week' : 'day';
+  const timezone = getScheduleConfig().timezone;
+
+  const series = new Map();
+  const byBrand = {};
+  const byLanguage = {};
+  const byReason = {};
+
+  for (const record of outcomes) {
+    const day = toLocalDate(record.occurredAt, timezone);
+    const bucket = period === 'week' ? startOfWeek(day) : day;
+
+    if (!series.has(bucket)) series.set(bucket, emptyCounts());
+    count(series.get(bucket), record);
+    count(byBrand[record.brand] ||= emptyCounts(), record);
+    count(byLanguage[record.language] ||= emptyCounts(), record);
+
+    if (record.outcome === FIN_OUTCOMES.ESCALATED) {
+      const reason = record.escalationReason || 'Unknown';
+      byReason[reason] = (byReason[reason] || 0) + 1;
+    }
+  }
+
+  const escalated = outcomes.filter(record => record.outcome === FIN_OUTCOMES.ESCALATED);
+
+  return {
+    period,
+    timezone,
+    summary: withRate(outcomes.reduce((counts, record) => count(counts, record), emptyCounts())),
+    series: Array.from(series.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([start, counts]) => ({ start, ...withRate(counts) })),
+    byBrand: mapValues(byBrand, withRate),
+    byLanguage: mapValues(byLanguage, withRate),
+    byReason,
+    firstHumanReply: summarize(escalated.map(record => record.secondsToFirstHumanReply)),
+    lastFinReplyToHandoff: summarize(escalated.map(record => record.secondsFromLastFinReply))
+  };
+}
+
+/**
+ * Get outcome records matching the filters
+ */
+async function getOutcomes({ from = null, to = null, outcome = null, brand = null, language = null } = {}) {
+  return Object.values(await getAll(OUTCOME_NAMESPACE)).filter(record =>
+    (!from || record.occurredAt >= from) &&
+    (!to || record.occurredAt <= to) &&
+    (!outcome || record.outcome === outcome) &&
+    (!brand || record.brand === brand) &&
+    (!language || record.language === language)
+  );
+}
+
+/**
+ * Save an outcome record for RETENTION_DAYS
+ */
+async function saveOutcome(record) {
+  await set(OUTCOME_NAMESPACE, record.conversationId, record, { ttlSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+  console.log(`[${record.conversationId}] Fin outcome: ${record.outcome}${record.escalationReason ? ` (${record.escalationReason})` : ''}`);
+}
+
+/**
+ * Fields shared by every outcome
+ */
+function describeConversation(conversation, finCheck) {
+  return {
+    conversationId: String(conversation.id),
+    brand: readField(conversation, BRAND_FIELDS),
+    language: readField(conversation, LANGUAGE_FIELDS),
+    matchedRules: finCheck?.matchedRules || [],
+    recordedAt: Date.now()
+  };
+}
+
+/**
+ * Read the first non-empty field of a conversation
+ * @param {Object} conversation - Conversation object
+ * @param {Array<string>} fields - Dotted field paths
+ * @returns {string} - Value, or 'unknown'
+ */
+function readField(conversation, fields) {
+  for (const field of fields) {
+    const value = field.split('.').reduce((current, key) => current?.[key], conversation);
+    if (value !== undefined && value !== null && value !== '') {
+      return String(value);
+    }
+  }
+  return 'unknown';
+}
+
+/**
+ * Check the conversation parts for an assignment to an admin
+ */
+function wasAssignedToAdmin(conversation) {
+  const parts = conversation.conversation_parts?.conversation_parts || [];
+  return parts.some(part =>
+    ['assignment', 'default_assignment'].includes(part.part_type) && part.assigned_to?.type === 'admin'
+  );
+}
+
+function emptyCounts() {
+  return { total: 0, resolved: 0, escalated: 0 };
+}
+
+function count(counts, record) {
+  counts.total++;
+  counts[record.outcome]++;
+  return counts;
+}
+
+/**
+ * Add the handoff rate (% of Fin conversations escalated) to counts
+ */
+function withRate(counts) {
+  return {
+    ...counts,
+    handoffRate: counts.total > 0 ? Math.round((counts.escalated / counts.total) * 1000) / 10 : null
+  };
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+/**
+ * Summarize durations
+ * @param {Array<number|null>} values - Durations in seconds (nulls are skipped)
+ * @returns {Object} - { count, averageSeconds, medianSeconds, p90Seconds }
+ */
+function summarize(values) {
+  const sorted = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { count: 0, averageSeconds: null, medianSeconds: null, p90Seconds: null };
+  }
+  return {
+    count: sorted.length,
+    averageSeconds: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    medianSeconds: sorted[Math.floor(sorted.length / 2)],
+    p90Seconds: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.9))]
+  };
+}
+
+/**
+ * Format a timestamp as YYYY-MM-DD in a timezone
+ */
+function toLocalDate(timestampMs, timezone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(timestampMs));
+}
+
+/**
+ * Get the Monday of the week a YYYY-MM-DD date falls in
+ */
+function startOfWeek(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,312 @@
+/**
+ * Declarative Fin detection rules
+ * Each rule reads a field path of the conversation, compares it with an
+ * operator and adds its weight to the score when it matches; Fin is involved
+ * when the score reaches the threshold. Rules come from FIN_RULES_FILE, or the
+ * built-in defaults below when there is no file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIN_RULES_FILE = process.env.FIN_RULES_FILE
+  ? path.resolve(process.env.FIN_RULES_FILE)
+  : path.join(__dirname, '..', 'fin-rules.json');
+
+// "fin", "ai" or "bot" as a word of their own ("fin_resolved", "AI Handled"), not inside another word ("email")
+const FIN_WORD_PATTERN = '(^|[^a-z])(fin|ai|bot)([^a-z]|$)';
+
+// Built-in rules, used when FIN_RULES_FILE doesn't exist
+const DEFAULT_RULES = {
+  threshold: 1,
+  rules: [
+    {
+      id: 'part_from_ai_agent',
+      description: 'AI agent flag in conversation parts',
+      path: 'conversation_parts.conversation_parts[].author.from_ai_agent',
+      operator: 'equals',
+      value: true
+    },
+    {
+      id: 'part_is_ai_answer',
+      description: 'AI answer flag in conversation parts',
+      path: 'conversation_parts.conversation_parts[].author.is_ai_answer',
+      operator: 'equals',
+      value: true
+    },
+    {
+      id: 'part_bot_author',
+      description: 'Bot author in conversation parts',
+      path: 'conversation_parts.conversation_parts[].author.type',
+      operator: 'equals',
+      value: 'bot'
+    },
+    {
+      id: 'ai_agent_present',
+      description: 'AI agent field present',
+      path: 'ai_agent',
+      operator: 'exists'
+    },
+    {
+      id: 'ai_agent_participated',
+      description: 'AI agent participated flag',
+      path: 'ai_agent_participated',
+      operator: 'equals',
+      value: true
+    },
+    {
+      id: 'custom_attribute_flag',
+      description: 'Fin flag in custom attributes',
+      path: 'custom_attributes.*',
+      key_matches: FIN_WORD_PATTERN,
+      operator: 'in',
+      value: [true, 'true', 'yes']
+    },
+    {
+      id: 'source_bot',
+      description: 'Bot/AI source type',
+      path: 'source.type',
+      operator: 'matches',
+      value: '^bot$|' + FIN_WORD_PATTERN
+    }
+  ]
+};
+
+// Supported operators: (actual, expected, rule) -> boolean
+const OPERATORS = {
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === (expected ?? true),
+  equals: (actual, expected) => actual === expected,
+  not_equals: (actual, expected) => actual !== expected,
+  in: (actual, expected) => expected.includes(actual),
+  contains: (actual, expected) => {
+    if (Array.isArray(actual)) return actual.includes(expected);
+    return typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+  },
+  matches: (actual, expected, rule) => actual !== undefined && actual !== null && rule.regex.test(String(actual)),
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected
+};
+
+// Loaded rule set: { source, threshold, rules }
+let ruleSet = { source: 'built-in', threshold: 1, rules: [] };
+
+/**
+ * Validate and normalize a rule
+ * @param {Object} rule - Raw rule { id, path, operator, value, weight, key_matches, flags }
+ * @param {Set<string>} seenIds - IDs of the rules already loaded
+ * @returns {Object|null} - Normalized rule or null if invalid
+ */
+function normalizeRule(rule, seenIds) {
+  const id = rule?.id ? String(rule.id) : null;
+  if (!id) {
+    console.error('Ignoring Fin rule without an id');
+    return null;
+  }
+  if (seenIds.has(id)) {
+    console.error(`Ignoring Fin rule "${id}": duplicate id`);
+    return null;
+  }
+  if (typeof rule.path !== 'string' || !rule.path) {
+    console.error(`Ignoring Fin rule "${id}": path is required`);
+    return null;
+  }
+  if (!OPERATORS[rule.operator]) {
+    console.error(`Ignoring Fin rule "${id}": unknown operator ${rule.operator} (expected ${Object.keys(OPERATORS).join(', ')})`);
+    return null;
+  }
+  if (rule.operator === 'in' && !Array.isArray(rule.value)) {
+    console.error(`Ignoring Fin rule "${id}": the in operator needs an array value`);
+    return null;
+  }
+  if (['gte', 'lte'].includes(rule.operator) && typeof rule.value !== 'number') {
+    console.error(`Ignoring Fin rule "${id}": the ${rule.operator} operator needs a number value`);
+    return null;
+  }
+
+  const weight = rule.weight === undefined ? 1 : Number(rule.weight);
+  if (!Number.isFinite(weight)) {
+    console.error(`Ignoring Fin rule "${id}": weight must be a number`);
+    return null;
+  }
+
+  let regex = null;
+  let keyRegex = null;
+  try {
+    if (rule.operator === 'matches') {
+      regex = new RegExp(String(rule.value), rule.flags ?? 'i');
+    }
+    if (rule.key_matches) {
+      keyRegex = new RegExp(String(rule.key_matches), rule.flags ?? 'i');
+    }
+  } catch (err) {
+    console.error(`Ignoring Fin rule "${id}": invalid pattern (${err.message})`);
+    return null;
+  }
+
+  seenIds.add(id);
+  return {
+    id,
+    description: rule.description || id,
+    path: rule.path,
+    segments: parsePath(rule.path),
+    operator: rule.operator,
+    value: rule.value,
+    weight,
+    key_matches: rule.key_matches || null,
+    regex,
+    keyRegex
+  };
+}
+
+/**
+ * Load Fin detection rules
+ * Format: { "threshold": 1, "rules": [{ "id", "description", "path", "operator", "value", "weight" }] }
+ * @param {string|null} file - Rules file (defaults to FIN_RULES_FILE; null for the built-in rules)
+ * @returns {number} - Number of rules loaded
+ */
+export function loadFinRules(file = FIN_RULES_FILE) {
+  let data = DEFAULT_RULES;
+  let source = 'built-in';
+
+  if (file) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      source = file;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Error loading Fin rules from ${file} - using built-in rules:`, err.message);
+      }
+    }
+  }
+
+  const seenIds = new Set();
+  const rules = (data.rules || []).map(rule => normalizeRule(rule, seenIds)).filter(Boolean);
+  const threshold = Number.isFinite(Number(data.threshold)) ? Number(data.threshold) : 1;
+
+  if (rules.length === 0 && source !== 'built-in') {
+    console.error(`No valid Fin rules in ${file} - using built-in rules`);
+    return loadFinRules(null);
+  }
+
+  ruleSet = { source, threshold, rules };
+  console.log(`Loaded ${rules.length} Fin detection rules from ${source} (threshold ${threshold})`);
+  return rules.length;
+}
+
+// Load rules on startup
+loadFinRules();
+
+/**
+ * Get the loaded rule set
+ * @returns {Object} - { source, threshold, rules: [{ id, description, path, operator, value, weight }] }
+ */
+export function getFinRules() {
+  return {
+    source: ruleSet.source,
+    threshold: ruleSet.threshold,
+    rules: ruleSet.rules.map(({ segments, regex, keyRegex, ...rule }) => rule)
+  };
+}
+
+/**
+ * Evaluate the rules against a conversation
+ * @param {Object} conversation - Full conversation object from Intercom API
+ * @returns {Object} - { involved, score, threshold, source, matches, rules }
+ *   matches: [{ ruleId, description, weight, path, value }] (first matching value per rule)
+ *   rules: [{ id, description, weight, matched, matchedPaths }] for every rule
+ */
+export function evaluateFinRules(conversation) {
+  const matches = [];
+  const rules = [];
+  let score = 0;
+
+  for (const rule of ruleSet.rules) {
+    const matchedValues = resolvePath(conversation, rule.segments)
+      .filter(entry => !rule.keyRegex || (entry.key !== null && rule.keyRegex.test(entry.key)))
+      .filter(entry => OPERATORS[rule.operator](entry.value, rule.value, rule));
+
+    // exists:false matches when the path resolves to nothing at all
+    const matched = matchedValues.length > 0 ||
+      (rule.operator === 'exists' && rule.value === false && resolvePath(conversation, rule.segments).length === 0);
+
+    if (matched) {
+      score += rule.weight;
+      matches.push({
+        ruleId: rule.id,
+        description: rule.description,
+        weight: rule.weight,
+        path: matchedValues[0]?.path || rule.path,
+        value: matchedValues[0]?.value ?? null
+      });
+    }
+
+    rules.push({
+      id: rule.id,
+      description: rule.description,
+      weight: rule.weight,
+      matched,
+      matchedPaths: matchedValues.map(entry => entry.path)
+    });
+  }
+
+  return {
+    involved: matches.length > 0 && score >= ruleSet.threshold,
+    score,
+    threshold: ruleSet.threshold,
+    source: ruleSet.source,
+    matches,
+    rules
+  };
+}
+
+/**
+ * Split a field path into segments
+ * "a.b[].c" -> ["a", "b", "[]", "c"]; "*" stands for every key of an object
+ * @param {string} fieldPath - Field path
+ * @returns {Array<string>} - Segments
+ */
+function parsePath(fieldPath) {
+  const segments = [];
+  for (const part of fieldPath.split('.')) {
+    if (part.endsWith('[]')) {
+      if (part.length > 2) segments.push(part.slice(0, -2));
+      segments.push('[]');
+    } else {
+      segments.push(part);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Resolve a path to every value it reaches
+ * @param {*} value - Object to read from
+ * @param {Array<string>} segments - Path segments from parsePath
+ * @param {string} trail - Concrete path so far
+ * @param {string|null} key - Key matched by the last "*"
+ * @returns {Array<{path: string, value: *, key: string|null}>} - Values found
+ */
+function resolvePath(value, segments, trail = '', key = null) {
+  if (segments.length === 0) {
+    return value === undefined ? [] : [{ path: trail, value, key }];
+  }
+  if (value === null || value === undefined || typeof value !== 'object') {
+    return [];
+  }
+
+  const [segment, ...rest] = segments;
+  const join = name => (trail ? `${trail}.${name}` : name);
+
+  if (segment === '[]') {
+    if (!Array.isArray(value)) return [];
+    return value.flatMap((element, index) => resolvePath(element, rest, `${trail}[${index}]`, key));
+  }
+  if (segment === '*') {
+    return Object.entries(value).flatMap(([childKey, child]) => resolvePath(child, rest, join(childKey), childKey));
+  }
+  return resolvePath(value[segment], rest, join(segment), key);
+}
@@ -1,19 +1,20 @@
 /**
  * Fin involvement detection with extensive logging
- * Checks multiple sources to determine if Fin/AI agent participated before assignment
+ * Involvement is decided by the declarative rules in fin-rules.js
  */
 
+import { evaluateFinRules } from './fin-rules.js';
+
 /**
  * Determine if Fin (AI agent) participated in a conversation before assignment
  * 
  * @param {Object} conversationJson - Full conversation object from Intercom API
  * @param {Object} webhookPayload - Webhook payload (for context)
- * @returns {{involved: boolean, reason: string, matchedRules: string[]}} - Detection result
+ * @returns {{involved: boolean, reason: string, matchedRules: string[], score?: number}} - Detection result
  */
 export function isFinInvolved(conversationJson, webhookPayload = {}) {
   const requestId = webhookPayload.id || 'unknown';
   const conversationId = conversationJson?.id || 'unknown';
-  const matchedRules = [];
   
   if (!conversationJson) {
     console.warn(`[${requestId}] [${conversationId}] Fin check: No conversation data provided`);
@@ -22,118 +23,161 @@ export function isFinInvolved(conversationJson, webhookPayload = {}) {
 
   console.log(`[${requestId}] [${conversationId}] Starting Fin involvement check...`);
 
-  // Rule 1: Check conversation_parts for AI agent indicators
-  const parts = conversationJson.conversation_parts?.conversation_parts || [];
-  for (const part of parts) {
-    const author = part.author;
-    if (!author) continue;
-
-    // Check from_ai_agent flag
-    if (author.from_ai_agent === true) {
-      matchedRules.push(`conversation_parts.author.from_ai_agent=true (part:${part.id})`);
-      console.log(`[${requestId}] [${conversationId}] ✅ Fin detected: author.from_ai_agent=true`, {
-        partId: part.id,
-        authorId: author.id,
-        authorName: author.name
-      });
-      return { involved: true, reason: 'AI agent flag in conversation parts', matchedRules };
-    }
-
-    // Check is_ai_answer flag
-    if (author.is_ai_answer === true) {
-      matchedRules.push(`conversation_parts.author.is_ai_answer=true (part:${part.id})`);
-      console.log(`[${requestId}] [${conversationId}] ✅ Fin detected: author.is_ai_answer=true`, {
-        partId: part.id,
-        authorId: author.id,
-        authorName: author.name
-      });
-      return { involved: true, reason: 'AI answer flag in conversation parts', matchedRules };
-    }
-
-    // Check bot type
-    if (author.type === 'bot') {
-      matchedRules.push(`conversation_parts.author.type=bot (part:${part.id})`);
-      console.log(`[${requestId}] [${conversationId}] ✅ Fin detected: author.type=bot`, {
-        partId: part.id,
-        authorId: author.id,
-        authorName: author.name
-      });
-      return { involved: true, reason: 'Bot author in conversation parts', matchedRules };
-    }
-
-    // Check metadata for AI indicators
-    if (part.metadata) {
-      const metadataStr = JSON.stringify(part.metadata).toLowerCase();
-      if (metadataStr.includes('ai') || metadataStr.includes('fin') || metadataStr.includes('bot')) {
-        matchedRules.push(`conversation_parts.metadata contains AI/Fin/Bot (part:${part.id})`);
-        console.log(`[${requestId}] [${conversationId}] ✅ Fin detected: metadata contains AI indicators`, {
-          partId: part.id,
-          metadata: part.metadata
-        });
-        return { involved: true, reason: 'AI indicators in part metadata', matchedRules };
-      }
-    }
-  }
+  const result = evaluateFinRules(conversationJson);
+  const matchedRules = result.matches.map(match => `${match.ruleId} (${match.path})`);
 
-  // Rule 2: Check top-level AI agent fields
-  if (conversationJson.ai_agent) {
-    matchedRules.push('ai_agent field present');
-    console.log(`[${requestId}] [${conversationId}] ✅ Fin detected: ai_agent field present`, {
-      aiAgent: conversationJson.ai_agent
+  if (result.involved) {
+    console.log(`[${requestId}] [${conversationId}] ✅ Fin detected: score ${result.score} >= ${result.threshold}`, {
+      matchedRules
     });
-    return { involved: true, reason: 'AI agent field present', matchedRules };
+    return { involved: true, reason: result.matches[0].description, matchedRules, score: result.score };
   }
 
-  if (conversationJson.ai_agent_participated === true) {
-    matchedRules.push('ai_agent_participated=true');
-    console.log(`[${requestId}] [${conversationId}] ✅ Fin detected: ai_agent_participated=true`);
-    return { involved: true, reason: 'AI agent participated flag', matchedRules };
-  }
+  console.log(`[${requestId}] [${conversationId}] ❌ Fin not confirmed - score ${result.score} < ${result.threshold}`, {
+    matchedRules,
+    partsCount: conversationJson.conversation_parts?.conversation_parts?.length || 0,
+    rulesSource: result.source
+  });
+
+  return {
+    involved: false,
+    reason: matchedRules.length > 0 ? 'Fin score below threshold' : 'No Fin involvement detected',
+    matchedRules,
+    score: result.score
+  };
+}
+
+/**
+ * Check if a conversation part was written by Fin
+ * @param {Object} part - Conversation part
+ * @returns {boolean} - True if authored by Fin / an AI agent
+ */
+export function isFinPart(part) {
+  const author = part?.author;
+  return !!author && (author.from_ai_agent === true || author.is_ai_answer === true || author.type === 'bot');
+}
 
-  // Rule 3: Check custom_attributes for Fin-related flags
-  const customAttrs = conversationJson.custom_attributes || {};
-  for (const [key, value] of Object.entries(customAttrs)) {
-    const keyLower = key.toLowerCase();
-    const valueStr = String(value).toLowerCase();
-    
-    if (keyLower.includes('fin') || keyLower.includes('ai') || keyLower.includes('bot')) {
-      if (value === true || valueStr === 'true' || valueStr.includes('fin') || valueStr.includes('ai')) {
-        matchedRules.push(`custom_attributes.${key}=${value}`);
-        console.log(`[${requestId}] [${conversationId}] ✅ Fin detected: custom_attributes.${key}=${value}`);
-        return { involved: true, reason: `Fin indicator in custom_attributes.${key}`, matchedRules };
-      }
-    }
+/**
+ * Check if a conversation part was written by the customer
+ * @param {Object} part - Conversation part
+ * @returns {boolean} - True if authored by a user/lead/contact
+ */
+export function isCustomerPart(part) {
+  return ['user', 'lead', 'contact'].includes(part?.author?.type);
+}
+
+/**
+ * Convert an Intercom HTML message body (or subject) to plain text
+ * @param {string} html - Message body
+ * @returns {string} - Plain text
+ */
+export function htmlToText(html) {
+  if (typeof html !== 'string') {
+    return '';
   }
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h\d)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Get the messages of a conversation in order, as plain text
+ * The opening message (conversation.source) comes first, then parts with a body.
+ * @param {Object} conversation - Full conversation object from Intercom API
+ * @returns {Array<Object>} - [{ from: 'customer' | 'fin' | 'admin', text, createdAt, authorName }]
+ */
+export function getConversationMessages(conversation) {
+  const messages = [];
+  const source = conversation?.source;
 
-  // Rule 4: Check conversation source for bot/AI indicators
-  const source = conversationJson.source;
-  if (source) {
-    const sourceType = source.type?.toLowerCase() || '';
-    if (sourceType === 'bot' || sourceType.includes('ai') || sourceType.includes('fin')) {
-      matchedRules.push(`source.type=${sourceType}`);
-      console.log(`[${requestId}] [${conversationId}] ✅ Fin detected: source.type=${sourceType}`);
-      return { involved: true, reason: `Bot/AI source type: ${sourceType}`, matchedRules };
-    }
+  if (source?.body) {
+    messages.push({
+      from: isFinPart(source) ? 'fin' : (source.author?.type === 'admin' ? 'admin' : 'customer'),
+      text: htmlToText(source.body),
+      createdAt: conversation.created_at,
+      authorName: source.author?.name || null
+    });
   }
 
-  // Rule 5: Check statistics for AI-related data
-  const statistics = conversationJson.statistics || {};
-  const statsStr = JSON.stringify(statistics).toLowerCase();
-  if (statsStr.includes('ai') || statsStr.includes('fin') || statsStr.includes('bot')) {
-    matchedRules.push('statistics contains AI/Fin/Bot');
-    console.log(`[${requestId}] [${conversationId}] ✅ Fin detected: statistics contains AI indicators`);
-    return { involved: true, reason: 'AI indicators in statistics', matchedRules };
+  const parts = conversation?.conversation_parts?.conversation_parts || [];
+  for (const part of parts) {
+    const text = htmlToText(part.body);
+    if (!text) continue;
+
+    messages.push({
+      from: isFinPart(part) ? 'fin' : (isCustomerPart(part) ? 'customer' : 'admin'),
+      text,
+      createdAt: part.created_at,
+      authorName: part.author?.name || null
+    });
   }
 
-  // No Fin involvement detected
-  console.log(`[${requestId}] [${conversationId}] ❌ Fin not confirmed - no AI agent indicators found`);
-  console.log(`[${requestId}] [${conversationId}] Checked:`, {
-    partsCount: parts.length,
-    hasAiAgent: !!conversationJson.ai_agent,
-    aiAgentParticipated: conversationJson.ai_agent_participated,
-    customAttrsKeys: Object.keys(customAttrs),
-    sourceType: source?.type
-  });
+  return messages.filter(message => message.text);
+}
+
+/**
+ * Get the last customer message and Fin's last answer
+ * @param {Object} conversation - Full conversation object from Intercom API
+ * @returns {{customerMessage: Object|null, finAnswer: Object|null}} - Latest message of each
+ */
+export function getLastExchange(conversation) {
+  const messages = getConversationMessages(conversation);
+  const lastOf = from => [...messages].reverse().find(message => message.from === from) || null;
+
+  return {
+    customerMessage: lastOf('customer'),
+    finAnswer: lastOf('fin')
+  };
+}
+
+// Fin resolution states that explain a handoff (conversation.ai_agent.resolution_state)
+const HANDOFF_REASONS = {
+  routed_to_team: 'Fin routed the conversation to the team',
+  escalated: 'Customer asked to talk to a person',
+  negative_feedback: 'Customer said Fin\'s answer didn\'t help'
+};
+
+// Customer phrases that ask for a person
+const HUMAN_REQUEST_PATTERN = /\b(human|real person|agent|someone|representative|talk to (a|an|the) )/i;
+
+/**
+ * Build a digest of what happened before the handoff
+ * @param {Object} conversation - Full conversation object from Intercom API
+ * @returns {Object} - { question, latestMessage, finAnswer, reason } (plain text, null if unknown)
+ */
+export function getHandoffDigest(conversation) {
+  const messages = getConversationMessages(conversation);
+  const customerMessages = messages.filter(message => message.from === 'customer');
+  const finAnswers = messages.filter(message => message.from === 'fin');
+
+  const question = customerMessages[0] || null;
+  const latest = customerMessages[customerMessages.length - 1] || null;
+  const finAnswer = finAnswers[finAnswers.length - 1] || null;
+
+  let reason = HANDOFF_REASONS[conversation?.ai_agent?.resolution_state] || null;
+  if (!reason && latest && HUMAN_REQUEST_PATTERN.test(latest.text)) {
+    reason = 'Customer asked to talk to a person';
+  }
+  if (!reason && finAnswers.length > 0 && latest && latest.createdAt > finAnswer.createdAt) {
+    reason = 'Customer followed up after Fin\'s last answer';
+  }
+  if (!reason && finAnswers.length === 0) {
+    reason = 'Fin had no answer';
+  }
 
-  return { involved: false, reason: 'No Fin involvement detected', matchedRules: [] };
+  return {
+    question: question?.text || null,
+    latestMessage: latest && latest !== question ? latest.text : null,
+    finAnswer: finAnswer?.text || null,
+    reason
+  };
 }
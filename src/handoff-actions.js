@@ -0,0 +1,641 @@
+/**
+ * Quick reply / Acknowledge / Snooze / Reassign buttons on assignment DMs
+ * - Quick reply: opens a modal with the latest customer message and Fin answer,
+ *   and posts the agent's reply to the conversation
+ * - Acknowledge: cancels the pending nudge ladder and records time-to-ack
+ * - Snooze 15m: snoozes the conversation in Intercom
+ * - Reassign: opens a modal to pick an admin or team, then assigns in Intercom
+ * After each action the original DM is updated to show who acted.
+ * Each assignment DM's reference is stored (handoff_messages) so Intercom
+ * events - reassignment, unassignment, close - can update it too.
+ */
+
+import { openView, updateView, updateMessage, respondToAction } from './slack.js';
+import {
+  getConversation,
+  findAdminByEmail,
+  listAdmins,
+  listTeams,
+  snoozeConversation,
+  assignConversation,
+  replyToConversation
+} from './intercom.js';
+import { getLastExchange } from './fin.js';
+import { cancelNudge } from './nudge.js';
+import { get, set, getAll } from './storage.js';
+import { recordTicketEvent } from './ticket-timeline.js';
+import { getLinkForSlackUser } from './identity.js';
+
+// Admin used for Intercom actions when the Slack user has no linked or matching Intercom admin
+const INTERCOM_ACTION_ADMIN_ID = process.env.INTERCOM_ACTION_ADMIN_ID;
+
+const SNOOZE_MINUTES = 15;
+
+// Key: conversation/ticket ID, Value: { conversationId, acknowledgedBy, slackUserId, notifiedAt, acknowledgedAt, timeToAckSeconds }
+const ACK_NAMESPACE = 'acknowledgements';
+const ACK_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Key: conversation ID (ticket ID for tickets without one),
+// Value: { channel, ts, blocks, assigneeId, assigneeEmail, itemId, assignedAt, sentAt, final }
+const HANDOFF_MESSAGE_NAMESPACE = 'handoff_messages';
+const HANDOFF_MESSAGE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+export const HANDOFF_ACTION_IDS = ['handoff_quick_reply', 'handoff_acknowledge', 'handoff_snooze', 'handoff_reassign'];
+
+const REASSIGN_CALLBACK_ID = 'handoff_reassign_modal';
+const QUICK_REPLY_CALLBACK_ID = 'handoff_quick_reply_modal';
+export const HANDOFF_MODAL_CALLBACK_IDS = [REASSIGN_CALLBACK_ID, QUICK_REPLY_CALLBACK_ID];
+
+// Slack limits static_select menus to 100 options
+const MAX_SELECT_OPTIONS = 100;
+
+// Longest customer/Fin message shown in the quick reply modal
+const MAX_QUOTE_LENGTH = 1200;
+
+// Status lines kept on the original message
+const MAX_STATUS_LINES = 10;
+
+// Modal submissions don't include the DM they came from, so its blocks are
+// kept here while the modal is open: "channel:ts" -> { channel, ts, blocks, openedAt }
+const openModalMessages = new Map();
+const MODAL_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Handle a click on one of the handoff buttons
+ * @param {Object} payload - Parsed block_actions payload
+ * @param {Object} actionItem - The clicked action
+ * @param {string} userEmail - Email of the Slack user who clicked
+ * @returns {Promise<Object>} - Interaction response
+ */
+export async function handleHandoffAction(payload, actionItem, userEmail) {
+  const conversationId = actionItem.value;
+  const userId = payload.user.id;
+  const message = getMessageRef(payload);
+
+  try {
+    switch (actionItem.action_id) {
+      case 'handoff_quick_reply':
+        return await openQuickReplyModal(payload, message, conversationId);
+      case 'handoff_acknowledge':
+        return await acknowledge(payload, message, conversationId, userId, userEmail);
+      case 'handoff_snooze':
+        return await snooze(payload, message, conversationId, userId, userEmail);
+      case 'handoff_reassign':
+        return await openReassignModal(payload, message, conversationId);
+      default:
+        return { text: 'Unknown action' };
+    }
+  } catch (err) {
+    console.error(`[${conversationId}] Error handling ${actionItem.action_id}:`, err);
+    await respondToAction(payload.response_url, { text: `❌ Could not complete that action: ${err.message}` });
+    return {};
+  }
+}
+
+/**
+ * Acknowledge a handoff: stop the nudge ladder and record time-to-ack
+ */
+async function acknowledge(payload, message, conversationId, userId, userEmail) {
+  const existing = await get(ACK_NAMESPACE, conversationId);
+  if (existing) {
+    await respondToAction(payload.response_url, {
+      text: `Already acknowledged by <@${existing.slackUserId}> at ${new Date(existing.acknowledgedAt).toLocaleString()}.`
+    });
+    return {};
+  }
+
+  await cancelNudge(conversationId);
+  await recordAcknowledgement(conversationId, message, userId, userEmail);
+
+  await updateOriginalMessage(conversationId, message, `👍 Acknowledged by <@${userId}>`, ['handoff_acknowledge'], payload.response_url);
+  await recordTicketEvent(conversationId, 'acknowledged', { text: `by ${userEmail}` });
+  return {};
+}
+
+/**
+ * Record time-to-ack for a handoff
+ * @param {string} conversationId - Conversation or ticket ID
+ * @param {Object} message - { channel, ts } of the DM (its ts is when the assignee was notified)
+ * @param {string} userId - Slack user ID
+ * @param {string} userEmail - Slack user's email
+ */
+async function recordAcknowledgement(conversationId, message, userId, userEmail) {
+  const notifiedAt = message.ts ? Math.round(parseFloat(message.ts) * 1000) : null;
+  const acknowledgedAt = Date.now();
+  const timeToAckSeconds = notifiedAt ? Math.max(0, Math.round((acknowledgedAt - notifiedAt) / 1000)) : null;
+
+  await set(ACK_NAMESPACE, conversationId, {
+    conversationId,
+    acknowledgedBy: userEmail,
+    slackUserId: userId,
+    notifiedAt,
+    acknowledgedAt,
+    timeToAckSeconds
+  }, { ttlSeconds: ACK_TTL_SECONDS });
+
+  console.log(`[${conversationId}] Acknowledged by ${userEmail}${timeToAckSeconds !== null ? ` after ${timeToAckSeconds}s` : ''}`);
+}
+
+/**
+ * Snooze the conversation in Intercom for SNOOZE_MINUTES
+ */
+async function snooze(payload, message, conversationId, userId, userEmail) {
+  const adminId = await getActingAdminId(userEmail, userId);
+  const snoozedUntil = Math.floor(Date.now() / 1000) + SNOOZE_MINUTES * 60;
+
+  await snoozeConversation(conversationId, adminId, snoozedUntil);
+
+  const until = new Date(snoozedUntil * 1000).toLocaleTimeString();
+  await updateOriginalMessage(conversationId, message, `💤 Snoozed until ${until} by <@${userId}>`, [], payload.response_url);
+  await recordTicketEvent(conversationId, 'snoozed', { text: `for ${SNOOZE_MINUTES} minutes by ${userEmail}` });
+  return {};
+}
+
+/**
+ * Open the reassign modal (admin or team picker)
+ * Opened with a loading message first: listing admins and teams can take longer
+ * than the trigger_id's 3 seconds.
+ */
+async function openReassignModal(payload, message, conversationId) {
+  const messageKey = rememberMessage(message);
+
+  await openLoadingModal(payload, {
+    callback_id: REASSIGN_CALLBACK_ID,
+    // Where to report back once the modal is submitted
+    private_metadata: JSON.stringify({ conversationId, messageKey, responseUrl: payload.response_url }),
+    title: { type: 'plain_text', text: 'Reassign' },
+    submit: { type: 'plain_text', text: 'Reassign' }
+  }, {
+    loading: 'Loading teammates and teams...',
+    failed: 'Could not open the reassign dialog. Please reassign in Intercom.'
+  }, async () => {
+    const [admins, teams] = await Promise.all([listAdmins(), listTeams()]);
+
+    const toOption = (label, value) => ({
+      text: { type: 'plain_text', text: label.substring(0, 75) },
+      value: String(value)
+    });
+
+    const adminOptions = admins
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+      .slice(0, MAX_SELECT_OPTIONS)
+      .map(admin => toOption(admin.away_mode_enabled ? `${admin.name} (away)` : admin.name, admin.id));
+
+    const teamOptions = teams
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+      .slice(0, MAX_SELECT_OPTIONS)
+      .map(team => toOption(team.name, team.id));
+
+    const blocks = [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `Reassign conversation *${conversationId}* to a teammate or a team.`
+        }
+      }
+    ];
+
+    if (adminOptions.length > 0) {
+      blocks.push({
+        type: 'input',
+        block_id: 'reassign_admin',
+        optional: true,
+        label: { type: 'plain_text', text: 'Teammate' },
+        element: {
+          type: 'static_select',
+          action_id: 'admin',
+          placeholder: { type: 'plain_text', text: 'Pick a teammate' },
+          options: adminOptions
+        }
+      });
+    }
+
+    if (teamOptions.length > 0) {
+      blocks.push({
+        type: 'input',
+        block_id: 'reassign_team',
+        optional: true,
+        label: { type: 'plain_text', text: 'Team' },
+        element: {
+          type: 'static_select',
+          action_id: 'team',
+          placeholder: { type: 'plain_text', text: 'Pick a team' },
+          options: teamOptions
+        }
+      });
+    }
+
+    return blocks;
+  });
+  return {};
+}
+
+/**
+ * Open a modal with a loading message, then fill it in with views.update
+ * @param {Object} payload - Parsed block_actions payload
+ * @param {Object} view - Modal fields (callback_id, private_metadata, title, submit)
+ * @param {Object} texts - { loading, failed } messages
+ * @param {Function} loadBlocks - Resolves to the modal's blocks
+ */
+async function openLoadingModal(payload, view, texts, loadBlocks) {
+  const { submit, ...base } = { type: 'modal', close: { type: 'plain_text', text: 'Cancel' }, ...view };
+  const textBlocks = text => [{ type: 'section', text: { type: 'mrkdwn', text } }];
+
+  // No submit button until the content is there
+  const viewId = await openView(payload.trigger_id, { ...base, blocks: textBlocks(`⏳ ${texts.loading}`) });
+  if (!viewId) {
+    await respondToAction(payload.response_url, { text: `❌ ${texts.failed}` });
+    return;
+  }
+
+  let blocks;
+  try {
+    blocks = await loadBlocks();
+  } catch (err) {
+    console.error(`Error loading ${view.callback_id}:`, err);
+    await updateView(viewId, { ...base, blocks: textBlocks(`❌ ${texts.failed}\n${err.message}`) });
+    return;
+  }
+
+  if (!(await updateView(viewId, { ...base, submit, blocks }))) {
+    await respondToAction(payload.response_url, { text: `❌ ${texts.failed}` });
+  }
+}
+
+/**
+ * Open the quick reply modal, showing the latest customer message and Fin answer
+ * The conversation is fetched after the modal opens (with a loading message),
+ * so a slow Intercom response doesn't expire the trigger_id.
+ */
+async function openQuickReplyModal(payload, message, conversationId) {
+  const messageKey = rememberMessage(message);
+
+  await openLoadingModal(payload, {
+    callback_id: QUICK_REPLY_CALLBACK_ID,
+    private_metadata: JSON.stringify({ conversationId, messageKey, responseUrl: payload.response_url }),
+    title: { type: 'plain_text', text: 'Quick reply' },
+    submit: { type: 'plain_text', text: 'Send reply' }
+  }, {
+    loading: 'Loading the conversation...',
+    failed: 'Could not open the reply dialog. Please reply in Intercom.'
+  }, async () => {
+    const conversation = await getConversation(conversationId, { fresh: true });
+    const { customerMessage, finAnswer } = getLastExchange(conversation);
+
+    const blocks = [];
+    if (customerMessage) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*Customer${customerMessage.authorName ? ` (${customerMessage.authorName})` : ''}:*\n${quote(customerMessage.text)}`
+        }
+      });
+    }
+    if (finAnswer) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*Fin:*\n${quote(finAnswer.text)}`
+        }
+      });
+    }
+    if (blocks.length === 0) {
+      blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: 'No customer or Fin messages found in this conversation.' }]
+      });
+    }
+
+    blocks.push({ type: 'divider' });
+    blocks.push({
+      type: 'input',
+      block_id: 'quick_reply',
+      label: { type: 'plain_text', text: 'Your reply to the customer' },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'text',
+        multiline: true,
+        focus_on_load: true
+      }
+    });
+
+    return blocks;
+  });
+  return {};
+}
+
+/**
+ * Handle submission of one of the handoff modals
+ * @param {Object} payload - Parsed view_submission payload
+ * @param {string} userEmail - Email of the Slack user who submitted
+ * @returns {Promise<Object>} - View submission response (errors keep the modal open)
+ */
+export async function handleHandoffSubmission(payload, userEmail) {
+  switch (payload.view.callback_id) {
+    case REASSIGN_CALLBACK_ID:
+      return handleReassignSubmission(payload, userEmail);
+    case QUICK_REPLY_CALLBACK_ID:
+      return handleQuickReplySubmission(payload, userEmail);
+    default:
+      return {};
+  }
+}
+
+/**
+ * Post the quick reply to the conversation and stop the nudge ladder
+ */
+async function handleQuickReplySubmission(payload, userEmail) {
+  const { conversationId, messageKey, responseUrl } = JSON.parse(payload.view.private_metadata || '{}');
+  const text = payload.view.state?.values?.quick_reply?.text?.value?.trim();
+
+  if (!text) {
+    return { response_action: 'errors', errors: { quick_reply: 'Write a reply first' } };
+  }
+
+  try {
+    const adminId = await getActingAdminId(userEmail, payload.user.id);
+    await replyToConversation(conversationId, adminId, textToHtml(text));
+  } catch (err) {
+    console.error(`[${conversationId}] Error sending quick reply:`, err);
+    return { response_action: 'errors', errors: { quick_reply: `Intercom rejected the reply: ${err.message}`.substring(0, 150) } };
+  }
+
+  // The assignee has answered, so there is nothing left to nudge about
+  await cancelNudge(conversationId);
+
+  console.log(`[${conversationId}] Quick reply sent by ${userEmail}`);
+
+  // Replying counts as acknowledging
+  const message = takeMessage(messageKey);
+  if (!(await get(ACK_NAMESPACE, conversationId))) {
+    await recordAcknowledgement(conversationId, message, payload.user.id, userEmail);
+  }
+
+  await updateOriginalMessage(conversationId, message, `💬 Replied from Slack by <@${payload.user.id}>`, ['handoff_acknowledge'], responseUrl);
+  await recordTicketEvent(conversationId, 'replied', { text: `from Slack by ${userEmail}` });
+
+  return { response_action: 'clear' };
+}
+
+/**
+ * Handle submission of the reassign modal
+ */
+async function handleReassignSubmission(payload, userEmail) {
+  const metadata = JSON.parse(payload.view.private_metadata || '{}');
+  const { conversationId, messageKey, responseUrl } = metadata;
+  const values = payload.view.state?.values || {};
+  const adminOption = values.reassign_admin?.admin?.selected_option;
+  const teamOption = values.reassign_team?.team?.selected_option;
+
+  if (!adminOption && !teamOption) {
+    const blockId = values.reassign_admin ? 'reassign_admin' : 'reassign_team';
+    return { response_action: 'errors', errors: { [blockId]: 'Pick a teammate or a team' } };
+  }
+  if (adminOption && teamOption) {
+    return { response_action: 'errors', errors: { reassign_team: 'Pick either a teammate or a team, not both' } };
+  }
+
+  const assignee = adminOption
+    ? { type: 'admin', id: adminOption.value, name: adminOption.text.text }
+    : { type: 'team', id: teamOption.value, name: teamOption.text.text };
+
+  try {
+    const adminId = await getActingAdminId(userEmail, payload.user.id);
+    await assignConversation(conversationId, adminId, assignee);
+  } catch (err) {
+    console.error(`[${conversationId}] Error reassigning conversation:`, err);
+    const blockId = adminOption ? 'reassign_admin' : 'reassign_team';
+    return { response_action: 'errors', errors: { [blockId]: `Intercom rejected the assignment: ${err.message}`.substring(0, 150) } };
+  }
+
+  // The new assignee gets their own handoff notification; this ladder no longer applies
+  await cancelNudge(conversationId);
+
+  console.log(`[${conversationId}] Reassigned to ${assignee.type} ${assignee.name} by ${userEmail}`);
+
+  await updateOriginalMessage(conversationId, takeMessage(messageKey), `🔀 Reassigned to *${assignee.name}* by <@${payload.user.id}>`, HANDOFF_ACTION_IDS, responseUrl, { final: true });
+
+  return { response_action: 'clear' };
+}
+
+/**
+ * Get acknowledgement stats
+ * @returns {Promise<Object>} - { acknowledged, averageSeconds, medianSeconds }
+ */
+export async function getAcknowledgementStats() {
+  const times = Object.values(await getAll(ACK_NAMESPACE))
+    .map(ack => ack.timeToAckSeconds)
+    .filter(seconds => typeof seconds === 'number')
+    .sort((a, b) => a - b);
+
+  return {
+    acknowledged: times.length,
+    averageSeconds: times.length > 0 ? Math.round(times.reduce((sum, t) => sum + t, 0) / times.length) : null,
+    medianSeconds: times.length > 0 ? times[Math.floor(times.length / 2)] : null
+  };
+}
+
+/**
+ * Get the Intercom admin to act as for a Slack user
+ * @param {string} userEmail - Slack user's email
+ * @param {string} slackUserId - Slack user ID (for `/cx-alerts link` links)
+ * @returns {Promise<string>} - Intercom admin ID
+ */
+async function getActingAdminId(userEmail, slackUserId) {
+  const link = await getLinkForSlackUser(slackUserId);
+  if (link?.intercomAdminId) {
+    return link.intercomAdminId;
+  }
+
+  const admin = await findAdminByEmail(link?.intercomEmail || userEmail);
+  if (admin) {
+    return admin.id;
+  }
+  if (INTERCOM_ACTION_ADMIN_ID) {
+    return INTERCOM_ACTION_ADMIN_ID;
+  }
+  throw new Error(`no Intercom teammate found for ${userEmail}`);
+}
+
+/**
+ * Keep a DM's blocks while a modal opened from it is open
+ * @param {Object} message - { channel, ts, blocks }
+ * @returns {string} - Key to pass in the modal's private_metadata
+ */
+function rememberMessage(message) {
+  const now = Date.now();
+  for (const [key, entry] of openModalMessages) {
+    if (now - entry.openedAt > MODAL_TTL_MS) openModalMessages.delete(key);
+  }
+
+  const key = `${message.channel}:${message.ts}`;
+  openModalMessages.set(key, { ...message, openedAt: now });
+  return key;
+}
+
+/**
+ * Get (and forget) the DM a submitted modal was opened from
+ * @param {string} key - Key from rememberMessage
+ * @returns {Object} - { channel, ts, blocks }, or {} if unknown (e.g. after a restart)
+ */
+function takeMessage(key) {
+  const message = openModalMessages.get(key) || {};
+  openModalMessages.delete(key);
+  return message;
+}
+
+/**
+ * Format a message as a Slack quote, truncated for the modal
+ * @param {string} text - Plain text
+ * @returns {string} - mrkdwn quote
+ */
+function quote(text) {
+  const truncated = text.length > MAX_QUOTE_LENGTH ? `${text.substring(0, MAX_QUOTE_LENGTH - 3)}...` : text;
+  return truncated.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Convert a plain-text reply to the HTML Intercom expects
+ * @param {string} text - Plain text (one paragraph per line)
+ * @returns {string} - HTML
+ */
+function textToHtml(text) {
+  const escape = str => str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return text.split(/\n/).map(line => `<p>${escape(line) || '<br>'}</p>`).join('');
+}
+
+/**
+ * Get the DM a button was clicked in
+ * @param {Object} payload - block_actions payload
+ * @returns {Object} - { channel, ts, blocks }
+ */
+function getMessageRef(payload) {
+  return {
+    channel: payload.container?.channel_id || payload.channel?.id,
+    ts: payload.container?.message_ts || payload.message?.ts,
+    blocks: payload.message?.blocks || null
+  };
+}
+
+/**
+ * Remember the assignment DM sent for a conversation
+ * @param {string} conversationId - Conversation ID (ticket ID for tickets without one)
+ * @param {Object} message - { channel, ts, blocks, assigneeId, assigneeEmail, itemId, assignedAt }
+ */
+export async function recordHandoffMessage(conversationId, message) {
+  await set(HANDOFF_MESSAGE_NAMESPACE, String(conversationId), {
+    ...message,
+    sentAt: message.sentAt || Date.now(),
+    final: false
+  }, { ttlSeconds: HANDOFF_MESSAGE_TTL_SECONDS });
+}
+
+/**
+ * Get the last assignment DM sent for a conversation
+ * @param {string} conversationId - Conversation ID (ticket ID for tickets without one)
+ * @returns {Promise<Object|null>} - Stored DM record or null
+ */
+export async function getHandoffMessage(conversationId) {
+  return get(HANDOFF_MESSAGE_NAMESPACE, String(conversationId));
+}
+
+/**
+ * Add a status line to the stored assignment DM of a conversation
+ * Used for Intercom events that happen outside Slack. Once a DM is final
+ * (reassigned, unassigned, closed) it is no longer updated.
+ * @param {string} conversationId - Conversation ID (ticket ID for tickets without one)
+ * @param {string} statusText - Status line (mrkdwn)
+ * @param {Object} options - Options
+ * @param {boolean} options.final - Remove the handoff buttons and stop further updates
+ * @returns {Promise<boolean>} - True if the DM was updated
+ */
+export async function updateHandoffMessage(conversationId, statusText, { final = false } = {}) {
+  const record = await getHandoffMessage(conversationId);
+  if (!record || record.final || !record.blocks) {
+    return false;
+  }
+
+  const blocks = withStatusLine(record.blocks, statusText, final ? HANDOFF_ACTION_IDS : []);
+  const updated = await updateMessage(record.channel, record.ts, blocks, { text: statusText });
+  if (!updated) {
+    console.error(`[${conversationId}] Could not update handoff DM ${record.channel}/${record.ts}`);
+    return false;
+  }
+
+  await saveHandoffBlocks(conversationId, record, blocks, final);
+  return true;
+}
+
+/**
+ * Save updated blocks on a stored DM record (keeping its TTL window)
+ */
+async function saveHandoffBlocks(conversationId, record, blocks, final) {
+  const ttlSeconds = Math.max(60, Math.round(HANDOFF_MESSAGE_TTL_SECONDS - (Date.now() - record.sentAt) / 1000));
+  await set(HANDOFF_MESSAGE_NAMESPACE, String(conversationId), {
+    ...record,
+    blocks,
+    final: record.final || final
+  }, { ttlSeconds });
+}
+
+/**
+ * Add a status line to DM blocks and remove buttons that no longer apply
+ * @param {Array} messageBlocks - Current blocks of the DM
+ * @param {string} statusText - Status line (mrkdwn)
+ * @param {Array<string>} removeActionIds - Buttons to remove
+ * @returns {Array} - Updated blocks
+ */
+function withStatusLine(messageBlocks, statusText, removeActionIds) {
+  const line = `${statusText} · ${new Date().toLocaleString()}`;
+  const previousStatus = messageBlocks.find(block => block.block_id === 'handoff_status');
+  const statusBlock = {
+    type: 'context',
+    block_id: 'handoff_status',
+    elements: [...(previousStatus?.elements || []), { type: 'mrkdwn', text: line }].slice(-MAX_STATUS_LINES)
+  };
+
+  const blocks = [];
+  for (const block of messageBlocks) {
+    if (block.block_id === 'handoff_status') continue;
+    if (block.block_id === 'handoff_actions') {
+      blocks.push(statusBlock);
+      blocks.push({ ...block, elements: block.elements.filter(el => !removeActionIds.includes(el.action_id)) });
+      continue;
+    }
+    blocks.push(block);
+  }
+  return blocks;
+}
+
+/**
+ * Add a status line to the original DM and remove buttons that no longer apply
+ * @param {string} conversationId - Conversation ID the buttons act on
+ * @param {Object} message - { channel, ts, blocks } of the DM
+ * @param {string} statusText - Status line (mrkdwn)
+ * @param {Array<string>} removeActionIds - Buttons to remove
+ * @param {string} responseUrl - Used to reply instead when the DM can't be edited
+ * @param {Object} options - Options
+ * @param {boolean} options.final - Stop Intercom events from updating this DM
+ */
+async function updateOriginalMessage(conversationId, message, statusText, removeActionIds, responseUrl, { final = false } = {}) {
+  if (!message.blocks) {
+    await respondToAction(responseUrl, { text: `${statusText} · ${new Date().toLocaleString()}` });
+    return;
+  }
+
+  const blocks = withStatusLine(message.blocks, statusText, removeActionIds);
+  const updated = await updateMessage(message.channel, message.ts, blocks, { text: statusText });
+  if (!updated) {
+    await respondToAction(responseUrl, { text: `${statusText} · ${new Date().toLocaleString()}` });
+    return;
+  }
+
+  // Keep the stored copy in step so later Intercom events build on these blocks
+  const record = await getHandoffMessage(conversationId);
+  if (record && record.channel === message.channel && record.ts === message.ts) {
+    await saveHandoffBlocks(conversationId, record, blocks, final);
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * Holiday and date-exception calendar for business hours
+ * Loads closures and shortened days from a JSON file and optional ICS calendars
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const HOLIDAYS_FILE = process.env.BUSINESS_HOURS_HOLIDAYS_FILE
+  ? path.resolve(process.env.BUSINESS_HOURS_HOLIDAYS_FILE)
+  : path.join(__dirname, '..', 'holidays.json');
+
+// Comma-separated list of .ics files to merge in (e.g. an exported public holiday calendar)
+const HOLIDAYS_ICS_FILES = process.env.BUSINESS_HOURS_HOLIDAYS_ICS
+  ? process.env.BUSINESS_HOURS_HOLIDAYS_ICS.split(',').map(f => path.resolve(f.trim())).filter(Boolean)
+  : [];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+// In-memory calendar: "YYYY-MM-DD" -> { date, name, closed, start, end, source }
+const holidayStore = new Map();
+
+/**
+ * Normalize a holiday entry from the JSON file
+ * Entries without start/end close the whole day; entries with them replace
+ * the normal business window for that day (e.g. a half-day).
+ * @param {Object} entry - Raw entry { date, name, start?, end? }
+ * @param {string} source - Where the entry came from (for logging)
+ * @returns {Object|null} - Normalized entry or null if invalid
+ */
+function normalizeEntry(entry, source) {
+  if (!entry || typeof entry.date !== 'string' || !DATE_PATTERN.test(entry.date)) {
+    console.warn(`Ignoring holiday entry with invalid date from ${source}:`, entry);
+    return null;
+  }
+
+  const hasWindow = entry.start !== undefined || entry.end !== undefined;
+  if (hasWindow && (!TIME_PATTERN.test(entry.start || '') || !TIME_PATTERN.test(entry.end || ''))) {
+    console.warn(`Ignoring holiday entry ${entry.date} from ${source}: start and end must both be HH:MM`);
+    return null;
+  }
+
+  return {
+    date: entry.date,
+    name: entry.name || 'Closed',
+    closed: !hasWindow,
+    start: hasWindow ? entry.start : null,
+    end: hasWindow ? entry.end : null,
+    source
+  };
+}
+
+/**
+ * Unfold and split ICS content into lines
+ * @param {string} text - Raw ICS text
+ * @returns {Array<string>} - Logical lines
+ */
+function unfoldICSLines(text) {
+  // RFC 5545: lines starting with a space or tab continue the previous line
+  return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+}
+
+/**
+ * Parse an ICS date or date-time value
+ * @param {string} params - Property parameters (e.g. ";VALUE=DATE" or ";TZID=Europe/London")
+ * @param {string} value - Property value (e.g. "20261225" or "20261224T130000Z")
+ * @returns {Object|null} - { date: "YYYY-MM-DD", time: "HH:MM"|null, utc: boolean }
+ */
+function parseICSDate(params, value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, zulu] = match;
+  const isDateOnly = params.includes('VALUE=DATE') || hour === undefined;
+
+  return {
+    date: `${year}-${month}-${day}`,
+    time: isDateOnly ? null : `${hour}:${minute}`,
+    utc: !!zulu
+  };
+}
+
+/**
+ * Add one day to a "YYYY-MM-DD" date string
+ * @param {string} date - Date string
+ * @returns {string} - Next date string
+ */
+function nextDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse holidays from ICS calendar text
+ * All-day events close every day they cover (DTEND is exclusive). A timed
+ * event is treated as "closing early": business hours end at its start time.
+ * Timed events in UTC cannot be mapped to local time here and are skipped.
+ * @param {string} text - Raw ICS text
+ * @param {string} defaultStart - Business day start time (HH:MM) used for early closures
+ * @returns {Array<Object>} - Raw entries { date, name, start?, end? }
+ */
+export function parseICS(text, defaultStart = process.env.BUSINESS_HOURS_START || '09:00') {
+  const entries = [];
+  let event = null;
+
+  for (const line of unfoldICSLines(text)) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event?.start) {
+        entries.push(...eventToEntries(event, defaultStart));
+      }
+      event = null;
+      continue;
+    }
+
+    if (!event) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const [name, ...paramParts] = line.slice(0, separator).split(';');
+    const params = paramParts.join(';');
+    const value = line.slice(separator + 1);
+
+    if (name === 'DTSTART') {
+      event.start = parseICSDate(params, value);
+    } else if (name === 'DTEND') {
+      event.end = parseICSDate(params, value);
+    } else if (name === 'SUMMARY') {
+      event.summary = value.replace(/\\,/g, ',').replace(/\\;/g, ';').replace(/\\n/gi, ' ').trim();
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Convert a parsed VEVENT into holiday entries
+ * @param {Object} event - { start, end, summary }
+ * @param {string} defaultStart - Business day start time (HH:MM)
+ * @returns {Array<Object>} - Raw entries
+ */
+function eventToEntries(event, defaultStart) {
+  const name = event.summary || 'Closed';
+
+  if (event.start.time === null) {
+    // All-day event: DTEND is exclusive and defaults to the next day
+    const entries = [];
+    const endDate = event.end?.date || nextDate(event.start.date);
+    for (let date = event.start.date; date < endDate && entries.length < 366; date = nextDate(date)) {
+      entries.push({ date, name });
+    }
+    return entries;
+  }
+
+  if (event.start.utc) {
+    console.warn(`Skipping timed ICS event "${name}" on ${event.start.date}: UTC times are not supported, use an all-day event or a local TZID`);
+    return [];
+  }
+
+  return [{ date: event.start.date, name, start: defaultStart, end: event.start.time }];
+}
+
+/**
+ * Read holiday entries from a file into a calendar map
+ * Files ending in .ics are parsed as calendars, anything else as JSON.
+ * @param {string} file - Absolute file path
+ * @param {Map<string, Object>} calendar - Calendar to add entries to
+ */
+function readHolidayFile(file, calendar) {
+  const text = fs.readFileSync(file, 'utf-8');
+
+  let entries;
+  if (file.toLowerCase().endsWith('.ics')) {
+    entries = parseICS(text);
+  } else {
+    const data = JSON.parse(text);
+    entries = Array.isArray(data) ? data : (data.holidays || []);
+  }
+
+  for (const raw of entries) {
+    const entry = normalizeEntry(raw, path.basename(file));
+    if (entry) calendar.set(entry.date, entry);
+  }
+}
+
+/**
+ * Load a standalone holiday calendar (e.g. for a regional schedule)
+ * @param {string} file - JSON or ICS file path, relative to the project root
+ * @returns {Map<string, Object>} - Date string -> holiday entry
+ */
+export function loadHolidayCalendar(file) {
+  const calendar = new Map();
+  const resolved = path.resolve(path.join(__dirname, '..'), file);
+
+  try {
+    readHolidayFile(resolved, calendar);
+  } catch (err) {
+    console.error(`Error loading holiday calendar ${resolved}:`, err.message);
+  }
+
+  return calendar;
+}
+
+/**
+ * Load holidays from the JSON file and any configured ICS calendars
+ * JSON entries win over ICS entries for the same date.
+ * @returns {number} - Number of dates loaded
+ */
+export function loadHolidays() {
+  holidayStore.clear();
+
+  for (const icsFile of HOLIDAYS_ICS_FILES) {
+    try {
+      readHolidayFile(icsFile, holidayStore);
+    } catch (err) {
+      console.error(`Error loading holiday calendar ${icsFile}:`, err.message);
+    }
+  }
+
+  try {
+    readHolidayFile(HOLIDAYS_FILE, holidayStore);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error loading holidays file:', err.message);
+    }
+  }
+
+  if (holidayStore.size > 0) {
+    console.log(`Loaded ${holidayStore.size} holiday/exception dates`);
+  }
+
+  return holidayStore.size;
+}
+
+// Load holidays on startup
+loadHolidays();
+
+/**
+ * Get the holiday calendar
+ * @returns {Map<string, Object>} - Date string -> holiday entry
+ */
+export function getHolidays() {
+  return holidayStore;
+}
+
+/**
+ * Get the path of the holidays JSON file
+ * @returns {string} - Absolute path
+ */
+export function getHolidaysFile() {
+  return HOLIDAYS_FILE;
+}
@@ -0,0 +1,295 @@
+/**
+ * Identity directory: Intercom admin <-> email <-> Slack user <-> DM channel
+ * Slack lookups are cached in storage so notifications and slash commands
+ * don't hit the Slack API every time. Links made with `/cx-alerts link` map
+ * people whose email differs between Intercom and Slack, and take precedence
+ * over the email lookup.
+ */
+
+import { get, set, remove, getAll } from './storage.js';
+import { callSlack, isRecipientError } from './slack-client.js';
+
+// How long resolved identities and DM channels are trusted before looking them up again
+const IDENTITY_CACHE_TTL_SECONDS = parseInt(process.env.IDENTITY_CACHE_TTL_HOURS || '24', 10) * 60 * 60;
+// Emails with no Slack user are retried sooner, so new teammates are picked up quickly
+const IDENTITY_MISS_TTL_SECONDS = 15 * 60;
+
+// Key: email used for the lookup (lowercase), Value: { slackUserId, email, resolvedAt } (slackUserId null when not found)
+const EMAIL_NAMESPACE = 'slack_identities';
+// Key: Slack user ID, Value: { slackUserId, email, dmChannelId, updatedAt }
+const USER_NAMESPACE = 'slack_users';
+// Key: "admin:<Intercom admin ID>" or "email:<Intercom email>", Value: { slackUserId, intercomAdminId, intercomEmail, linkedBy, linkedAt }
+const LINK_NAMESPACE = 'identity_links';
+
+/**
+ * Look up Slack user by email address (uncached - see resolveSlackUser)
+ * @param {string} email - Email address to look up
+ * @returns {Promise<string|null>} - Slack user ID or null if not found
+ * @throws {SlackApiError} - For failures other than an unknown user
+ */
+export async function lookupUserByEmail(email) {
+  if (!email) {
+    return null;
+  }
+
+  try {
+    const data = await callSlack('users.lookupByEmail', { email });
+    return data.user?.id || null;
+  } catch (err) {
+    if (isRecipientError(err)) return null;
+    throw err;
+  }
+}
+
+/**
+ * Open or get existing DM conversation with a user (uncached - see openUserDM)
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<string|null>} - Channel ID or null if the user can't be messaged
+ * @throws {SlackApiError} - For failures other than an unreachable user
+ */
+export async function openDM(userId) {
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    const data = await callSlack('conversations.open', { users: userId });
+    return data.channel?.id || null;
+  } catch (err) {
+    if (isRecipientError(err)) return null;
+    throw err;
+  }
+}
+
+/**
+ * Get user email from Slack user ID (uncached - see getSlackUserEmail)
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<string|null>} - User email or null
+ */
+async function fetchSlackUserEmail(userId) {
+  try {
+    const data = await callSlack('users.info', { user: userId });
+    return data.user?.profile?.email || data.user?.email || null;
+  } catch (err) {
+    if (isRecipientError(err)) return null;
+    throw err;
+  }
+}
+
+/**
+ * Map Intercom relay addresses (name@intercom-mail.com) to the workspace domain
+ * @param {string} email - Email address
+ * @returns {string|null} - Mapped address, or null if not a relay address
+ */
+function mapRelayAddress(email) {
+  const match = email.match(/^([^@]+)@intercom-mail\.com$/i);
+  if (!match) {
+    return null;
+  }
+  return `${match[1]}@${process.env.EMAIL_DOMAIN || 'staytuned.digital'}`;
+}
+
+/**
+ * Save what we know about a Slack user, keeping a cached DM channel
+ * @param {string} slackUserId - Slack user ID
+ * @param {Object} fields - { email, dmChannelId }
+ * @returns {Promise<Object>} - Saved record
+ */
+async function saveSlackUser(slackUserId, fields) {
+  const existing = await get(USER_NAMESPACE, slackUserId);
+  const record = { ...existing, slackUserId, ...fields, updatedAt: Date.now() };
+  await set(USER_NAMESPACE, slackUserId, record, { ttlSeconds: IDENTITY_CACHE_TTL_SECONDS });
+  return record;
+}
+
+/**
+ * Get the link for an Intercom admin or email
+ * @param {Object} who - { adminId, email }
+ * @returns {Promise<Object|null>} - Link record or null
+ */
+async function getLink({ adminId = null, email = null }) {
+  if (adminId) {
+    const link = await get(LINK_NAMESPACE, `admin:${adminId}`);
+    if (link) return link;
+  }
+  if (email) {
+    return get(LINK_NAMESPACE, `email:${email.toLowerCase()}`);
+  }
+  return null;
+}
+
+/**
+ * Resolve the Slack user for an Intercom admin
+ * Order: link (by admin ID, then email), cache, Slack lookup by email (then
+ * the EMAIL_DOMAIN address for Intercom relay addresses).
+ * @param {Object} who - { email: Intercom email, adminId: Intercom admin ID }
+ * @returns {Promise<{slackUserId: string, email: string, source: string}|null>} - email is the Slack
+ *   user's email (the key preferences use), or null if there is no Slack user
+ */
+export async function resolveSlackUser({ email = null, adminId = null }) {
+  const link = await getLink({ adminId, email });
+  if (link) {
+    const slackEmail = await getSlackUserEmail(link.slackUserId).catch(() => null);
+    return { slackUserId: link.slackUserId, email: slackEmail || email, source: 'link' };
+  }
+
+  if (!email) {
+    return null;
+  }
+
+  const key = email.toLowerCase();
+  const cached = await get(EMAIL_NAMESPACE, key);
+  if (cached) {
+    return cached.slackUserId ? { slackUserId: cached.slackUserId, email: cached.email, source: 'cache' } : null;
+  }
+
+  for (const candidate of [email, mapRelayAddress(email)].filter(Boolean)) {
+    const slackUserId = await lookupUserByEmail(candidate);
+    if (slackUserId) {
+      await set(EMAIL_NAMESPACE, key, { slackUserId, email: candidate, resolvedAt: Date.now() },
+        { ttlSeconds: IDENTITY_CACHE_TTL_SECONDS });
+      await saveSlackUser(slackUserId, { email: candidate });
+      return { slackUserId, email: candidate, source: 'lookup' };
+    }
+  }
+
+  await set(EMAIL_NAMESPACE, key, { slackUserId: null, email: null, resolvedAt: Date.now() },
+    { ttlSeconds: IDENTITY_MISS_TTL_SECONDS });
+  return null;
+}
+
+/**
+ * Open (or get the cached) DM channel with a Slack user
+ * @param {string} slackUserId - Slack user ID
+ * @returns {Promise<string|null>} - Channel ID or null if failed
+ */
+export async function openUserDM(slackUserId) {
+  if (!slackUserId) {
+    return null;
+  }
+
+  const user = await get(USER_NAMESPACE, slackUserId);
+  if (user?.dmChannelId) {
+    return user.dmChannelId;
+  }
+
+  const channelId = await openDM(slackUserId);
+  if (!channelId) {
+    return null;
+  }
+
+  await saveSlackUser(slackUserId, { dmChannelId: channelId });
+  return channelId;
+}
+
+/**
+ * Forget the cached lookups for a Slack user
+ * Called when Slack says the user or their DM channel can't be reached
+ * (deactivated, archived), so the next notification looks them up again.
+ * @param {string} slackUserId - Slack user ID
+ */
+export async function forgetSlackUser(slackUserId) {
+  await remove(USER_NAMESPACE, slackUserId);
+  const identities = await getAll(EMAIL_NAMESPACE);
+  for (const [email, identity] of Object.entries(identities)) {
+    if (identity.slackUserId === slackUserId) {
+      await remove(EMAIL_NAMESPACE, email);
+    }
+  }
+}
+
+/**
+ * Get a Slack user's email (cached)
+ * @param {string} slackUserId - Slack user ID
+ * @returns {Promise<string|null>} - Profile email or null
+ */
+export async function getSlackUserEmail(slackUserId) {
+  const user = await get(USER_NAMESPACE, slackUserId);
+  if (user?.email) {
+    return user.email;
+  }
+
+  const email = await fetchSlackUserEmail(slackUserId);
+  if (email) {
+    await saveSlackUser(slackUserId, { email });
+  }
+  return email;
+}
+
+/**
+ * Get the Intercom admin a Slack user is linked to
+ * @param {string} slackUserId - Slack user ID
+ * @returns {Promise<Object|null>} - Link record or null
+ */
+export async function getLinkForSlackUser(slackUserId) {
+  const links = Object.values(await getAll(LINK_NAMESPACE));
+  return links.find(link => link.slackUserId === slackUserId && link.intercomAdminId) ||
+    links.find(link => link.slackUserId === slackUserId) ||
+    null;
+}
+
+/**
+ * Link an Intercom admin to a Slack user
+ * @param {string} slackUserId - Slack user ID
+ * @param {Object} admin - { adminId, email } of the Intercom admin (at least one)
+ * @param {string} linkedBy - Slack user ID of the admin who made the link
+ * @returns {Promise<Object>} - Link record
+ */
+export async function linkIdentity(slackUserId, { adminId = null, email = null }, linkedBy) {
+  if (!slackUserId || (!adminId && !email)) {
+    throw new Error('A Slack user and an Intercom admin ID or email are required');
+  }
+
+  const link = {
+    slackUserId,
+    intercomAdminId: adminId ? String(adminId) : null,
+    intercomEmail: email ? email.toLowerCase() : null,
+    linkedBy,
+    linkedAt: Date.now()
+  };
+
+  if (link.intercomAdminId) {
+    await set(LINK_NAMESPACE, `admin:${link.intercomAdminId}`, link);
+  }
+  if (link.intercomEmail) {
+    await set(LINK_NAMESPACE, `email:${link.intercomEmail}`, link);
+    await remove(EMAIL_NAMESPACE, link.intercomEmail);
+  }
+
+  console.log(`Linked Intercom ${link.intercomAdminId || link.intercomEmail} to Slack user ${slackUserId} (by ${linkedBy})`);
+  return link;
+}
+
+/**
+ * Remove the link for an Intercom admin
+ * @param {Object} admin - { adminId, email }
+ * @returns {Promise<boolean>} - True if a link was removed
+ */
+export async function unlinkIdentity({ adminId = null, email = null }) {
+  const link = await getLink({ adminId, email });
+  if (!link) {
+    return false;
+  }
+
+  if (link.intercomAdminId) {
+    await remove(LINK_NAMESPACE, `admin:${link.intercomAdminId}`);
+  }
+  if (link.intercomEmail) {
+    await remove(LINK_NAMESPACE, `email:${link.intercomEmail}`);
+  }
+
+  console.log(`Unlinked Intercom ${link.intercomAdminId || link.intercomEmail} from Slack user ${link.slackUserId}`);
+  return true;
+}
+
+/**
+ * List identity links (one per linked admin)
+ * @returns {Promise<Array<Object>>} - Link records, newest first
+ */
+export async function listIdentityLinks() {
+  const unique = new Map();
+  for (const link of Object.values(await getAll(LINK_NAMESPACE))) {
+    unique.set(`${link.slackUserId}:${link.intercomAdminId}:${link.intercomEmail}`, link);
+  }
+  return Array.from(unique.values()).sort((a, b) => b.linkedAt - a.linkedAt);
+}
@@ -0,0 +1,68 @@
+/**
+ * Import holidays from an ICS calendar into holidays.json
+ * All-day events become closures; timed events close the business day early
+ * Usage: node src/import-holidays.js <calendar.ics> [--dry-run]
+ * Example: node src/import-holidays.js us-holidays.ics
+ */
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import { parseICS, getHolidaysFile } from './holidays.js';
+
+const icsFile = process.argv[2];
+const isDryRun = process.argv.includes('--dry-run');
+
+async function importHolidays() {
+  if (!icsFile || icsFile.startsWith('--')) {
+    console.error('Usage: node src/import-holidays.js <calendar.ics> [--dry-run]');
+    process.exit(1);
+  }
+
+  const holidaysFile = getHolidaysFile();
+  const imported = parseICS(await fs.readFile(icsFile, 'utf-8'));
+
+  console.log(`\n📅 Found ${imported.length} holiday dates in ${icsFile}`);
+
+  // Load existing entries - existing dates are kept so manual edits are never overwritten
+  let existing = [];
+  try {
+    const data = JSON.parse(await fs.readFile(holidaysFile, 'utf-8'));
+    existing = Array.isArray(data) ? data : (data.holidays || []);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+
+  const byDate = new Map(existing.map(entry => [entry.date, entry]));
+  let added = 0;
+  let skipped = 0;
+
+  for (const entry of imported) {
+    if (byDate.has(entry.date)) {
+      skipped++;
+      continue;
+    }
+    byDate.set(entry.date, entry);
+    added++;
+    const hours = entry.start ? `open ${entry.start}-${entry.end}` : 'closed';
+    console.log(`   + ${entry.date}  ${entry.name} (${hours})`);
+  }
+
+  const merged = Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+
+  console.log(`\n   Added: ${added}, already present: ${skipped}, total: ${merged.length}`);
+
+  if (isDryRun) {
+    console.log('   DRY RUN - holidays file not written\n');
+    return;
+  }
+
+  await fs.writeFile(holidaysFile, JSON.stringify(merged, null, 2) + '\n', 'utf-8');
+  console.log(`   ✅ Wrote ${holidaysFile}\n`);
+}
+
+importHolidays().catch(err => {
+  console.error('❌ Holiday import failed:', err.message);
+  process.exit(1);
+});
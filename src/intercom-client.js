@@ -0,0 +1,250 @@
+/**
+ * Shared Intercom REST API client
+ * - One token (INTERCOM_TOKEN or INTERCOM_ACCESS_TOKEN) and API version (INTERCOM_API_VERSION)
+ * - Throttles when the X-RateLimit-Remaining budget runs low, waits out 429s
+ * - Retries timeouts, network errors and 5xx responses for requests safe to repeat
+ * - Follows cursor pagination (pages.next.starting_after)
+ * - Throws IntercomApiError with the status and Intercom error code
+ */
+
+// Support both INTERCOM_TOKEN and INTERCOM_ACCESS_TOKEN for backward compatibility
+const INTERCOM_TOKEN = process.env.INTERCOM_TOKEN || process.env.INTERCOM_ACCESS_TOKEN;
+const INTERCOM_BASE_URL = 'https://api.intercom.io';
+
+// Tickets need 2.11+
+const INTERCOM_API_VERSION = process.env.INTERCOM_API_VERSION || '2.11';
+const INTERCOM_REQUEST_TIMEOUT_MS = parseInt(process.env.INTERCOM_REQUEST_TIMEOUT_MS || '15000', 10);
+const INTERCOM_MAX_RETRIES = parseInt(process.env.INTERCOM_MAX_RETRIES || '3', 10);
+// Requests left in the rate-limit window below which new requests wait for the window to reset
+const INTERCOM_RATE_LIMIT_RESERVE = parseInt(process.env.INTERCOM_RATE_LIMIT_RESERVE || '20', 10);
+const INTERCOM_RETRY_BASE_MS = 1000;
+// Wait used for a 429 without X-RateLimit-Reset (Intercom's windows are 10 seconds)
+const DEFAULT_RATE_LIMIT_WAIT_MS = 10 * 1000;
+
+// Stop following cursors after this many items
+const MAX_PAGINATED_ITEMS = 1000;
+
+if (!INTERCOM_TOKEN) {
+  console.warn('⚠️  INTERCOM_TOKEN not set. Please set it in your .env file.');
+}
+
+/**
+ * Error from an Intercom API request
+ * The message keeps the "Intercom API error: <status> - <body>" format callers match on.
+ * - status: HTTP status (null for timeouts and network errors)
+ * - code: Intercom error code ("not_found", "rate_limit_exceeded"), or http_<status>, timeout, network_error, not_configured
+ * - retryable: true if the same request may succeed later
+ * - requestId: Intercom request ID, for support tickets
+ */
+export class IntercomApiError extends Error {
+  constructor(message, { method, path, status = null, code = null, retryable = false, requestId = null, cause = null }) {
+    super(message);
+    this.name = 'IntercomApiError';
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.requestId = requestId;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Latest rate-limit headers: { limit, remaining, resetAt (ms) }
+const rateLimit = { limit: null, remaining: null, resetAt: 0 };
+
+const stats = {
+  requests: 0,
+  retries: 0,
+  rateLimited: 0,
+  throttled: 0,
+  failures: 0,
+  lastError: null
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait for the rate-limit window to reset if its budget is nearly used
+ */
+async function throttle() {
+  const waitMs = rateLimit.resetAt - Date.now();
+  if (rateLimit.remaining === null || rateLimit.remaining > INTERCOM_RATE_LIMIT_RESERVE || waitMs <= 0) {
+    return;
+  }
+
+  stats.throttled++;
+  console.warn(`Intercom rate limit nearly used (${rateLimit.remaining}/${rateLimit.limit} left), waiting ${waitMs}ms`);
+  await sleep(waitMs);
+  rateLimit.remaining = null;
+}
+
+/**
+ * Remember the rate-limit headers of a response
+ * @param {Response} response - Fetch response
+ */
+function recordRateLimit(response) {
+  const remaining = parseInt(response.headers.get('x-ratelimit-remaining'), 10);
+  if (Number.isNaN(remaining)) {
+    return;
+  }
+  rateLimit.remaining = remaining;
+  rateLimit.limit = parseInt(response.headers.get('x-ratelimit-limit'), 10) || rateLimit.limit;
+  const reset = parseInt(response.headers.get('x-ratelimit-reset'), 10);
+  rateLimit.resetAt = reset ? reset * 1000 : Date.now() + DEFAULT_RATE_LIMIT_WAIT_MS;
+}
+
+/**
+ * Make one request
+ * @returns {Promise<Object>} - Response JSON
+ * @throws {IntercomApiError}
+ */
+async function send(method, path, body) {
+  const headers = {
+    'Authorization': `Bearer ${INTERCOM_TOKEN}`,
+    'Accept': 'application/json',
+    'Intercom-Version': INTERCOM_API_VERSION
+  };
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  let response;
+  try {
+    response = await fetch(`${INTERCOM_BASE_URL}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(INTERCOM_REQUEST_TIMEOUT_MS)
+    });
+  } catch (err) {
+    const code = err.name === 'TimeoutError' ? 'timeout' : 'network_error';
+    throw new IntercomApiError(`Intercom API error: ${code} (${method} ${path})`, { method, path, code, retryable: true, cause: err });
+  }
+
+  recordRateLimit(response);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let details = null;
+    try {
+      details = JSON.parse(errorText);
+    } catch {
+      // Not JSON (proxy errors) - keep the text
+    }
+
+    throw new IntercomApiError(`Intercom API error: ${response.status} - ${errorText}`, {
+      method,
+      path,
+      status: response.status,
+      code: details?.errors?.[0]?.code || (response.status === 429 ? 'rate_limit_exceeded' : `http_${response.status}`),
+      retryable: response.status === 429 || response.status >= 500,
+      requestId: details?.request_id || response.headers.get('x-request-id')
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Send a request to the Intercom API
+ * GET requests (and others marked idempotent) are retried on timeouts, network
+ * errors and 5xx; every request is retried after a 429, which Intercom didn't process.
+ * @param {string} method - HTTP method
+ * @param {string} path - API path, e.g. /conversations/123
+ * @param {Object} options - Additional options
+ * @param {Object} options.body - JSON body
+ * @param {boolean} options.idempotent - Safe to repeat (default: GET only)
+ * @returns {Promise<Object>} - Response JSON
+ * @throws {IntercomApiError}
+ */
+export async function intercomRequest(method, path, options = {}) {
+  if (!INTERCOM_TOKEN) {
+    throw new IntercomApiError('INTERCOM_TOKEN not configured', { method, path, code: 'not_configured' });
+  }
+
+  const idempotent = options.idempotent ?? method === 'GET';
+
+  for (let attempt = 1; ; attempt++) {
+    await throttle();
+    if (rateLimit.remaining !== null) rateLimit.remaining--;
+    stats.requests++;
+
+    try {
+      return await send(method, path, options.body);
+    } catch (err) {
+      const isRateLimited = err.status === 429;
+      if (isRateLimited) stats.rateLimited++;
+
+      if (!err.retryable || (!idempotent && !isRateLimited) || attempt > INTERCOM_MAX_RETRIES) {
+        stats.failures++;
+        stats.lastError = { method, path, status: err.status, code: err.code, at: new Date().toISOString() };
+        console.error(`Intercom API error (${method} ${path}):`, err.status || err.code, err.requestId ? `request ${err.requestId}` : '');
+        throw err;
+      }
+
+      stats.retries++;
+      const delayMs = isRateLimited
+        ? Math.max(rateLimit.resetAt - Date.now(), 0) || DEFAULT_RATE_LIMIT_WAIT_MS
+        : Math.round(INTERCOM_RETRY_BASE_MS * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4));
+      console.warn(`Intercom ${method} ${path} failed (${err.status || err.code}), retry ${attempt}/${INTERCOM_MAX_RETRIES} in ${delayMs}ms`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Fetch every page of a cursor-paginated list or search
+ * POST searches get the cursor in body.pagination, GET lists in the query string.
+ * @param {string} method - HTTP method
+ * @param {string} path - API path, e.g. /tickets/search
+ * @param {Object} options - Additional options
+ * @param {Object} options.body - JSON body (POST searches)
+ * @param {Function} options.getItems - Extracts the items from a page (default: data)
+ * @param {number} options.maxItems - Stop after this many items (default 1000)
+ * @returns {Promise<{items: Array, pages: number, totalCount: number|null}>} - All items
+ */
+export async function intercomPaginate(method, path, options = {}) {
+  const getItems = options.getItems || (page => page.data || []);
+  const maxItems = options.maxItems || MAX_PAGINATED_ITEMS;
+
+  let items = [];
+  let pages = 0;
+  let totalCount = null;
+  let startingAfter = null;
+
+  do {
+    let pagePath = path;
+    let body = options.body;
+    if (startingAfter && method === 'GET') {
+      pagePath += `${path.includes('?') ? '&' : '?'}starting_after=${encodeURIComponent(startingAfter)}`;
+    } else if (startingAfter) {
+      body = { ...body, pagination: { ...body?.pagination, starting_after: startingAfter } };
+    }
+
+    const page = await intercomRequest(method, pagePath, { body, idempotent: true });
+    const pageItems = getItems(page);
+    items = items.concat(pageItems);
+    pages++;
+    totalCount = page.total_count ?? totalCount;
+    startingAfter = pageItems.length > 0 ? page.pages?.next?.starting_after : null;
+  } while (startingAfter && items.length < maxItems);
+
+  return { items, pages, totalCount };
+}
+
+/**
+ * Get Intercom client stats since startup
+ * @returns {Object} - { apiVersion, requests, retries, rateLimited, throttled, failures, lastError, rateLimit }
+ */
+export function getIntercomClientStats() {
+  return {
+    apiVersion: INTERCOM_API_VERSION,
+    ...stats,
+    rateLimit: {
+      limit: rateLimit.limit,
+      remaining: rateLimit.remaining,
+      resetAt: rateLimit.resetAt ? new Date(rateLimit.resetAt).toISOString() : null
+    }
+  };
+}
@@ -1,13 +1,30 @@
 import crypto from 'crypto';
+import { intercomRequest } from './intercom-client.js';
+import { createKeyedCache } from './keyed-cache.js';
 
 const INTERCOM_CLIENT_SECRET = process.env.INTERCOM_CLIENT_SECRET;
-const INTERCOM_TOKEN = process.env.INTERCOM_TOKEN;
-const INTERCOM_BASE_URL = 'https://api.intercom.io';
+
+// Signature algorithms accepted on webhooks (e.g. "sha256" to stop accepting SHA-1)
+const INTERCOM_SIGNATURE_ALGORITHMS = (process.env.INTERCOM_SIGNATURE_ALGORITHMS || 'sha1,sha256')
+  .split(',')
+  .map(algorithm => algorithm.trim().toLowerCase())
+  .filter(Boolean);
+
+// Webhooks whose created_at is further than this from now are rejected as replays (0 disables)
+const INTERCOM_WEBHOOK_MAX_AGE_SECONDS = parseInt(process.env.INTERCOM_WEBHOOK_MAX_AGE_SECONDS || '900', 10);
+
+// Conversations are served from cache for this long unless a newer updated_at is known
+const INTERCOM_CACHE_TTL_SECONDS = parseInt(process.env.INTERCOM_CACHE_TTL_SECONDS || '60', 10);
+// Admin names and emails rarely change
+const INTERCOM_ADMIN_CACHE_TTL_SECONDS = parseInt(process.env.INTERCOM_ADMIN_CACHE_TTL_SECONDS || '3600', 10);
+
+const conversationCache = createKeyedCache('conversations', { ttlMs: INTERCOM_CACHE_TTL_SECONDS * 1000 });
+const adminCache = createKeyedCache('admins', { ttlMs: INTERCOM_ADMIN_CACHE_TTL_SECONDS * 1000, getUpdatedAt: () => null });
 
 /**
- * Verify Intercom webhook signature using HMAC-SHA1
+ * Verify Intercom webhook signature using HMAC-SHA1 or HMAC-SHA256
  * @param {Buffer} rawBody - Raw request body buffer
- * @param {string} signature - X-Hub-Signature header value (format: sha1=hexdigest)
+ * @param {string} signature - Signature header value (format: sha1=hexdigest or sha256=hexdigest)
  * @returns {boolean} - True if signature is valid
  */
 export function verifyIntercomSignature(rawBody, signature) {
@@ -19,25 +36,32 @@ export function verifyIntercomSignature(rawBody, signature) {
   // Ensure rawBody is a Buffer
   const bodyBuffer = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody);
 
-  // Extract hash from signature header (format: sha1=hexdigest)
+  // Extract algorithm and hash from signature header (format: sha1=hexdigest / sha256=hexdigest)
   const parts = signature.split('=');
-  if (parts.length !== 2 || parts[0] !== 'sha1') {
+  const algorithm = parts[0]?.toLowerCase();
+  if (parts.length !== 2 || !['sha1', 'sha256'].includes(algorithm)) {
     console.error('Invalid signature format:', signature);
-    console.error('Expected format: sha1=hexdigest');
+    console.error('Expected format: sha1=hexdigest or sha256=hexdigest');
+    return false;
+  }
+
+  if (!INTERCOM_SIGNATURE_ALGORITHMS.includes(algorithm)) {
+    console.error(`Signature algorithm ${algorithm} not accepted (INTERCOM_SIGNATURE_ALGORITHMS=${INTERCOM_SIGNATURE_ALGORITHMS.join(',')})`);
     return false;
   }
 
   const receivedHash = parts[1];
 
-  // Compute HMAC-SHA1 hash
+  // Compute HMAC hash
   const computedHash = crypto
-    .createHmac('sha1', INTERCOM_CLIENT_SECRET)
+    .createHmac(algorithm, INTERCOM_CLIENT_SECRET)
     .update(bodyBuffer)
     .digest('hex');
 
   // Only log on mismatch for production
   if (receivedHash !== computedHash) {
     console.warn('Signature verification failed:', {
+      algorithm,
       receivedHash: receivedHash.substring(0, 8) + '...',
       computedHash: computedHash.substring(0, 8) + '...'
     });
@@ -45,6 +69,10 @@ export function verifyIntercomSignature(rawBody, signature) {
 
   // Compare hashes using constant-time comparison
   // Handle case where buffers might be different lengths
+  if (!/^[0-9a-f]+$/i.test(receivedHash)) {
+    console.error('Invalid signature hash (expected hex digest)');
+    return false;
+  }
   if (receivedHash.length !== computedHash.length) {
     console.error('Hash length mismatch:', {
       received: receivedHash.length,
@@ -60,80 +88,212 @@ export function verifyIntercomSignature(rawBody, signature) {
 }
 
 /**
- * Fetch conversation details from Intercom API
- * @param {string} conversationId - Intercom conversation ID
- * @returns {Promise<Object>} - Conversation JSON object
+ * Pick the signature header to verify
+ * Prefers X-Hub-Signature-256 when Intercom sends both.
+ * @param {Object} headers - Request headers (lowercased, as Express provides them)
+ * @returns {string|null} - Signature header value
  */
-export async function getConversation(conversationId) {
-  if (!INTERCOM_TOKEN) {
-    throw new Error('INTERCOM_TOKEN not configured');
+export function getIntercomSignatureHeader(headers) {
+  return headers['x-hub-signature-256'] || headers['x-hub-signature'] || null;
+}
+
+/**
+ * Check that a webhook notification is recent
+ * Signatures don't cover delivery time, so a captured request could be
+ * replayed later; created_at is part of the signed body.
+ * @param {Object} payload - Parsed webhook payload
+ * @returns {{fresh: boolean, ageSeconds: number|null, maxAgeSeconds: number}} - Result
+ */
+export function checkWebhookFreshness(payload) {
+  if (!INTERCOM_WEBHOOK_MAX_AGE_SECONDS) {
+    return { fresh: true, ageSeconds: null, maxAgeSeconds: 0 };
   }
 
-  const url = `${INTERCOM_BASE_URL}/conversations/${conversationId}`;
+  const createdAt = Number(payload?.created_at);
+  if (!Number.isFinite(createdAt) || createdAt <= 0) {
+    return { fresh: false, ageSeconds: null, maxAgeSeconds: INTERCOM_WEBHOOK_MAX_AGE_SECONDS };
+  }
 
-  console.log('Fetching conversation from Intercom:', conversationId);
+  const ageSeconds = Math.floor(Date.now() / 1000) - createdAt;
+  return {
+    fresh: Math.abs(ageSeconds) <= INTERCOM_WEBHOOK_MAX_AGE_SECONDS,
+    ageSeconds,
+    maxAgeSeconds: INTERCOM_WEBHOOK_MAX_AGE_SECONDS
+  };
+}
 
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${INTERCOM_TOKEN}`,
-      'Accept': 'application/json',
-      'Intercom-Version': '2.10'
-    }
-  });
+/**
+ * Get the webhook replay window (for sizing the seen-notification store)
+ * @returns {number} - Seconds (0 if the created_at check is disabled)
+ */
+export function getWebhookMaxAgeSeconds() {
+  return INTERCOM_WEBHOOK_MAX_AGE_SECONDS;
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Intercom API error:', response.status, errorText);
-    throw new Error(`Intercom API error: ${response.status} - ${errorText}`);
-  }
+/**
+ * Fetch conversation details from Intercom API
+ * Cached for INTERCOM_CACHE_TTL_SECONDS; concurrent calls for the same ID share one request.
+ * @param {string} conversationId - Intercom conversation ID
+ * @param {Object} options - Additional options
+ * @param {number} options.updatedAt - Known updated_at; a cached copy older than this is refetched
+ * @param {boolean} options.fresh - Skip the cache (the caller acts on the current state)
+ * @returns {Promise<Object>} - Conversation JSON object
+ * @throws {IntercomApiError} - status 404 if the conversation doesn't exist
+ */
+export async function getConversation(conversationId, options = {}) {
+  return conversationCache.get(conversationId, async () => {
+    console.log('Fetching conversation from Intercom:', conversationId);
 
-  const conversation = await response.json();
-  console.log('Fetched conversation:', {
-    id: conversation.id,
-    state: conversation.state,
-    partsCount: conversation.conversation_parts?.conversation_parts?.length || 0
-  });
+    const conversation = await intercomRequest('GET', `/conversations/${conversationId}`);
+    console.log('Fetched conversation:', {
+      id: conversation.id,
+      state: conversation.state,
+      partsCount: conversation.conversation_parts?.conversation_parts?.length || 0
+    });
 
-  return conversation;
+    return conversation;
+  }, options);
+}
+
+/**
+ * Drop a cached conversation older than an update we heard about
+ * @param {string} conversationId - Intercom conversation ID
+ * @param {number} updatedAt - Its new updated_at (Unix seconds), e.g. from a webhook
+ */
+export function noteConversationUpdated(conversationId, updatedAt) {
+  conversationCache.noteUpdated(conversationId, updatedAt);
 }
 
 /**
  * Fetch admin details from Intercom API
+ * Cached for INTERCOM_ADMIN_CACHE_TTL_SECONDS.
  * @param {string} adminId - Intercom admin ID
  * @returns {Promise<Object>} - Admin object with email and name
+ * @throws {IntercomApiError} - status 404 if the admin doesn't exist
  */
 export async function getAdmin(adminId) {
-  if (!INTERCOM_TOKEN) {
-    throw new Error('INTERCOM_TOKEN not configured');
-  }
+  return adminCache.get(adminId, async () => {
+    console.log('Fetching admin from Intercom:', adminId);
 
-  const url = `${INTERCOM_BASE_URL}/admins/${adminId}`;
-
-  console.log('Fetching admin from Intercom:', adminId);
+    const admin = await intercomRequest('GET', `/admins/${adminId}`);
+    console.log('Fetched admin:', {
+      id: admin.id,
+      name: admin.name,
+      email: admin.email
+    });
 
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${INTERCOM_TOKEN}`,
-      'Accept': 'application/json',
-      'Intercom-Version': '2.10'
-    }
+    return admin;
   });
+}
+
+
+// Admin and team lists change rarely; cache them for the reassign modal
+const directoryCache = createKeyedCache('directory', { ttlMs: 10 * 60 * 1000, getUpdatedAt: () => null });
+
+/**
+ * Send a GET request to the Intercom API with a short in-memory cache
+ * @param {string} path - API path (e.g. '/admins')
+ * @returns {Promise<Object>} - Response JSON
+ */
+async function getCached(path) {
+  return directoryCache.get(path, () => intercomRequest('GET', path));
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Intercom API error (getAdmin):', response.status, errorText);
-    throw new Error(`Intercom API error: ${response.status} - ${errorText}`);
+/**
+ * List workspace admins (teammates)
+ * @returns {Promise<Array<Object>>} - Admins with id, name and email
+ */
+export async function listAdmins() {
+  const data = await getCached('/admins');
+  return (data.admins || []).filter(admin => admin.type === 'admin');
+}
+
+/**
+ * List workspace teams
+ * @returns {Promise<Array<Object>>} - Teams with id and name
+ */
+export async function listTeams() {
+  const data = await getCached('/teams');
+  return data.teams || [];
+}
+
+/**
+ * Find the Intercom admin with an email address
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} - Admin or null if not found
+ */
+export async function findAdminByEmail(email) {
+  if (!email) {
+    return null;
   }
+  const admins = await listAdmins();
+  return admins.find(admin => admin.email?.toLowerCase() === email.toLowerCase()) || null;
+}
 
-  const admin = await response.json();
-  console.log('Fetched admin:', {
-    id: admin.id,
-    name: admin.name,
-    email: admin.email
+/**
+ * Add a part (reply, note, snooze, assignment, ...) to a conversation
+ * Not retried after timeouts or 5xx, which could post the part twice.
+ * @param {string} conversationId - Intercom conversation ID
+ * @param {string} endpoint - 'reply' or 'parts'
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - Updated conversation
+ */
+async function postConversationPart(conversationId, endpoint, body) {
+  try {
+    return await intercomRequest('POST', `/conversations/${conversationId}/${endpoint}`, { body });
+  } finally {
+    // Also drops fetches that were in flight, so the pre-change copy isn't cached
+    conversationCache.invalidate(conversationId);
+  }
+}
+
+/**
+ * Snooze a conversation
+ * Tickets share their ID with their conversation, so this works for both.
+ * @param {string} conversationId - Intercom conversation ID
+ * @param {string} adminId - Admin performing the snooze
+ * @param {number} snoozedUntil - Unix timestamp (seconds) to snooze until
+ * @returns {Promise<Object>} - Updated conversation
+ */
+export async function snoozeConversation(conversationId, adminId, snoozedUntil) {
+  console.log(`Snoozing conversation ${conversationId} until ${new Date(snoozedUntil * 1000).toISOString()}`);
+  return postConversationPart(conversationId, 'parts', {
+    message_type: 'snoozed',
+    admin_id: adminId,
+    snoozed_until: snoozedUntil
   });
+}
 
-  return admin;
+/**
+ * Assign a conversation to an admin or a team
+ * @param {string} conversationId - Intercom conversation ID
+ * @param {string} adminId - Admin performing the assignment
+ * @param {Object} assignee - { type: 'admin' | 'team', id }
+ * @returns {Promise<Object>} - Updated conversation
+ */
+export async function assignConversation(conversationId, adminId, assignee) {
+  console.log(`Assigning conversation ${conversationId} to ${assignee.type} ${assignee.id}`);
+  return postConversationPart(conversationId, 'parts', {
+    message_type: 'assignment',
+    type: assignee.type,
+    admin_id: adminId,
+    assignee_id: assignee.id
+  });
 }
 
+/**
+ * Reply to the customer as an admin
+ * @param {string} conversationId - Intercom conversation ID
+ * @param {string} adminId - Admin sending the reply
+ * @param {string} body - Reply text (plain text or HTML)
+ * @returns {Promise<Object>} - Updated conversation
+ */
+export async function replyToConversation(conversationId, adminId, body) {
+  console.log(`Replying to conversation ${conversationId} as admin ${adminId}`);
+  return postConversationPart(conversationId, 'reply', {
+    message_type: 'comment',
+    type: 'admin',
+    admin_id: adminId,
+    body
+  });
+}
@@ -0,0 +1,159 @@
+/**
+ * In-memory keyed cache for Intercom lookups (tickets, conversations, admins)
+ * - Entries expire after a TTL, or earlier when the caller knows the object
+ *   changed (its updated_at is newer than the cached copy's)
+ * - Concurrent fetches of the same key share one request
+ * - Callers get a copy, so merging fields into a result doesn't leak into the cache
+ * - Hit/miss counts per cache for /health
+ */
+
+// All caches by name, for getKeyedCacheStats
+const caches = new Map();
+
+/**
+ * Create a named cache
+ * @param {string} name - Cache name (shown in stats)
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlMs - How long an entry is used without an updated_at hint
+ * @param {number} options.maxEntries - Oldest entries are dropped beyond this (default 1000)
+ * @param {Function} options.getUpdatedAt - Reads updated_at (Unix seconds) from a value
+ * @returns {Object} - Cache with get, invalidate, noteUpdated and getStats
+ */
+export function createKeyedCache(name, options = {}) {
+  const ttlMs = options.ttlMs;
+  const maxEntries = options.maxEntries || 1000;
+  const getUpdatedAt = options.getUpdatedAt || (value => value?.updated_at ?? null);
+
+  // Key: string key, Value: { value, updatedAt, expiresAt }
+  const entries = new Map();
+  // Key: string key, Value: promise of the fetch in progress
+  const inflight = new Map();
+  const stats = { hits: 0, misses: 0, coalesced: 0, stale: 0, invalidated: 0, errors: 0 };
+
+  /**
+   * Check whether an entry can be served
+   * @param {Object} entry - Cache entry
+   * @param {number|null} updatedAt - Latest known updated_at of the object
+   * @returns {boolean} - True if not expired and not older than updatedAt
+   */
+  function isFresh(entry, updatedAt) {
+    if (entry.expiresAt <= Date.now()) {
+      return false;
+    }
+    if (updatedAt) {
+      return entry.updatedAt !== null && entry.updatedAt >= updatedAt;
+    }
+    return true;
+  }
+
+  function store(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, updatedAt: getUpdatedAt(value), expiresAt: Date.now() + ttlMs });
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  const cache = {
+    name,
+
+    /**
+     * Get a value, fetching it on a miss
+     * Errors aren't cached; every caller waiting on the failed fetch gets the error.
+     * @param {string|number} key - Object ID
+     * @param {Function} fetchValue - Fetches the value on a miss
+     * @param {Object} options - Lookup options
+     * @param {number} options.updatedAt - Known updated_at (Unix seconds); older copies are refetched
+     * @param {boolean} options.fresh - Skip the cached copy (still shares a fetch in progress)
+     * @returns {Promise<*>} - A copy of the value
+     */
+    async get(key, fetchValue, { updatedAt = null, fresh = false } = {}) {
+      key = String(key);
+
+      const entry = entries.get(key);
+      if (entry && !fresh && isFresh(entry, updatedAt)) {
+        stats.hits++;
+        return structuredClone(entry.value);
+      }
+
+      if (inflight.has(key)) {
+        stats.coalesced++;
+        return structuredClone(await inflight.get(key));
+      }
+
+      stats.misses++;
+      if (entry) stats.stale++;
+
+      const promise = (async () => {
+        try {
+          const value = await fetchValue();
+          // Not if invalidated while the request was out - the response may predate the change
+          if (inflight.get(key) === promise) {
+            store(key, value);
+          }
+          return value;
+        } catch (err) {
+          stats.errors++;
+          throw err;
+        } finally {
+          if (inflight.get(key) === promise) {
+            inflight.delete(key);
+          }
+        }
+      })();
+      inflight.set(key, promise);
+
+      return structuredClone(await promise);
+    },
+
+    /**
+     * Drop a key (after changing the object, e.g. replying to a conversation)
+     * @param {string|number} key - Object ID
+     */
+    invalidate(key) {
+      key = String(key);
+      // Both: a fetch in flight may have started before the change
+      const hadEntry = entries.delete(key);
+      const hadInflight = inflight.delete(key);
+      if (hadEntry || hadInflight) {
+        stats.invalidated++;
+      }
+    },
+
+    /**
+     * Drop a key if the cached copy is older than an update we heard about (webhooks)
+     * @param {string|number} key - Object ID
+     * @param {number} updatedAt - The object's new updated_at (Unix seconds)
+     */
+    noteUpdated(key, updatedAt) {
+      const entry = entries.get(String(key));
+      if ((entry && (entry.updatedAt === null || entry.updatedAt < updatedAt)) || inflight.has(String(key))) {
+        cache.invalidate(key);
+      }
+    },
+
+    /**
+     * Get cache stats since startup
+     * @returns {Object} - { size, hits, misses, coalesced, stale, invalidated, errors, hitRate }
+     */
+    getStats() {
+      const lookups = stats.hits + stats.misses + stats.coalesced;
+      return {
+        size: entries.size,
+        ...stats,
+        hitRate: lookups > 0 ? Math.round(((stats.hits + stats.coalesced) / lookups) * 1000) / 1000 : null
+      };
+    }
+  };
+
+  caches.set(name, cache);
+  return cache;
+}
+
+/**
+ * Get stats for every cache
+ * @returns {Object} - Stats by cache name
+ */
+export function getKeyedCacheStats() {
+  return Object.fromEntries([...caches].map(([name, cache]) => [name, cache.getStats()]));
+}
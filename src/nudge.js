@@ -1,10 +1,15 @@
 /**
  * SLA Nudge module - schedules follow-up notifications if no admin reply
+ * Each handoff runs an escalation ladder (see escalation.js); the default
+ * ladder is a single assignee nudge after SLA_NUDGE_MINUTES.
  */
 
 import { getConversation } from './intercom.js';
-import { sendAssignmentDM } from './slack.js';
-import { isAssignmentNotified, markAssignmentNotified } from './dedupe.js';
+import { sendAssignmentDM, sendDirectMessage, sendBlockKitMessage } from './slack.js';
+import { getScheduleForTeam, addBusinessSeconds } from './business-hours.js';
+import { getEscalationPolicy, hasEscalationPolicies, triggerPage } from './escalation.js';
+import { get, set, remove, getAll, claim, purgeExpired } from './storage.js';
+import { recordTicketEvent } from './ticket-timeline.js';
 
 function getConversationLink(conversationId) {
   return `https://app.intercom.com/a/inbox/${conversationId}`;
@@ -12,147 +17,412 @@ function getConversationLink(conversationId) {
 
 // Parse SLA_NUDGE_MINUTES - if not set, empty, or "disabled", feature is disabled
 const SLA_NUDGE_MINUTES_ENV = process.env.SLA_NUDGE_MINUTES;
-const SLA_NUDGE_MINUTES = (SLA_NUDGE_MINUTES_ENV && 
-                           SLA_NUDGE_MINUTES_ENV.toLowerCase() !== 'disabled' && 
-                           SLA_NUDGE_MINUTES_ENV !== '') 
-  ? parseInt(SLA_NUDGE_MINUTES_ENV, 10) 
+const SLA_NUDGE_MINUTES = (SLA_NUDGE_MINUTES_ENV &&
+                           SLA_NUDGE_MINUTES_ENV.toLowerCase() !== 'disabled' &&
+                           SLA_NUDGE_MINUTES_ENV !== '')
+  ? parseInt(SLA_NUDGE_MINUTES_ENV, 10)
   : null;
-const SLA_NUDGE_ENABLED = SLA_NUDGE_MINUTES !== null && SLA_NUDGE_MINUTES > 0;
-const FALLBACK_CHANNEL = process.env.FALLBACK_CHANNEL;
+const SLA_NUDGE_ENABLED = (SLA_NUDGE_MINUTES !== null && SLA_NUDGE_MINUTES > 0) || hasEscalationPolicies();
 
-// In-memory queue of scheduled nudges
-// Key: conversationId, Value: { timeoutId, assigneeEmail, conversationId, scheduledAt }
-const nudgeQueue = new Map();
+// Nudges that came due more than this long ago (e.g. after a long outage) are dropped on startup
+const NUDGE_CATCHUP_MAX_AGE_MINUTES = parseInt(process.env.NUDGE_CATCHUP_MAX_AGE_MINUTES || '1440', 10);
+
+// Scheduled escalations are persisted so they survive restarts
+// Key: conversationId, Value: { conversationId, assigneeEmail, conversationLink, teamAssigneeId, slaName,
+//   policy, steps: [{ action, after_minutes, dueAt, ... }], nextStep, scheduledAt, dueAt, schedule }
+// dueAt is the due time of the next step.
+const NUDGE_NAMESPACE = 'nudges';
+
+// The poller and the webhook server both arm persisted nudges; each step is claimed
+// here first so only one process runs it. Key: conversationId:scheduledAt:step
+const NUDGE_CLAIMS_NAMESPACE = 'nudge_claims';
+const NUDGE_CLAIM_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// setTimeout can't wait longer than ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Armed timers for this process: conversationId -> timeoutId
+const nudgeTimers = new Map();
 
 /**
- * Schedule an SLA nudge for a conversation
+ * Schedule the escalation ladder for a conversation
+ * Step delays count business time in the owning team's schedule, so a step
+ * due after hours fires once that team is back.
  * @param {string} conversationId - Conversation ID
  * @param {string} assigneeEmail - Assignee email
  * @param {string} conversationLink - Conversation link
+ * @param {string|null} teamAssigneeId - Intercom team that owns the conversation
+ * @param {string|null} slaName - Name of the SLA applied to the conversation (selects the policy)
+ * @param {string|null} ticketId - Ticket whose timeline gets the nudge events (default: the conversation)
  */
-export function scheduleNudge(conversationId, assigneeEmail, conversationLink) {
+export async function scheduleNudge(conversationId, assigneeEmail, conversationLink, teamAssigneeId = null, slaName = null, ticketId = null) {
   if (!SLA_NUDGE_ENABLED) {
     return; // Feature disabled
   }
 
   // Cancel existing nudge for this conversation if any
-  cancelNudge(conversationId);
-
-  const delayMs = SLA_NUDGE_MINUTES * 60 * 1000;
-  
-  const timeoutId = setTimeout(async () => {
-    try {
-      await checkAndSendNudge(conversationId, assigneeEmail, conversationLink);
-    } catch (err) {
-      console.error(`[${conversationId}] Error in SLA nudge check:`, err);
-    } finally {
-      nudgeQueue.delete(conversationId);
-    }
-  }, delayMs);
+  await cancelNudge(conversationId);
 
-  nudgeQueue.set(conversationId, {
-    timeoutId,
-    assigneeEmail,
+  const policy = getEscalationPolicy({ slaName, teamAssigneeId, fallbackMinutes: SLA_NUDGE_MINUTES });
+  if (!policy) {
+    return; // No policy applies and no default nudge configured
+  }
+
+  const schedule = getScheduleForTeam(teamAssigneeId);
+  const now = Math.floor(Date.now() / 1000);
+  const steps = policy.steps.map(step => ({
+    ...step,
+    dueAt: addBusinessSeconds(now, step.after_minutes * 60, schedule) * 1000
+  }));
+
+  const nudge = {
     conversationId,
-    scheduledAt: Date.now()
-  });
+    ticketId,
+    assigneeEmail,
+    conversationLink,
+    teamAssigneeId,
+    slaName,
+    policy: policy.name,
+    steps,
+    nextStep: 0,
+    scheduledAt: Date.now(),
+    dueAt: steps[0].dueAt,
+    schedule: schedule.name
+  };
 
-  console.log(`[${conversationId}] Scheduled SLA nudge in ${SLA_NUDGE_MINUTES} minutes for ${assigneeEmail}`);
+  await set(NUDGE_NAMESPACE, conversationId, nudge);
+  armNudge(nudge);
+
+  const ladder = steps.map(step => `${step.action}@${step.after_minutes}m`).join(' → ');
+  console.log(`[${conversationId}] Scheduled escalation policy "${policy.name}" for ${assigneeEmail}: ${ladder} (first due ${new Date(steps[0].dueAt).toISOString()}, schedule: ${schedule.name})`);
 }
 
 /**
- * Cancel a scheduled nudge
+ * Cancel a scheduled nudge (and any remaining escalation steps)
  * @param {string} conversationId - Conversation ID
  */
-export function cancelNudge(conversationId) {
-  const nudge = nudgeQueue.get(conversationId);
+export async function cancelNudge(conversationId) {
+  const timeoutId = nudgeTimers.get(conversationId);
+  if (timeoutId) {
+    clearTimeout(timeoutId);
+    nudgeTimers.delete(conversationId);
+  }
+
+  const nudge = await get(NUDGE_NAMESPACE, conversationId);
   if (nudge) {
-    clearTimeout(nudge.timeoutId);
-    nudgeQueue.delete(conversationId);
+    await remove(NUDGE_NAMESPACE, conversationId);
     console.log(`[${conversationId}] Cancelled scheduled SLA nudge`);
   }
 }
 
 /**
- * Check conversation and send nudge if no admin reply
- * @param {string} conversationId - Conversation ID
- * @param {string} assigneeEmail - Assignee email
- * @param {string} conversationLink - Conversation link
+ * Arm an in-process timer for a persisted nudge
+ * @param {Object} nudge - Persisted nudge
+ */
+function armNudge(nudge) {
+  const { conversationId } = nudge;
+  clearTimeout(nudgeTimers.get(conversationId));
+
+  const delayMs = Math.max(0, nudge.dueAt - Date.now());
+  const timeoutId = setTimeout(() => {
+    nudgeTimers.delete(conversationId);
+    if (delayMs >= MAX_TIMER_MS) {
+      armNudge(nudge);
+      return;
+    }
+    runNudge(nudge).catch(err => {
+      console.error(`[${conversationId}] Error in SLA nudge check:`, err);
+    });
+  }, Math.min(delayMs, MAX_TIMER_MS));
+
+  nudgeTimers.set(conversationId, timeoutId);
+}
+
+/**
+ * Get the escalation steps of a persisted nudge
+ * Nudges persisted before escalation policies existed have a single assignee step.
+ * @param {Object} nudge - Persisted nudge
+ * @returns {Array<Object>} - Steps
+ */
+function getSteps(nudge) {
+  return nudge.steps || [{ action: 'dm_assignee', after_minutes: SLA_NUDGE_MINUTES, dueAt: nudge.dueAt }];
+}
+
+/**
+ * Run the next due escalation step, then arm the following one
+ * The ladder stops as soon as the assignee replies or the conversation closes.
+ * @param {Object} nudge - Persisted nudge
+ */
+async function runNudge(nudge) {
+  const { conversationId } = nudge;
+
+  // Skip if it was cancelled or rescheduled in the meantime
+  const current = await get(NUDGE_NAMESPACE, conversationId);
+  if (!current || current.scheduledAt !== nudge.scheduledAt || (current.nextStep || 0) !== (nudge.nextStep || 0)) {
+    return;
+  }
+
+  const steps = getSteps(nudge);
+  const stepIndex = nudge.nextStep || 0;
+
+  const claimed = await claim(NUDGE_CLAIMS_NAMESPACE, `${conversationId}:${nudge.scheduledAt}:${stepIndex}`, {
+    pid: process.pid,
+    claimedAt: Date.now()
+  }, { ttlSeconds: NUDGE_CLAIM_TTL_SECONDS });
+  if (!claimed) {
+    console.log(`[${conversationId}] Escalation step ${stepIndex + 1} already run by another process`);
+    return;
+  }
+
+  let outcome = 'failed';
+
+  try {
+    outcome = await checkAndSendNudge(nudge, steps[stepIndex]);
+  } catch (err) {
+    console.error(`[${conversationId}] Error in SLA nudge check:`, err);
+  }
+
+  const latest = await get(NUDGE_NAMESPACE, conversationId);
+  if (!latest || latest.scheduledAt !== nudge.scheduledAt) {
+    return; // Rescheduled while the step was running
+  }
+
+  const nextStep = stepIndex + 1;
+  if (outcome === 'resolved' || nextStep >= steps.length) {
+    await remove(NUDGE_NAMESPACE, conversationId);
+    return;
+  }
+
+  const updated = { ...latest, nextStep, dueAt: steps[nextStep].dueAt };
+  await set(NUDGE_NAMESPACE, conversationId, updated);
+  armNudge(updated);
+}
+
+/**
+ * Re-arm persisted nudges after a restart
+ * Nudges that came due while the process was down are sent now (one at a
+ * time), unless they are older than NUDGE_CATCHUP_MAX_AGE_MINUTES.
+ * Safe to call from both the poller and the webhook server: steps are claimed.
+ * @returns {Promise<Object>} - { rearmed, caughtUp, dropped }
  */
-async function checkAndSendNudge(conversationId, assigneeEmail, conversationLink) {
-  console.log(`[${conversationId}] Checking SLA nudge - fetching conversation...`);
+export async function restoreNudges() {
+  const result = { rearmed: 0, caughtUp: 0, dropped: 0 };
+  if (!SLA_NUDGE_ENABLED) {
+    return result;
+  }
+
+  await purgeExpired(NUDGE_CLAIMS_NAMESPACE);
+
+  const nudges = Object.values(await getAll(NUDGE_NAMESPACE));
+  const now = Date.now();
+  const overdue = [];
+
+  for (const nudge of nudges) {
+    if (nudge.dueAt > now) {
+      armNudge(nudge);
+      result.rearmed++;
+    } else if (now - nudge.dueAt > NUDGE_CATCHUP_MAX_AGE_MINUTES * 60 * 1000) {
+      console.log(`[${nudge.conversationId}] Dropping SLA nudge that was due ${new Date(nudge.dueAt).toISOString()} (too old to catch up)`);
+      await remove(NUDGE_NAMESPACE, nudge.conversationId);
+      result.dropped++;
+    } else {
+      overdue.push(nudge);
+    }
+  }
+
+  console.log(`Restored SLA nudges: ${result.rearmed} re-armed, ${overdue.length} overdue, ${result.dropped} dropped`);
+
+  overdue.sort((a, b) => a.dueAt - b.dueAt);
+  for (const nudge of overdue) {
+    console.log(`[${nudge.conversationId}] Catching up SLA nudge that was due ${new Date(nudge.dueAt).toISOString()}`);
+    await runNudge(nudge);
+    result.caughtUp++;
+  }
+
+  return result;
+}
+
+/**
+ * Check conversation and run an escalation step if no admin reply
+ * @param {Object} nudge - Persisted nudge
+ * @param {Object} step - Escalation step to run
+ * @returns {Promise<string>} - 'resolved' (replied/closed, stop the ladder), 'sent' or 'failed'
+ */
+async function checkAndSendNudge(nudge, step) {
+  const { conversationId } = nudge;
+  const conversationLink = nudge.conversationLink || getConversationLink(conversationId);
+
+  console.log(`[${conversationId}] Checking SLA nudge (${step.action}) - fetching conversation...`);
 
   // Fetch current conversation state
   let conversation;
   try {
-    conversation = await getConversation(conversationId);
+    conversation = await getConversation(conversationId, { fresh: true });
   } catch (err) {
     console.error(`[${conversationId}] Failed to fetch conversation for nudge:`, err);
-    return;
+    return 'failed';
   }
 
   // Check if conversation is still open
   if (conversation.state !== 'open') {
-    console.log(`[${conversationId}] Conversation is ${conversation.state}, skipping nudge`);
-    return;
+    console.log(`[${conversationId}] Conversation is ${conversation.state}, cancelling remaining escalation steps`);
+    return 'resolved';
   }
 
   // Check if admin has replied
   const parts = conversation.conversation_parts?.conversation_parts || [];
   const hasAdminReply = parts.some(part => {
     const author = part.author;
-    return author && 
-           author.type === 'admin' && 
+    return author &&
+           author.type === 'admin' &&
            part.part_type !== 'assignment' &&
            part.created_at > conversation.statistics?.last_assignment_at;
   });
 
   if (hasAdminReply) {
-    console.log(`[${conversationId}] Admin has replied, skipping nudge`);
-    return;
+    console.log(`[${conversationId}] Admin has replied, cancelling remaining escalation steps`);
+    return 'resolved';
   }
 
-  // Check deduplication - use a special key for nudges
-  const lastAssignmentAt = conversation.statistics?.last_assignment_at || Date.now() / 1000;
-  const nudgeKey = `nudge:${conversationId}:${assigneeEmail}:${lastAssignmentAt}`;
-  
-  // Use a simple in-memory check for nudge deduplication
-  const nudgeDedupeKey = `nudge_sent:${conversationId}`;
-  if (isAssignmentNotified(conversationId, assigneeEmail, lastAssignmentAt)) {
-    console.log(`[${conversationId}] Nudge already sent for this assignment, skipping`);
-    return;
-  }
+  const waitingMinutes = Math.round((Date.now() - nudge.scheduledAt) / 60000);
+  console.log(`[${conversationId}] No admin reply after ${waitingMinutes} minutes, running escalation step ${step.action}...`);
 
-  console.log(`[${conversationId}] No admin reply after ${SLA_NUDGE_MINUTES} minutes, sending nudge...`);
+  const success = await sendEscalationStep(step, nudge, conversation, conversationLink, waitingMinutes);
 
-  // Send nudge DM
-  const result = await sendAssignmentDM(assigneeEmail, conversation, conversationLink);
-  
-  if (result.success) {
-    console.log(`[${conversationId}] SLA nudge sent successfully`, {
-      usedFallback: result.usedFallback
+  if (success) {
+    console.log(`[${conversationId}] Escalation step ${step.action} sent successfully`);
+    // Under the ticket, like its assignment and SLA events
+    await recordTicketEvent(nudge.ticketId || conversationId, 'nudge', {
+      text: `${describeStep(step, nudge)} after ${waitingMinutes} minutes without a reply`,
+      summary: { link: conversationLink }
     });
-    
-    // Mark as notified to prevent duplicate nudges
-    markAssignmentNotified(conversationId, assigneeEmail, lastAssignmentAt, { type: 'nudge' });
+    return 'sent';
+  }
+
+  console.error(`[${conversationId}] Failed to send escalation step ${step.action}`);
+  return 'failed';
+}
+
+/**
+ * Send one escalation step
+ * @param {Object} step - Escalation step
+ * @param {Object} nudge - Persisted nudge
+ * @param {Object} conversation - Current conversation
+ * @param {string} conversationLink - Conversation link
+ * @param {number} waitingMinutes - Minutes since the handoff
+ * @returns {Promise<boolean>} - True if sent
+ */
+async function sendEscalationStep(step, nudge, conversation, conversationLink, waitingMinutes) {
+  const { conversationId, assigneeEmail } = nudge;
 
-    // Optionally post to fallback channel
-    if (FALLBACK_CHANNEL && !result.usedFallback) {
-      // Could add a separate fallback post here if needed
+  switch (step.action) {
+    case 'dm_assignee': {
+      const result = await sendAssignmentDM(assigneeEmail, conversation, conversationLink);
+      return result.success;
     }
-  } else {
-    console.error(`[${conversationId}] Failed to send SLA nudge`);
+
+    case 'dm_user':
+      return sendDirectMessage(step.email, generateEscalationBlocks(nudge, conversationLink, waitingMinutes));
+
+    case 'post_channel':
+      return sendBlockKitMessage(step.channel, generateEscalationBlocks(nudge, conversationLink, waitingMinutes));
+
+    case 'page':
+      return triggerPage(step, {
+        conversationId,
+        conversationLink,
+        assigneeEmail,
+        summary: `Fin handoff ${conversationId} unanswered for ${waitingMinutes} minutes (assigned to ${assigneeEmail})`
+      });
+
+    default:
+      console.error(`[${conversationId}] Unknown escalation action: ${step.action}`);
+      return false;
   }
 }
 
+/**
+ * Describe an escalation step for the ticket timeline
+ * @param {Object} step - Escalation step
+ * @param {Object} nudge - Persisted nudge
+ * @returns {string} - Description
+ */
+function describeStep(step, nudge) {
+  switch (step.action) {
+    case 'dm_assignee':
+      return `Nudged ${nudge.assigneeEmail}`;
+    case 'dm_user':
+      return `Escalated to ${step.email}`;
+    case 'post_channel':
+      return `Posted to ${step.channel.startsWith('#') ? step.channel : `<#${step.channel}>`}`;
+    case 'page':
+      return 'Paged on-call';
+    default:
+      return step.action;
+  }
+}
+
+/**
+ * Generate Block Kit blocks for an escalation message (team lead DM or channel post)
+ * @param {Object} nudge - Persisted nudge
+ * @param {string} conversationLink - Conversation link
+ * @param {number} waitingMinutes - Minutes since the handoff
+ * @returns {Array} - Block Kit blocks
+ */
+function generateEscalationBlocks(nudge, conversationLink, waitingMinutes) {
+  const slaText = nudge.slaName ? ` (SLA: ${nudge.slaName})` : '';
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `⏰ *Unanswered Fin handoff*\n\nConversation assigned to *${nudge.assigneeEmail}* has had no reply for *${waitingMinutes} minutes*${slaText}.`
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: 'Open in Intercom'
+          },
+          url: conversationLink,
+          style: 'primary'
+        }
+      ]
+    }
+  ];
+}
+
 /**
  * Get nudge queue stats
+ * @returns {Promise<Object>} - Stats including the pending nudges
  */
-export function getNudgeStats() {
+export async function getNudgeStats() {
+  const nudges = SLA_NUDGE_ENABLED ? Object.values(await getAll(NUDGE_NAMESPACE)) : [];
+  const now = Date.now();
+
   return {
     enabled: SLA_NUDGE_ENABLED,
-    scheduled: nudgeQueue.size,
-    slaMinutes: SLA_NUDGE_MINUTES
+    scheduled: nudges.length,
+    armed: nudgeTimers.size,
+    slaMinutes: SLA_NUDGE_MINUTES,
+    escalationPolicies: hasEscalationPolicies(),
+    pending: nudges
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .map(nudge => ({
+        conversationId: nudge.conversationId,
+        assigneeEmail: nudge.assigneeEmail,
+        schedule: nudge.schedule,
+        policy: nudge.policy || 'nudge',
+        nextAction: getSteps(nudge)[nudge.nextStep || 0]?.action || null,
+        stepsRemaining: getSteps(nudge).length - (nudge.nextStep || 0),
+        scheduledAt: new Date(nudge.scheduledAt).toISOString(),
+        dueAt: new Date(nudge.dueAt).toISOString(),
+        overdue: nudge.dueAt <= now
+      }))
   };
 }
-
@@ -1,25 +1,34 @@
 /**
  * Main polling script for Intercom Tickets
- * Polls every 1-2 minutes and sends Slack notifications for new ticket assignments
+ * Polls every 1-2 minutes and feeds new ticket assignments into the shared
+ * assignment pipeline (assignment-events.js), then checks SLA status
  */
 
 import 'dotenv/config';
-import { searchTickets, getAdmin, getTicket } from './tickets.js';
-import { getConversation } from './intercom.js';
-import { getLastCheckTime, updateLastCheckTime, initializeState, isAssignmentNotified, markAssignmentNotified } from './state.js';
-import { sendTicketAssignmentDM, getTicketLink } from './ticket-notifier.js';
-import { isOptedIn } from './preferences.js';
-import { isBusinessHours, getBusinessHoursConfig, getNextBusinessHoursStart } from './business-hours.js';
-import { checkSLAStatus, trackAssignment } from './sla-monitor-enhanced.js';
+import { searchTickets, getTicket } from './tickets.js';
+import { getLastCheckTime, updateLastCheckTime, initializeState, deferNotification, getDeferredNotifications, clearDeferredNotification } from './state.js';
+import { createAssignmentEvent, processAssignmentEvent, ASSIGNMENT_SOURCES } from './assignment-events.js';
+import { restoreNudges } from './nudge.js';
+import { isBusinessHours, getBusinessHoursConfig, getNextBusinessHoursStart, getClosureForDate, getScheduleForTeam, getAllSchedules, isAnyScheduleOpen } from './business-hours.js';
+import { refreshTicketSLA } from './sla-monitor-enhanced.js';
+import { flush as flushStorage } from './storage.js';
+import { getIntercomClientStats } from './intercom-client.js';
+import { getKeyedCacheStats } from './keyed-cache.js';
 
 // Default to 30 seconds for short SLAs (5 minutes)
 // This ensures we catch violations before they occur
 const CHECK_INTERVAL = parseInt(process.env.CHECK_INTERVAL || '30000', 10); // Default 30 seconds
 const INTERCOM_ACCESS_TOKEN = process.env.INTERCOM_ACCESS_TOKEN || process.env.INTERCOM_TOKEN;
+// Tickets processed in parallel per poll (each makes several Intercom and Slack calls)
+const POLL_CONCURRENCY = Math.max(1, parseInt(process.env.POLL_CONCURRENCY || '5', 10) || 1);
 
 // Track processed assignments to avoid duplicates within a polling cycle
 const processedAssignments = new Set();
 
+// A poll is running; interval ticks that fire meanwhile are skipped
+let pollInProgress = false;
+let skippedPolls = 0;
+
 /**
  * Get the actual assignment timestamp from ticket
  * Uses statistics.first_assignment_at or statistics.last_assignment_at if available
@@ -49,11 +58,15 @@ function getAssignmentTimestamp(ticket) {
 
 /**
  * Process a single ticket for assignments
+ * Works out whether the ticket carries a new assignment, then hands it to the
+ * assignment pipeline (dedupe, Fin gate, opt-out, DM, nudges, SLA tracking).
  * @param {Object} ticket - Ticket object
  * @param {number} lastCheckTime - Last check timestamp
+ * @param {Object} options - Additional options
+ * @param {boolean} options.deferred - True if this ticket's notification was deferred to business hours
  * @returns {Promise<boolean>} - True if notification was sent
  */
-async function processTicket(ticket, lastCheckTime) {
+async function processTicket(ticket, lastCheckTime, options = {}) {
   const ticketId = ticket.id || ticket.ticket_id;
   const adminAssigneeId = ticket.admin_assignee_id;
 
@@ -69,7 +82,7 @@ async function processTicket(ticket, lastCheckTime) {
   // This ensures we get accurate assignment timestamps and avoid false positives
   if (!assignmentTimestamp && ticketId) {
     try {
-      const fullTicket = await getTicket(ticketId);
+      const fullTicket = await getTicket(ticketId, { updatedAt: ticket.updated_at });
       assignmentTimestamp = getAssignmentTimestamp(fullTicket);
       // Merge statistics and snoozed_until into ticket object for later use
       if (fullTicket.statistics) {
@@ -96,22 +109,6 @@ async function processTicket(ticket, lastCheckTime) {
     return false;
   }
 
-  // Check if ticket is snoozed - skip notifications for snoozed tickets
-  if (ticket.snoozed_until) {
-    const snoozedUntil = ticket.snoozed_until;
-    const now = Math.floor(Date.now() / 1000);
-    if (snoozedUntil > now) {
-      console.log(`Skipping notification for ticket ${ticketId} - ticket is snoozed until ${new Date(snoozedUntil * 1000).toISOString()}`);
-      // Mark as notified even if snoozed to prevent duplicate processing
-      try {
-        await markAssignmentNotified(ticketId, adminAssigneeId, assignmentTimestamp);
-      } catch (stateErr) {
-        console.error(`⚠️  Failed to save state for snoozed ticket ${ticketId}:`, stateErr.message);
-      }
-      return false;
-    }
-  }
-
   // Check if ticket was created or updated after last check
   // Note: We search by created_at, but also check updated_at to catch reassignments
   const createdAt = ticket.created_at || 0;
@@ -119,20 +116,8 @@ async function processTicket(ticket, lastCheckTime) {
 
   // Skip if ticket is older than our last check
   // Since we search by created_at >= lastCheckTime, this is mainly for updated_at checks
-  if (createdAt < lastCheckTime && updatedAt < lastCheckTime) {
-    return false;
-  }
-
-  // Check if this assignment has already been notified (persistent check)
-  // IMPORTANT: Check this BEFORE checking snooze expiration to prevent notifications
-  // when tickets wake up from snooze (updated_at changes but assignment hasn't)
-  const alreadyNotified = await isAssignmentNotified(ticketId, adminAssigneeId, assignmentTimestamp, {
-    isUsingUpdatedAtAsAssignment: !ticket.statistics?.first_assignment_at && 
-                                   !ticket.statistics?.last_assignment_at &&
-                                   assignmentTimestamp === ticket.updated_at
-  });
-  if (alreadyNotified) {
-    console.log(`Skipping duplicate assignment: ${ticketId}:${adminAssigneeId}:${assignmentTimestamp} (already notified)`);
+  // Deferred tickets are older by definition - they were held back during quiet hours
+  if (!options.deferred && createdAt < lastCheckTime && updatedAt < lastCheckTime) {
     return false;
   }
 
@@ -143,75 +128,118 @@ async function processTicket(ticket, lastCheckTime) {
     return false;
   }
 
+  // Quiet hours: hold the notification until the owning team's business hours
+  const schedule = getScheduleForTeam(ticket.team_assignee_id);
+  if (!isBusinessHours(new Date(), schedule)) {
+    console.log(`Deferring notification for ticket ${ticketId} - outside business hours for schedule "${schedule.name}" (${schedule.startTime}-${schedule.endTime} ${schedule.timezone})`);
+    try {
+      await deferNotification(ticketId, schedule.name);
+    } catch (stateErr) {
+      console.error(`⚠️  Failed to save deferred notification for ticket ${ticketId}:`, stateErr.message);
+    }
+    return false;
+  }
+
   // Mark as processed in this cycle
   processedAssignments.add(assignmentKey);
 
+  const event = createAssignmentEvent({
+    source: ASSIGNMENT_SOURCES.POLL,
+    sourceId: `poll:${ticketId}:${assignmentTimestamp}`,
+    kind: 'ticket',
+    id: ticketId,
+    assigneeId: adminAssigneeId,
+    teamAssigneeId: ticket.team_assignee_id,
+    assignedAt: assignmentTimestamp,
+    // updated_at changes for many reasons (comments, status changes, etc.),
+    // so dedupe treats it conservatively
+    approximate: !ticket.statistics?.first_assignment_at &&
+                 !ticket.statistics?.last_assignment_at &&
+                 assignmentTimestamp === ticket.updated_at,
+    ticket
+  });
+
   try {
-    // Fetch admin details to get email
-    const admin = await getAdmin(adminAssigneeId);
-    if (!admin || !admin.email) {
-      console.log(`No email found for admin ${adminAssigneeId}`);
-      return false;
+    const result = await processAssignmentEvent(event);
+    if (result.decision === 'sent') {
+      console.log(`✅ Sent notification for ticket ${ticketId} (${result.usedFallback ? 'fallback channel' : 'DM'})`);
+      return true;
     }
+    return false;
+  } catch (err) {
+    // Not marked as notified - the next poll that sees the ticket retries it
+    console.error(`❌ Failed to process assignment for ticket ${ticketId}: ${err.message}`);
+    return false;
+  }
+}
 
-    // Map Intercom email if needed
-    let assigneeEmail = admin.email;
-    if (assigneeEmail && assigneeEmail.includes('@intercom-mail.com')) {
-      const usernameMatch = assigneeEmail.match(/^([^@]+)@/);
-      if (usernameMatch) {
-        const emailMapping = process.env.EMAIL_DOMAIN || 'staytuned.digital';
-        assigneeEmail = `${usernameMatch[1]}@${emailMapping}`;
-      }
+/**
+ * Run a worker over items with at most `concurrency` running at once
+ * The worker handles its own errors.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum parallel workers
+ * @param {Function} worker - Async function called with each item
+ */
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
     }
+  });
+  await Promise.all(runners);
+}
 
-    // Add admin info to ticket object
-    ticket.admin_assignee = {
-      id: admin.id,
-      name: admin.name,
-      email: admin.email
-    };
-
-    // Check opt-in preference
-    const userOptedIn = isOptedIn(assigneeEmail);
-    if (!userOptedIn) {
-      console.log(`Skipping notification for ${assigneeEmail} - user opted out`);
-      // IMPORTANT: Mark as notified even if user opted out to prevent duplicate processing
-      // This ensures the ticket won't appear again in the next poll
-      try {
-        await markAssignmentNotified(ticketId, adminAssigneeId, assignmentTimestamp);
-      } catch (stateErr) {
-        console.error(`⚠️  Failed to save state for opted-out assignment ${ticketId}:`, stateErr.message);
-      }
-      return false;
-    }
+/**
+ * Check a ticket for a new assignment, then its SLA status
+ * @param {Object} ticket - Ticket from search (or a deferred ticket)
+ * @param {number} lastCheckTime - Last check timestamp
+ * @param {Set<string>} deferredIds - IDs of tickets whose notification was deferred
+ * @returns {Promise<{sent: boolean, slaAlerted: boolean}>} - What was sent
+ */
+async function processPolledTicket(ticket, lastCheckTime, deferredIds) {
+  // Process assignment notification
+  // IMPORTANT: The assignment pipeline checks and records notified assignments
+  // Deferred tickets are cleared first - processTicket defers them again if still in quiet hours
+  const isDeferred = deferredIds.has(String(ticket.id || ticket.ticket_id));
+  if (isDeferred) {
+    await clearDeferredNotification(String(ticket.id || ticket.ticket_id));
+  }
+  const sent = await processTicket(ticket, lastCheckTime, { deferred: isDeferred });
+
+  // Check SLA status with enhanced monitoring
+  // refreshTicketSLA fetches full ticket details (SLA info might be in the
+  // linked conversation) before the check
+  // IMPORTANT: The assignment pipeline already deduped this assignment, so even if
+  // this ticket appears again due to updates, it won't send duplicate notifications
+  let slaAlerted = false;
+  try {
+    const slaResult = await refreshTicketSLA(ticket);
+    slaAlerted = !!slaResult.alerted;
+  } catch (err) {
+    console.error(`Failed to fetch ticket ${ticket.id} for SLA check:`, err.message);
+  }
 
-    // Generate ticket link
-    const ticketLink = getTicketLink(ticketId);
+  return { sent, slaAlerted };
+}
 
-    // Send Slack notification
-    const result = await sendTicketAssignmentDM(assigneeEmail, ticket, ticketLink);
+/**
+ * Run a poll unless the previous one is still going
+ * Polls that take longer than CHECK_INTERVAL would otherwise overlap and
+ * process the same tickets twice.
+ */
+async function runPoll() {
+  if (pollInProgress) {
+    skippedPolls++;
+    console.warn(`⏭️  Previous poll still running - skipping this one (${skippedPolls} skipped since startup)`);
+    return;
+  }
 
-    if (result.success) {
-      // Mark as notified in persistent state BEFORE logging success
-      // This ensures we mark it even if there's an error after
-      try {
-        await markAssignmentNotified(ticketId, adminAssigneeId, assignmentTimestamp);
-        console.log(`✅ Sent notification for ticket ${ticketId} assigned to ${assigneeEmail}`);
-        return true;
-      } catch (stateErr) {
-        // Even if state save fails, log the notification was sent
-        console.error(`⚠️  Notification sent but failed to save state for ticket ${ticketId}:`, stateErr.message);
-        console.log(`✅ Sent notification for ticket ${ticketId} assigned to ${assigneeEmail} (state save failed)`);
-        return true; // Still return true since notification was sent
-      }
-    } else {
-      console.error(`❌ Failed to send notification for ticket ${ticketId}: ${result.reason}`);
-      // Don't mark as notified if notification failed - allow retry
-      return false;
-    }
-  } catch (err) {
-    console.error(`Error processing ticket ${ticketId}:`, err);
-    return false;
+  pollInProgress = true;
+  try {
+    await poll();
+  } finally {
+    pollInProgress = false;
   }
 }
 
@@ -224,12 +252,20 @@ async function poll() {
 
   console.log(`\n[${new Date().toISOString()}] Starting poll...`);
 
-  // Check if we're in business hours
-  if (!isBusinessHours()) {
+  // Check if we're in business hours for at least one team schedule
+  // Per-ticket quiet hours are applied in processTicket
+  if (!isAnyScheduleOpen()) {
     const config = getBusinessHoursConfig();
-    const nextStart = getNextBusinessHoursStart();
+    const nextStart = new Date(Math.min(
+      ...getAllSchedules().map(schedule => getNextBusinessHoursStart(new Date(), schedule).getTime())
+    ));
     const waitMinutes = Math.ceil((nextStart - Date.now()) / 1000 / 60);
+    const closure = getClosureForDate();
     
+    if (closure) {
+      const closureHours = closure.closed ? 'closed all day' : `open ${closure.start}-${closure.end}`;
+      console.log(`🏖️  ${closure.name} (${closure.date}): ${closureHours}`);
+    }
     console.log(`⏰ Outside business hours (${config.startTime}-${config.endTime} ${config.timezone})`);
     console.log(`   Business days: ${config.businessDaysNames.join(', ')}`);
     console.log(`   Next poll at: ${nextStart.toISOString()} (in ~${waitMinutes} minutes)`);
@@ -253,148 +289,59 @@ async function poll() {
 
     // Search for tickets created or updated after last check
     // This catches both new tickets and tickets with SLA status changes
+    const searchStart = Date.now();
     const tickets = await searchTickets(lastCheckTime, {
       limit: 100, // Fetch up to 100 tickets per poll
       includeUpdated: true // Include updated_at to catch SLA status changes
     });
+    const searchMs = Date.now() - searchStart;
 
     console.log(`Found ${tickets.length} tickets to process`);
 
-    // Process each ticket
+    // Pick up notifications deferred during quiet hours whose team is now open
+    const deferredStart = Date.now();
+    const deferred = await getDeferredNotifications();
+    const deferredIds = new Set(Object.keys(deferred));
+    const foundIds = new Set(tickets.map(t => String(t.id || t.ticket_id)));
+    for (const ticketId of deferredIds) {
+      if (foundIds.has(ticketId)) continue;
+      try {
+        tickets.push(await getTicket(ticketId));
+        console.log(`Re-checking deferred notification for ticket ${ticketId} (deferred at ${new Date(deferred[ticketId].deferredAt * 1000).toISOString()})`);
+      } catch (err) {
+        console.error(`Failed to fetch deferred ticket ${ticketId}, dropping it:`, err.message);
+        await clearDeferredNotification(ticketId);
+      }
+    }
+    const deferredMs = Date.now() - deferredStart;
+
+    // Process tickets, POLL_CONCURRENCY at a time
     let notificationsSent = 0;
     let slaAlertsSent = 0;
-    
-    for (const ticket of tickets) {
-      // Process assignment notification
-      // IMPORTANT: This checks isAssignmentNotified and marks as notified if sent
-      const sent = await processTicket(ticket, lastCheckTime);
-      if (sent) {
-        notificationsSent++;
-      }
+    let totalTicketMs = 0;
+    let slowestTicket = { id: null, ms: 0 };
+
+    // A ticket updated while search pages were fetched can be listed twice; two workers
+    // checking its SLA at once could both alert
+    const uniqueTickets = [...new Map(tickets.map(ticket => [String(ticket.id || ticket.ticket_id), ticket])).values()];
 
-      // Check SLA status with enhanced monitoring
-      // Note: SLA info might be in linked conversation, so we fetch full ticket details
-      // to get complete information including linked_objects and statistics
-      // IMPORTANT: We already checked isAssignmentNotified in processTicket, so even if
-      // this ticket appears again due to updates, it won't send duplicate notifications
-      if (ticket.id) {
-        try {
-          const fullTicket = await getTicket(ticket.id);
-          // Merge admin_assignee info if we have it
-          if (ticket.admin_assignee) {
-            fullTicket.admin_assignee = ticket.admin_assignee;
-          }
-          
-          // Fetch assignee info if missing but admin_assignee_id exists
-          if (!fullTicket.admin_assignee && fullTicket.admin_assignee_id) {
-            try {
-              const admin = await getAdmin(fullTicket.admin_assignee_id);
-              if (admin) {
-                fullTicket.admin_assignee = {
-                  id: admin.id,
-                  name: admin.name,
-                  email: admin.email
-                };
-              }
-            } catch (adminErr) {
-              // Admin fetch failed - continue without assignee info
-            }
-          }
-          
-          // Track all assignments (not just SLA tickets) with full ticket info
-          // This ensures we have complete information including statistics
-          if (fullTicket.admin_assignee) {
-            try {
-              await trackAssignment(fullTicket);
-            } catch (trackErr) {
-              // Tracking failed - continue
-              console.error(`Failed to track assignment for ticket ${fullTicket.id}:`, trackErr.message);
-            }
-          }
-          
-          // Fetch tags from linked conversations (tags are on conversations, not tickets)
-          let conversationTags = [];
-          if (fullTicket.linked_objects?.data) {
-            for (const linked of fullTicket.linked_objects.data) {
-              if (linked.type === 'conversation') {
-                try {
-                  const conversation = await getConversation(linked.id);
-                  // Tags are on the conversation object, may be nested in conversation.tags.tags
-                  let convTags = [];
-                  if (conversation.tags) {
-                    if (Array.isArray(conversation.tags)) {
-                      convTags = conversation.tags;
-                    } else if (conversation.tags.tags && Array.isArray(conversation.tags.tags)) {
-                      convTags = conversation.tags.tags;
-                    } else if (conversation.tags.data && Array.isArray(conversation.tags.data)) {
-                      convTags = conversation.tags.data;
-                    }
-                  }
-                  if (convTags.length > 0) {
-                    conversationTags = conversationTags.concat(convTags);
-                  }
-                  // Also merge SLA if ticket doesn't have it
-                  if (!fullTicket.sla_applied && conversation.sla_applied) {
-                    fullTicket.sla_applied = conversation.sla_applied;
-                    console.log(`[SLA] Found SLA on conversation for ticket ${ticket.id}: ${conversation.sla_applied.sla_name || 'Unknown'}`);
-                  }
-                } catch (convErr) {
-                  // Conversation fetch failed - continue
-                }
-              }
-            }
-          }
-          
-          // If no linked conversations found, try fetching ticket ID as conversation
-          // (tickets created from conversations may use conversation ID as ticket ID)
-          if (conversationTags.length === 0 && (!fullTicket.sla_applied || !fullTicket.linked_objects?.data || fullTicket.linked_objects.data.length === 0)) {
-            try {
-              const conversation = await getConversation(ticket.id);
-              // Tags may be nested in conversation.tags.tags
-              if (conversation.tags) {
-                if (Array.isArray(conversation.tags)) {
-                  conversationTags = conversation.tags;
-                } else if (conversation.tags.tags && Array.isArray(conversation.tags.tags)) {
-                  conversationTags = conversation.tags.tags;
-                } else if (conversation.tags.data && Array.isArray(conversation.tags.data)) {
-                  conversationTags = conversation.tags.data;
-                }
-              }
-              if (conversation.sla_applied) {
-                fullTicket.sla_applied = conversation.sla_applied;
-                console.log(`[SLA] Found SLA on conversation for ticket ${ticket.id}: ${conversation.sla_applied.sla_name || 'Unknown'}`);
-              }
-            } catch (convErr) {
-              // Not a conversation or conversation fetch failed - that's okay
-            }
-          }
-          
-          // Merge conversation tags into ticket object for SLA check
-          if (conversationTags.length > 0) {
-            fullTicket.tags = conversationTags;
-          }
-          
-          const slaResult = await checkSLAStatus(fullTicket);
-          if (slaResult.alerted) {
-            slaAlertsSent++;
-            console.log(`⚠️  SLA ${slaResult.violationType} alert sent for ticket ${ticket.id}`);
-          }
-        } catch (err) {
-          console.error(`Failed to fetch ticket ${ticket.id} for SLA check:`, err.message);
-          // Try with basic ticket info
-          const slaResult = await checkSLAStatus(ticket);
-          if (slaResult.alerted) {
-            slaAlertsSent++;
-          }
-        }
-      } else {
-        // No ticket ID, skip SLA check
-        const slaResult = await checkSLAStatus(ticket);
-        if (slaResult.alerted) {
-          slaAlertsSent++;
-        }
+    const processStart = Date.now();
+    await runPool(uniqueTickets, POLL_CONCURRENCY, async ticket => {
+      const ticketStart = Date.now();
+      try {
+        const { sent, slaAlerted } = await processPolledTicket(ticket, lastCheckTime, deferredIds);
+        if (sent) notificationsSent++;
+        if (slaAlerted) slaAlertsSent++;
+      } catch (err) {
+        console.error(`Failed to process ticket ${ticket.id}:`, err.message);
       }
-    }
+      const ticketMs = Date.now() - ticketStart;
+      totalTicketMs += ticketMs;
+      if (ticketMs > slowestTicket.ms) {
+        slowestTicket = { id: String(ticket.id || ticket.ticket_id), ms: ticketMs };
+      }
+    });
+    const processMs = Date.now() - processStart;
 
     // Update last check time
     await updateLastCheckTime(currentTimestamp);
@@ -404,6 +351,27 @@ async function poll() {
     if (slaAlertsSent > 0) {
       console.log(`⚠️  Sent ${slaAlertsSent} SLA missed alerts.`);
     }
+    const cacheSummary = Object.entries(getKeyedCacheStats())
+      .map(([name, cacheStats]) => `${name} ${cacheStats.hits + cacheStats.coalesced}/${cacheStats.hits + cacheStats.coalesced + cacheStats.misses}`);
+    console.log(`Intercom cache hits since startup: ${cacheSummary.join(', ')}`);
+    console.log(JSON.stringify({
+      event: 'poll_cycle',
+      durationMs: duration,
+      searchMs,
+      deferredMs,
+      processMs,
+      tickets: uniqueTickets.length,
+      concurrency: POLL_CONCURRENCY,
+      avgTicketMs: uniqueTickets.length > 0 ? Math.round(totalTicketMs / uniqueTickets.length) : 0,
+      slowestTicket: slowestTicket.id ? slowestTicket : null,
+      notificationsSent,
+      slaAlertsSent,
+      skippedPolls,
+      timestamp: new Date().toISOString()
+    }));
+    if (duration > CHECK_INTERVAL) {
+      console.warn(`⚠️  Poll took ${Math.round(duration / 1000)}s, longer than the ${CHECK_INTERVAL / 1000}s interval - polls due meanwhile were skipped. Consider raising POLL_CONCURRENCY or CHECK_INTERVAL.`);
+    }
     console.log(`Next poll in ${CHECK_INTERVAL / 1000} seconds`);
 
     // Clear processed assignments set periodically (keep it small for in-memory deduplication)
@@ -433,36 +401,50 @@ async function startPolling() {
 
   console.log('Starting Intercom Tickets polling service...');
   console.log(`Check interval: ${CHECK_INTERVAL / 1000} seconds`);
-  console.log(`Intercom API version: 2.11+`);
+  console.log(`Tickets processed in parallel: ${POLL_CONCURRENCY}`);
+  console.log(`Intercom API version: ${getIntercomClientStats().apiVersion}`);
   
   // Display business hours configuration
   const bhConfig = getBusinessHoursConfig();
   if (bhConfig.enabled) {
-    console.log(`Business hours: ${bhConfig.startTime}-${bhConfig.endTime} ${bhConfig.timezone}`);
-    console.log(`Business days: ${bhConfig.businessDaysNames.join(', ')}`);
+    for (const schedule of getAllSchedules()) {
+      const teams = schedule.teams.length > 0 ? ` (teams: ${schedule.teams.join(', ')})` : '';
+      console.log(`Business hours [${schedule.name}]: ${schedule.startTime}-${schedule.endTime} ${schedule.timezone}, ${schedule.businessDaysNames.join(', ')}${teams}`);
+      console.log(`   Holidays/exceptions: ${schedule.holidays.size} dates`);
+    }
   } else {
     console.log(`Business hours: Disabled (polling 24/7)`);
   }
 
+  // Re-arm nudges persisted before the last restart (polled assignments schedule them too)
+  try {
+    await restoreNudges();
+  } catch (err) {
+    console.error('Error restoring SLA nudges:', err);
+  }
+
   // Run initial poll immediately (will check business hours inside)
-  await poll();
+  await runPoll();
 
-  // Set up interval for subsequent polls
+  // Set up interval for subsequent polls (skipped while one is still running)
   setInterval(async () => {
-    await poll();
+    await runPoll();
   }, CHECK_INTERVAL);
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
+// Handle graceful shutdown (flush any buffered state writes first)
+async function shutdown() {
   console.log('\nShutting down gracefully...');
+  try {
+    await flushStorage();
+  } catch (err) {
+    console.error('Error flushing storage on shutdown:', err);
+  }
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-  console.log('\nShutting down gracefully...');
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Start polling
 startPolling().catch(err => {
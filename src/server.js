@@ -1,18 +1,37 @@
 import 'dotenv/config';
+import crypto from 'crypto';
 import express from 'express';
-import { verifyIntercomSignature } from './intercom.js';
-import { handleWebhook } from './webhook-handler.js';
-import { getStats as getDedupeStats } from './dedupe.js';
-import { getNudgeStats } from './nudge.js';
-import { handleSlashCommand, handleInteractiveAction } from './slack-commands.js';
+import { verifyIntercomSignature, getIntercomSignatureHeader, checkWebhookFreshness, getConversation } from './intercom.js';
+import { getStats as getDedupeStats, claimWebhookNotification, releaseWebhookNotification } from './dedupe.js';
+import { getNudgeStats, restoreNudges } from './nudge.js';
+import { handleSlashCommand, handleInteractiveRequest, captureRawBody, requireSlackSignature } from './slack-commands.js';
 import { getStats as getPreferenceStats, getAllPreferences } from './preferences.js';
 import { getMessageStats } from './stats.js';
+import { getAcknowledgementStats } from './handoff-actions.js';
+import { getFirstResponseStats } from './conversation-lifecycle.js';
+import { evaluateFinRules } from './fin-rules.js';
+import { getSlackClientStats } from './slack-client.js';
+import { getIntercomClientStats } from './intercom-client.js';
+import { getKeyedCacheStats } from './keyed-cache.js';
+import { flush as flushStorage } from './storage.js';
+import {
+  enqueueWebhook,
+  restoreWebhookQueue,
+  getWebhookQueueStats,
+  listQueuedWebhooks,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  discardDeadLetter
+} from './webhook-queue.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
 
 // URL-encoded parsing for Slack commands/interactions (must come before JSON)
-app.use(express.urlencoded({ extended: true }));
+// The raw body is kept for Slack signature verification
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // JSON parsing for routes that need it (but NOT /intercom/webhook or /slack/*)
 app.use((req, res, next) => {
@@ -24,51 +43,168 @@ app.use((req, res, next) => {
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  const dedupeStats = getDedupeStats();
-  const nudgeStats = getNudgeStats();
-  const preferenceStats = getPreferenceStats();
-  const messageStats = getMessageStats(24); // Last 24 hours
-  
-  res.status(200).json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString(),
-    dedupe: dedupeStats,
-    nudge: nudgeStats,
-    preferences: preferenceStats,
-    messages: messageStats
-  });
+app.get('/health', async (req, res) => {
+  try {
+    const dedupeStats = await getDedupeStats();
+    const nudgeStats = await getNudgeStats();
+    const preferenceStats = await getPreferenceStats();
+    const messageStats = getMessageStats(24); // Last 24 hours
+    const acknowledgementStats = await getAcknowledgementStats();
+    const firstResponseStats = await getFirstResponseStats();
+    const webhookQueueStats = await getWebhookQueueStats();
+
+    res.status(200).json({ 
+      status: 'ok', 
+      timestamp: new Date().toISOString(),
+      dedupe: dedupeStats,
+      nudge: nudgeStats,
+      preferences: preferenceStats,
+      messages: messageStats,
+      acknowledgements: acknowledgementStats,
+      firstResponses: firstResponseStats,
+      webhookQueue: webhookQueueStats,
+      slackApi: getSlackClientStats(),
+      intercomApi: getIntercomClientStats(),
+      intercomCache: getKeyedCacheStats()
+    });
+  } catch (err) {
+    // Storage unreadable - report it rather than leaving the health check hanging
+    console.error('Error collecting health stats:', err);
+    res.status(500).json({ status: 'error', timestamp: new Date().toISOString(), error: err.message });
+  }
 });
 
-// Preferences endpoint - list all user preferences
-app.get('/preferences', (req, res) => {
-  const allPrefs = getAllPreferences();
-  const stats = getPreferenceStats();
-  
-  // Separate opted in and opted out
-  const optedIn = allPrefs.filter(p => p.optedIn);
-  const optedOut = allPrefs.filter(p => !p.optedIn);
-  
+/**
+ * Require ADMIN_API_TOKEN as a Bearer token
+ * Admin endpoints are disabled (503) until the token is configured.
+ */
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_API_TOKEN) {
+    return res.status(503).json({ error: 'ADMIN_API_TOKEN is not configured' });
+  }
+
+  const provided = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(ADMIN_API_TOKEN);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+// Webhook queue - pending/retrying webhooks and dead letters
+app.get('/admin/webhooks', requireAdminToken, async (req, res) => {
+  try {
+    res.status(200).json({
+      stats: await getWebhookQueueStats(),
+      queued: await listQueuedWebhooks(),
+      deadLetters: await listDeadLetters()
+    });
+  } catch (err) {
+    console.error('Error listing webhook queue:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Dead letter details, including the original payload
+app.get('/admin/webhooks/dead-letters/:id', requireAdminToken, async (req, res) => {
+  try {
+    const deadLetter = await getDeadLetter(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.status(200).json(deadLetter);
+  } catch (err) {
+    console.error(`Error reading dead letter ${req.params.id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Put a dead letter back on the queue
+app.post('/admin/webhooks/dead-letters/:id/replay', requireAdminToken, async (req, res) => {
+  try {
+    const job = await replayDeadLetter(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.status(200).json({ status: 'queued', id: job.id });
+  } catch (err) {
+    console.error(`Error replaying dead letter ${req.params.id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Drop a dead letter
+app.delete('/admin/webhooks/dead-letters/:id', requireAdminToken, async (req, res) => {
+  try {
+    const discarded = await discardDeadLetter(req.params.id);
+    if (!discarded) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.status(200).json({ status: 'discarded', id: req.params.id });
+  } catch (err) {
+    console.error(`Error discarding dead letter ${req.params.id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Fin detection - which rules match a conversation and the resulting score
+app.get('/fin/explain/:conversationId', requireAdminToken, async (req, res) => {
+  let conversation;
+  try {
+    conversation = await getConversation(req.params.conversationId, { fresh: true });
+  } catch (err) {
+    const notFound = err.status === 404;
+    return res.status(notFound ? 404 : 502).json({ error: notFound ? 'Conversation not found' : err.message });
+  }
+
+  const result = evaluateFinRules(conversation);
   res.status(200).json({
-    stats,
-    optedIn: optedIn.map(p => ({
-      email: p.email,
-      updatedAt: new Date(p.updatedAt).toISOString()
-    })),
-    optedOut: optedOut.map(p => ({
-      email: p.email,
-      updatedAt: new Date(p.updatedAt).toISOString()
-    })),
-    all: allPrefs.map(p => ({
-      email: p.email,
-      optedIn: p.optedIn,
-      updatedAt: new Date(p.updatedAt).toISOString()
-    }))
+    conversationId: String(conversation.id),
+    involved: result.involved,
+    score: result.score,
+    threshold: result.threshold,
+    rulesSource: result.source,
+    gateMode: process.env.FIN_GATE_MODE || 'required',
+    matches: result.matches,
+    rules: result.rules
   });
 });
 
+// Preferences endpoint - list all user preferences
+app.get('/preferences', async (req, res) => {
+  try {
+    const allPrefs = await getAllPreferences();
+    const stats = await getPreferenceStats();
+
+    // Separate opted in and opted out
+    const optedIn = allPrefs.filter(p => p.optedIn);
+    const optedOut = allPrefs.filter(p => !p.optedIn);
+
+    res.status(200).json({
+      stats,
+      optedIn: optedIn.map(p => ({
+        email: p.email,
+        updatedAt: new Date(p.updatedAt).toISOString()
+      })),
+      optedOut: optedOut.map(p => ({
+        email: p.email,
+        updatedAt: new Date(p.updatedAt).toISOString()
+      })),
+      all: allPrefs.map(p => ({
+        email: p.email,
+        optedIn: p.optedIn,
+        updatedAt: new Date(p.updatedAt).toISOString()
+      }))
+    });
+  } catch (err) {
+    console.error('Error listing preferences:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Slack slash command endpoint
-app.post('/slack/command', async (req, res) => {
+app.post('/slack/command', requireSlackSignature, async (req, res) => {
   try {
     // Log incoming request for debugging
     console.log(JSON.stringify({
@@ -100,19 +236,7 @@ app.post('/slack/command', async (req, res) => {
 });
 
 // Slack interactive actions endpoint (for buttons)
-app.post('/slack/interactive', async (req, res) => {
-  try {
-    const payload = req.body.payload;
-    const response = await handleInteractiveAction(payload);
-    res.json(response);
-  } catch (err) {
-    console.error('Error handling interactive action:', err);
-    res.json({
-      response_type: 'ephemeral',
-      text: '❌ An error occurred. Please try again later.'
-    });
-  }
-});
+app.post('/slack/interactive', requireSlackSignature, handleInteractiveRequest);
 
 // Intercom webhook endpoint
 app.post('/intercom/webhook', (req, res) => {
@@ -127,7 +251,7 @@ app.post('/intercom/webhook', (req, res) => {
   req.on('end', async () => {
     try {
       const rawBody = Buffer.concat(chunks);
-      const signatureHeader = req.headers['x-hub-signature'] || req.headers['X-Hub-Signature'];
+      const signatureHeader = getIntercomSignatureHeader(req.headers);
 
       // Verify signature
       if (!signatureHeader) {
@@ -164,19 +288,65 @@ app.post('/intercom/webhook', (req, res) => {
         return res.status(200).json({ status: 'ignored', reason: 'invalid_json' });
       }
 
-      // Handle webhook asynchronously (don't block response)
-      handleWebhook(payload).catch(err => {
+      // Replay protection: reject old notifications, then ones already seen
+      const freshness = checkWebhookFreshness(payload);
+      if (!freshness.fresh) {
+        console.warn(JSON.stringify({
+          requestId,
+          webhookId: payload.id,
+          event: 'webhook_stale',
+          createdAt: payload.created_at ?? null,
+          ageSeconds: freshness.ageSeconds,
+          maxAgeSeconds: freshness.maxAgeSeconds,
+          timestamp: new Date().toISOString()
+        }));
+        return res.status(200).json({ status: 'ignored', reason: 'stale', requestId });
+      }
+
+      let firstDelivery;
+      try {
+        firstDelivery = await claimWebhookNotification(payload.id, {
+          createdAt: payload.created_at,
+          topic: payload.topic
+        });
+      } catch (err) {
         console.error(JSON.stringify({
-          requestId: payload._requestId || requestId,
+          requestId,
           webhookId: payload.id,
-          event: 'handler_error',
+          event: 'replay_check_failed',
           error: err.message,
-          stack: err.stack,
           timestamp: new Date().toISOString()
         }));
-      });
+        // Storage unavailable - have Intercom retry rather than lose the webhook
+        return res.status(500).json({ error: 'Failed to check webhook', requestId });
+      }
+      if (!firstDelivery) {
+        console.warn(JSON.stringify({
+          requestId,
+          webhookId: payload.id,
+          event: 'webhook_replayed',
+          topic: payload.topic,
+          timestamp: new Date().toISOString()
+        }));
+        return res.status(200).json({ status: 'ignored', reason: 'duplicate', requestId });
+      }
+
+      // Persist before answering; the queue processes and retries it
+      try {
+        await enqueueWebhook(payload);
+      } catch (err) {
+        console.error(JSON.stringify({
+          requestId,
+          webhookId: payload.id,
+          event: 'enqueue_failed',
+          error: err.message,
+          timestamp: new Date().toISOString()
+        }));
+        // Let Intercom's own retry through the replay check
+        await releaseWebhookNotification(payload.id).catch(() => {});
+        return res.status(500).json({ error: 'Failed to queue webhook', requestId });
+      }
 
-      // Always return 200 after signature verification
       res.status(200).json({ status: 'received', requestId });
     } catch (err) {
       console.error(JSON.stringify({
@@ -201,12 +371,41 @@ app.post('/intercom/webhook', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`Webhook endpoint: http://localhost:${PORT}/intercom/webhook`);
   console.log(`FIN_GATE_MODE: ${process.env.FIN_GATE_MODE || 'required'}`);
   console.log(`FALLBACK_CHANNEL: ${process.env.FALLBACK_CHANNEL || 'not set'}`);
-  const nudgeStats = getNudgeStats();
-  console.log(`SLA_NUDGE: ${nudgeStats.enabled ? `enabled (${nudgeStats.slaMinutes} minutes)` : 'disabled'}`);
+  const nudgeStats = await getNudgeStats();
+  const nudgeMode = nudgeStats.escalationPolicies ? 'escalation policies' : `${nudgeStats.slaMinutes} minutes`;
+  console.log(`SLA_NUDGE: ${nudgeStats.enabled ? `enabled (${nudgeMode})` : 'disabled'}`);
+
+  // Re-arm nudges persisted before the last restart
+  try {
+    await restoreNudges();
+  } catch (err) {
+    console.error('Error restoring SLA nudges:', err);
+  }
+
+  // Resume webhooks queued or waiting for a retry before the last restart
+  try {
+    await restoreWebhookQueue();
+  } catch (err) {
+    console.error('Error restoring webhook queue:', err);
+  }
 });
+
+// Handle graceful shutdown (flush any buffered storage writes first)
+async function shutdown() {
+  console.log('\nShutting down gracefully...');
+  try {
+    await flushStorage();
+  } catch (err) {
+    console.error('Error flushing storage on shutdown:', err);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
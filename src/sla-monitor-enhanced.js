@@ -6,97 +6,72 @@
 // Ensure dotenv is loaded first
 import 'dotenv/config';
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { sendBlockKitMessage } from './slack.js';
+import { sendBlockKitMessage, sendDirectMessage, postMessage, updateMessage } from './slack.js';
+import { isOptedIn } from './preferences.js';
+import { isTimelineEnabled, recordTicketEvent } from './ticket-timeline.js';
 import { getTicketLink } from './ticket-notifier.js';
-import { isBusinessHours, getBusinessHoursConfig } from './business-hours.js';
+import { getScheduleConfig, getScheduleForTeam, addBusinessSeconds, businessSecondsBetween } from './business-hours.js';
+import { get, set, remove, getAll, claim } from './storage.js';
+import { getTicket, getAdmin } from './tickets.js';
+import { getConversation } from './intercom.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Storage namespaces (sla-state.json / assignment-tracking.json with the JSON backend)
+const SLA_STATE_NAMESPACE = 'sla_state';
+const ASSIGNMENT_TRACKING_NAMESPACE = 'assignment_tracking';
 
-const SLA_STATE_FILE = path.join(__dirname, '..', 'sla-state.json');
-const ASSIGNMENT_TRACKING_FILE = path.join(__dirname, '..', 'assignment-tracking.json');
+// The poller and the webhook server both check tickets; a per-ticket lock
+// (sla-locks.json) keeps their read-alert-save cycles from interleaving.
+// Locks expire after SLA_LOCK_TTL_SECONDS in case the holder crashed.
+const SLA_LOCK_NAMESPACE = 'sla_locks';
+const SLA_LOCK_TTL_SECONDS = 120;
+const SLA_LOCK_WAIT_MS = 30 * 1000;
+const SLA_LOCK_RETRY_MS = 250;
 const SLA_CHANNEL = process.env.SLA_ALERT_CHANNEL;
 
-// In-memory cache: ticketId -> SLA tracking data
-const slaStateCache = new Map();
+// Pre-breach warnings: percentages of the SLA duration at which the assignee is warned
+// Set SLA_WARNING_THRESHOLDS=disabled to turn warnings off
+const SLA_WARNING_THRESHOLDS_ENV = process.env.SLA_WARNING_THRESHOLDS ?? '50,80,95';
+const SLA_WARNING_THRESHOLDS = SLA_WARNING_THRESHOLDS_ENV.toLowerCase() === 'disabled'
+  ? []
+  : SLA_WARNING_THRESHOLDS_ENV.split(',')
+      .map(t => parseFloat(t.trim()))
+      .filter(t => t > 0 && t < 100)
+      .sort((a, b) => a - b);
 
-// In-memory cache: ticketId -> assignment tracking data (all tickets, not just SLA)
-const assignmentTrackingCache = new Map();
+// Optional channel that also receives pre-breach warnings
+const SLA_WARNING_CHANNEL = process.env.SLA_WARNING_CHANNEL;
 
-/**
- * Load SLA state from file
- */
-async function loadSLAState() {
-  try {
-    const data = await fs.readFile(SLA_STATE_FILE, 'utf-8');
-    const state = JSON.parse(data);
-    
-    slaStateCache.clear();
-    for (const [ticketId, slaInfo] of Object.entries(state)) {
-      slaStateCache.set(ticketId, slaInfo);
-    }
-    
-    console.log(`Loaded SLA state for ${slaStateCache.size} tickets`);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      console.log('No SLA state file found, starting fresh');
-    } else {
-      console.error('Error loading SLA state:', err);
-    }
-  }
-}
+// Minimum seconds between countdown refreshes of a live SLA alert (state changes update immediately)
+const SLA_MESSAGE_UPDATE_INTERVAL_SECONDS = parseInt(process.env.SLA_MESSAGE_UPDATE_INTERVAL_SECONDS || '60', 10);
 
 /**
- * Save SLA state to file
+ * Get the stored SLA state for a ticket
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<Object|null>} - SLA state or null if not tracked
  */
-async function saveSLAState() {
-  try {
-    const state = Object.fromEntries(slaStateCache);
-    await fs.writeFile(SLA_STATE_FILE, JSON.stringify(state, null, 2), 'utf-8');
-  } catch (err) {
-    console.error('Error saving SLA state:', err);
-  }
+export async function getSLAState(ticketId) {
+  return get(SLA_STATE_NAMESPACE, ticketId);
 }
 
 /**
- * Load assignment tracking from file
+ * Save the SLA state for a ticket
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} slaState - SLA state
  */
-async function loadAssignmentTracking() {
+export async function saveSLAState(ticketId, slaState) {
   try {
-    const data = await fs.readFile(ASSIGNMENT_TRACKING_FILE, 'utf-8');
-    const tracking = JSON.parse(data);
-    
-    assignmentTrackingCache.clear();
-    for (const [ticketId, assignmentInfo] of Object.entries(tracking)) {
-      assignmentTrackingCache.set(ticketId, assignmentInfo);
-    }
-    
-    console.log(`Loaded assignment tracking for ${assignmentTrackingCache.size} tickets`);
+    await set(SLA_STATE_NAMESPACE, ticketId, slaState);
   } catch (err) {
-    if (err.code === 'ENOENT') {
-      console.log('No assignment tracking file found, starting fresh');
-    } else {
-      console.error('Error loading assignment tracking:', err);
-    }
+    console.error('Error saving SLA state:', err);
   }
 }
 
 /**
- * Save assignment tracking to file
+ * Get the SLA state for all tracked tickets
+ * @returns {Promise<Object>} - ticketId -> SLA state
  */
-async function saveAssignmentTracking() {
-  try {
-    const tracking = {};
-    for (const [ticketId, assignmentInfo] of assignmentTrackingCache.entries()) {
-      tracking[ticketId] = assignmentInfo;
-    }
-    await fs.writeFile(ASSIGNMENT_TRACKING_FILE, JSON.stringify(tracking, null, 2));
-  } catch (err) {
-    console.error('Error saving assignment tracking:', err);
-  }
+export async function getAllSLAState() {
+  return getAll(SLA_STATE_NAMESPACE);
 }
 
 /**
@@ -131,41 +106,35 @@ export async function trackAssignment(ticket) {
   }
   
   // Check if already tracked
-  const existing = assignmentTrackingCache.get(ticketId);
+  const existing = await get(ASSIGNMENT_TRACKING_NAMESPACE, ticketId);
   if (existing && existing.assigned_at === finalAssignedAt && existing.assignee_name === assigneeName) {
     return; // Already tracked with same assignment
   }
   
-  assignmentTrackingCache.set(ticketId, {
-    ticket_id: ticketId,
-    assignee_id: assigneeId,
-    assignee_name: assigneeName,
-    assignee_email: assigneeEmail,
-    assigned_at: finalAssignedAt,
-    ticket_created_at: ticket.created_at || null,
-    tracked_at: Math.floor(Date.now() / 1000)
-  });
-  
-  await saveAssignmentTracking();
+  try {
+    await set(ASSIGNMENT_TRACKING_NAMESPACE, ticketId, {
+      ticket_id: ticketId,
+      assignee_id: assigneeId,
+      assignee_name: assigneeName,
+      assignee_email: assigneeEmail,
+      assigned_at: finalAssignedAt,
+      ticket_created_at: ticket.created_at || null,
+      tracked_at: Math.floor(Date.now() / 1000)
+    });
+  } catch (err) {
+    console.error('Error saving assignment tracking:', err);
+  }
 }
 
-// Load state on startup
-loadSLAState().catch(err => {
-  console.error('Failed to load SLA state on startup:', err);
-});
-
-loadAssignmentTracking().catch(err => {
-  console.error('Failed to load assignment tracking on startup:', err);
-});
-
 /**
- * Reload SLA state from file (for dashboard to sync with polling service)
- * @returns {Promise<number>} - Number of tickets loaded
+ * Get the number of tracked SLA tickets
+ * State is read through the storage backend on every call, so there is no
+ * longer anything to reload; kept for scripts that call it after writing.
+ * @returns {Promise<number>} - Number of tickets tracked
  */
 export async function reloadSLAState() {
-  await loadSLAState();
-  await loadAssignmentTracking();
-  return slaStateCache.size;
+  const state = await getAllSLAState();
+  return Object.keys(state).length;
 }
 
 /**
@@ -176,27 +145,8 @@ export async function reloadSLAState() {
  * @returns {number} - Business hours elapsed in seconds
  */
 function calculateBusinessHoursElapsed(startTimestamp, endTimestamp, config) {
-  if (!config.enabled) {
-    // No business hours restriction - return full elapsed time
-    return endTimestamp - startTimestamp;
-  }
-
-  let elapsed = 0;
-  const start = new Date(startTimestamp * 1000);
-  const end = new Date(endTimestamp * 1000);
-  
-  // Simple approximation: count business days and hours
-  // This is a simplified version - for production, use a proper business hours library
-  const oneDay = 24 * 60 * 60;
-  const daysDiff = Math.floor((endTimestamp - startTimestamp) / oneDay);
-  
-  // For now, assume 8 business hours per day (can be refined)
-  const businessHoursPerDay = 8 * 60 * 60;
-  elapsed = daysDiff * businessHoursPerDay;
-  
-  // Add partial day if within business hours
-  // This is simplified - proper implementation would check actual business hours
-  return Math.max(0, elapsed);
+  // businessSecondsBetween returns the full elapsed time when business hours are disabled
+  return businessSecondsBetween(startTimestamp, endTimestamp, config);
 }
 
 /**
@@ -296,20 +246,16 @@ function getSLADuration(slaApplied) {
 
 /**
  * Calculate SLA deadline
+ * The SLA clock only runs during business hours, so a deadline that would
+ * fall outside them is pushed into the next business window.
  * @param {number} assignedAt - Assignment timestamp (seconds)
  * @param {number} slaDuration - SLA duration (seconds)
  * @param {Object} config - Business hours config
  * @returns {number} - Deadline timestamp (seconds)
  */
 function calculateDeadline(assignedAt, slaDuration, config) {
-  if (!config.enabled) {
-    // No business hours - simple addition
-    return assignedAt + slaDuration;
-  }
-  
-  // With business hours, we need to calculate elapsed business time
-  // For now, use simple addition (can be enhanced with proper business hours calculation)
-  return assignedAt + slaDuration;
+  // addBusinessSeconds falls back to simple addition when business hours are disabled
+  return addBusinessSeconds(assignedAt, slaDuration, config);
 }
 
 /**
@@ -361,8 +307,40 @@ function getTicketTags(ticket) {
   }).filter(tag => tag); // Remove empty strings
 }
 
+/**
+ * Run a function while holding a ticket's SLA lock
+ * Waits up to SLA_LOCK_WAIT_MS for another process's check to finish, then
+ * runs anyway rather than dropping the check.
+ * @param {string} ticketId - Ticket ID
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} - fn's result
+ */
+async function withSLALock(ticketId, fn) {
+  const startedAt = Date.now();
+  let locked = false;
+  while (!locked) {
+    locked = await claim(SLA_LOCK_NAMESPACE, ticketId, { pid: process.pid, lockedAt: Date.now() }, { ttlSeconds: SLA_LOCK_TTL_SECONDS });
+    if (locked) break;
+    if (Date.now() - startedAt > SLA_LOCK_WAIT_MS) {
+      console.warn(`Timed out waiting for the SLA lock on ticket ${ticketId}, checking anyway`);
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, SLA_LOCK_RETRY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    if (locked) {
+      await remove(SLA_LOCK_NAMESPACE, ticketId).catch(err => console.error(`Error releasing the SLA lock on ticket ${ticketId}:`, err.message));
+    }
+  }
+}
+
 /**
  * Check and process SLA status for a ticket
+ * Runs under the ticket's SLA lock, so the stored state can't change between
+ * reading it and saving the update.
  * @param {Object} ticket - Ticket object
  * @returns {Promise<Object>} - { alerted: boolean, violationType: string|null, deadline: number|null }
  */
@@ -372,6 +350,16 @@ export async function checkSLAStatus(ticket) {
     return { alerted: false, violationType: null, deadline: null };
   }
 
+  return withSLALock(String(ticketId), () => runSLACheck(ticket, ticketId));
+}
+
+/**
+ * Check a ticket's SLA, send alerts and warnings, and save its state (see checkSLAStatus)
+ * @param {Object} ticket - Ticket object
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<Object>} - checkSLAStatus result
+ */
+async function runSLACheck(ticket, ticketId) {
   // Get SLA information
   let slaApplied = ticket.sla_applied;
   
@@ -398,17 +386,22 @@ export async function checkSLAStatus(ticket) {
   }
   
   if (!slaApplied || !slaApplied.sla_status) {
-    // No SLA - remove from cache
-    if (slaStateCache.has(ticketId)) {
-      slaStateCache.delete(ticketId);
-      await saveSLAState();
+    // No SLA - close out any live alert, then stop tracking
+    const removedState = await getSLAState(ticketId);
+    if (removedState?.slack_message) {
+      const removedConfig = getScheduleConfig(removedState.schedule);
+      const removedSla = { sla_name: removedState.sla_name };
+      await refreshSLAMessage(ticket, removedSla, removedState, removedConfig, Math.floor(Date.now() / 1000), { resolution: 'removed' });
     }
+    await remove(SLA_STATE_NAMESPACE, ticketId);
     return { alerted: false, violationType: null, deadline: null };
   }
 
   const currentStatus = slaApplied.sla_status;
   const slaName = slaApplied.sla_name || 'Unknown SLA';
-  const config = getBusinessHoursConfig();
+  // SLA clock follows the business hours of the team that owns the ticket
+  const teamAssigneeId = ticket.team_assignee_id || null;
+  const config = getScheduleForTeam(teamAssigneeId);
   
   // Get assignment timestamp
   const assignedAt = getAssignmentTimestamp(ticket);
@@ -416,7 +409,7 @@ export async function checkSLAStatus(ticket) {
   const isPaused = isTicketPaused(ticket);
   
   // Get previous state
-  const previousState = slaStateCache.get(ticketId);
+  const previousState = await getSLAState(ticketId);
   
   // Calculate deadline
   let deadline = null;
@@ -452,9 +445,26 @@ export async function checkSLAStatus(ticket) {
     assignee_email: assigneeEmail,
     ticket_subject: ticketSubject,
     ticket_state: ticketState,
-    ticket_created_at: ticketCreatedAt
+    ticket_created_at: ticketCreatedAt,
+    team_assignee_id: teamAssigneeId,
+    schedule: config.name,
+    is_open: ticket.open !== false,
+    conversation_id: getLinkedConversationId(ticket) || previousState?.conversation_id || null,
+    slack_message: previousState?.slack_message || null
   };
   
+  // Ticket details for the timeline thread's parent message
+  const timelineSummary = {
+    subject: ticketSubject,
+    link: getTicketLink(ticketId),
+    assigneeName,
+    slaName
+  };
+  
+  if (previousState) {
+    await recordStateChanges(ticketId, previousState, stateUpdate, timelineSummary);
+  }
+  
   // Check for violations
   let violationType = null;
   let shouldAlert = false;
@@ -483,15 +493,32 @@ export async function checkSLAStatus(ticket) {
     }
   }
   
+  // 3. Warn before the breach (only while the clock is running)
+  let warningThreshold = null;
+  if (!violationType && !isPaused && currentStatus === 'active' && deadline && now < deadline && slaDuration) {
+    warningThreshold = await sendPreBreachWarning(ticket, stateUpdate, { slaName, deadline, slaDuration, config, now, timelineSummary });
+  }
+  
   // Send alert if needed
   if (shouldAlert && SLA_CHANNEL) {
     try {
       const ticketLink = getTicketLink(ticketId);
       const blocks = generateSLAAlertBlocks(ticket, slaApplied, ticketLink, violationType, deadline);
       
-      const success = await sendBlockKitMessage(SLA_CHANNEL, blocks);
+      // A still-live alert for the same deadline is updated in place (e.g. violation -> missed)
+      const existing = stateUpdate.slack_message;
+      const reuse = existing && !existing.final && existing.deadline === deadline;
+      // With timelines enabled the alert is a reply in the ticket's thread
+      let message;
+      if (reuse) {
+        message = await updateMessage(existing.channel, existing.ts, blocks, { text: blocks[0].text.text }) ? existing : null;
+      } else if (isTimelineEnabled()) {
+        message = await recordTicketEvent(ticketId, violationType, { blocks, summary: timelineSummary });
+      } else {
+        message = await postMessage(SLA_CHANNEL, blocks, { text: blocks[0].text.text });
+      }
       
-      if (success) {
+      if (message) {
         // Record alert
         stateUpdate.alert_history.push({
           type: violationType,
@@ -500,28 +527,404 @@ export async function checkSLAStatus(ticket) {
           status: currentStatus
         });
         
-        slaStateCache.set(ticketId, stateUpdate);
-        await saveSLAState();
+        // Keep a reference so later checks can update the message in place
+        stateUpdate.slack_message = {
+          channel: message.channel,
+          ts: message.ts,
+          violation_type: violationType,
+          deadline: deadline,
+          assignee_name: reuse ? existing.assignee_name : assigneeName,
+          posted_at: reuse ? existing.posted_at : now,
+          updated_at: now,
+          state_key: null,
+          final: false
+        };
+        stateUpdate.slack_message.state_key = getAlertStateKey(
+          ticket,
+          slaApplied,
+          getLiveAlertState(ticket, stateUpdate, config, now)
+        );
+        
+        await saveSLAState(ticketId, stateUpdate);
         
         console.log(`⚠️  SLA ${violationType} alert sent for ticket ${ticketId} (${slaName})`);
-        return { alerted: true, violationType, deadline };
+        return { alerted: true, violationType, deadline, warningThreshold };
       }
     } catch (err) {
       console.error(`Error sending SLA alert for ticket ${ticketId}:`, err);
     }
   }
   
-  // Update cache even if no alert
-  slaStateCache.set(ticketId, stateUpdate);
-  await saveSLAState();
+  // Keep any earlier alert message up to date
+  if (stateUpdate.slack_message) {
+    await refreshSLAMessage(ticket, slaApplied, stateUpdate, config, now);
+  }
+  
+  // Update state even if no alert
+  await saveSLAState(ticketId, stateUpdate);
   
-  return { alerted: shouldAlert && !!SLA_CHANNEL, violationType, deadline };
+  return { alerted: shouldAlert && !!SLA_CHANNEL, violationType, deadline, warningThreshold };
+}
+
+/**
+ * Fetch a ticket with everything the SLA check needs and run checkSLAStatus
+ * Assignee details, tags and a missing SLA are filled in from the admin and the
+ * linked conversation. Used by the poller and by ticket/conversation webhooks.
+ * @param {Object} ticket - Ticket (at least { id }; search results may carry admin_assignee)
+ * @param {Object} overrides - Fields that are fresher than Intercom's ticket
+ *   (e.g. { open: false } from a close webhook), applied before the check
+ * @returns {Promise<Object>} - checkSLAStatus result
+ * @throws {Error} - If the ticket can't be fetched and the given one has no SLA info
+ */
+export async function refreshTicketSLA(ticket, overrides = {}) {
+  if (!ticket.id) {
+    return checkSLAStatus({ ...ticket, ...overrides });
+  }
+
+  let fullTicket;
+  try {
+    fullTicket = await getTicket(ticket.id, { updatedAt: ticket.updated_at });
+  } catch (err) {
+    // Without an SLA the check would stop tracking the ticket - let the caller retry instead
+    if (!ticket.sla_applied) {
+      throw err;
+    }
+    console.error(`Failed to fetch ticket ${ticket.id} for SLA check:`, err.message);
+    // Try with basic ticket info
+    return checkSLAStatus({ ...ticket, ...overrides });
+  }
+
+  // Merge admin_assignee info if we have it
+  if (ticket.admin_assignee) {
+    fullTicket.admin_assignee = ticket.admin_assignee;
+  }
+
+  // Fetch assignee info if missing but admin_assignee_id exists
+  if (!fullTicket.admin_assignee && fullTicket.admin_assignee_id) {
+    try {
+      const admin = await getAdmin(fullTicket.admin_assignee_id);
+      if (admin) {
+        fullTicket.admin_assignee = {
+          id: admin.id,
+          name: admin.name,
+          email: admin.email
+        };
+      }
+    } catch (adminErr) {
+      // Admin fetch failed - continue without assignee info
+    }
+  }
+
+  // Track all assignments (not just SLA tickets) with full ticket info
+  if (fullTicket.admin_assignee) {
+    try {
+      await trackAssignment(fullTicket);
+    } catch (trackErr) {
+      console.error(`Failed to track assignment for ticket ${fullTicket.id}:`, trackErr.message);
+    }
+  }
+
+  // Fetch tags from linked conversations (tags are on conversations, not tickets)
+  let conversationTags = [];
+  const linkedConversations = (fullTicket.linked_objects?.data || []).filter(linked => linked.type === 'conversation');
+  for (const linked of linkedConversations) {
+    try {
+      const conversation = await getConversation(linked.id);
+      conversationTags = conversationTags.concat(getConversationTags(conversation));
+      // Also merge SLA if ticket doesn't have it
+      if (!fullTicket.sla_applied && conversation.sla_applied) {
+        fullTicket.sla_applied = conversation.sla_applied;
+        console.log(`[SLA] Found SLA on conversation for ticket ${ticket.id}: ${conversation.sla_applied.sla_name || 'Unknown'}`);
+      }
+    } catch (convErr) {
+      // Conversation fetch failed - continue
+    }
+  }
+
+  // If no linked conversations found, try fetching ticket ID as conversation
+  // (tickets created from conversations may use conversation ID as ticket ID)
+  if (conversationTags.length === 0 && (!fullTicket.sla_applied || linkedConversations.length === 0)) {
+    try {
+      const conversation = await getConversation(ticket.id);
+      conversationTags = getConversationTags(conversation);
+      if (conversation.sla_applied) {
+        fullTicket.sla_applied = conversation.sla_applied;
+        console.log(`[SLA] Found SLA on conversation for ticket ${ticket.id}: ${conversation.sla_applied.sla_name || 'Unknown'}`);
+      }
+    } catch (convErr) {
+      // Not a conversation or conversation fetch failed - that's okay
+    }
+  }
+
+  // Merge conversation tags into ticket object for SLA check
+  if (conversationTags.length > 0) {
+    fullTicket.tags = conversationTags;
+  }
+
+  return checkSLAStatus({ ...fullTicket, ...overrides });
+}
+
+/**
+ * Find the tracked SLA tickets behind a conversation
+ * Tickets created from a conversation share its ID; others link to it.
+ * @param {string} conversationId - Intercom conversation ID
+ * @returns {Promise<Array<string>>} - Ticket IDs with SLA state
+ */
+export async function findSLATicketsForConversation(conversationId) {
+  const states = await getAllSLAState();
+  return Object.keys(states).filter(ticketId =>
+    ticketId === String(conversationId) || states[ticketId]?.conversation_id === String(conversationId)
+  );
+}
+
+/**
+ * Get the linked conversation of a ticket
+ * @param {Object} ticket - Ticket object
+ * @returns {string|null} - Conversation ID
+ */
+function getLinkedConversationId(ticket) {
+  const linked = ticket.linked_objects?.data?.find(object => object.type === 'conversation');
+  return linked ? String(linked.id) : null;
+}
+
+/**
+ * Get the tags of a conversation
+ * Tags may be a list or nested in conversation.tags.tags / conversation.tags.data
+ * @param {Object} conversation - Conversation object
+ * @returns {Array} - Tags
+ */
+function getConversationTags(conversation) {
+  const tags = conversation.tags;
+  if (!tags) return [];
+  if (Array.isArray(tags)) return tags;
+  if (Array.isArray(tags.tags)) return tags.tags;
+  if (Array.isArray(tags.data)) return tags.data;
+  return [];
+}
+
+/**
+ * Post reassignments, SLA hits and closures to the ticket's timeline thread
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} previousState - SLA state from the last check
+ * @param {Object} stateUpdate - SLA state being saved
+ * @param {Object} summary - Ticket details for the thread's parent message
+ */
+async function recordStateChanges(ticketId, previousState, stateUpdate, summary) {
+  if (!isTimelineEnabled()) {
+    return;
+  }
+
+  if (previousState.assignee_name && stateUpdate.assignee_name && previousState.assignee_name !== stateUpdate.assignee_name) {
+    await recordTicketEvent(ticketId, 'reassignment', {
+      text: `${previousState.assignee_name} → ${stateUpdate.assignee_name}`,
+      summary
+    });
+  }
+
+  if (previousState.sla_status !== 'hit' && stateUpdate.sla_status === 'hit') {
+    await recordTicketEvent(ticketId, 'sla_hit', { text: stateUpdate.sla_name, summary });
+  }
+
+  if (previousState.is_open !== false && stateUpdate.is_open === false) {
+    await recordTicketEvent(ticketId, 'closed', { text: stateUpdate.ticket_state, summary });
+  }
+}
+
+/**
+ * Send a pre-breach warning if the SLA has crossed a new warning threshold
+ * Each threshold fires once per deadline; if several are crossed between
+ * checks only the highest is sent, and all of them are recorded in alert_history.
+ * @param {Object} ticket - Ticket object
+ * @param {Object} stateUpdate - SLA state being saved (alert_history is appended to)
+ * @param {Object} context - { slaName, deadline, slaDuration, config, now, timelineSummary }
+ * @returns {Promise<number|null>} - Threshold warned about, or null
+ */
+async function sendPreBreachWarning(ticket, stateUpdate, { slaName, deadline, slaDuration, config, now, timelineSummary }) {
+  if (SLA_WARNING_THRESHOLDS.length === 0) {
+    return null;
+  }
+
+  const remaining = calculateBusinessHoursElapsed(now, deadline, config);
+  const percentUsed = ((slaDuration - remaining) / slaDuration) * 100;
+
+  const alreadyWarned = new Set(
+    stateUpdate.alert_history
+      .filter(a => a.type === 'pre_breach_warning' && a.deadline === deadline)
+      .map(a => a.threshold)
+  );
+  const crossed = SLA_WARNING_THRESHOLDS.filter(t => percentUsed >= t && !alreadyWarned.has(t));
+  if (crossed.length === 0) {
+    return null;
+  }
+
+  const ticketId = ticket.id || ticket.ticket_id;
+  const threshold = crossed[crossed.length - 1];
+  const assigneeEmail = stateUpdate.assignee_email;
+  const ticketLink = getTicketLink(ticketId);
+  const blocks = generateSLAWarningBlocks(ticket, slaName, ticketLink, threshold, deadline, remaining);
+
+  let wantsDM = false;
+  let dmSent = false;
+  let channelSent = false;
+  let threadSent = false;
+  try {
+    wantsDM = !!assigneeEmail && await isOptedIn(assigneeEmail);
+    if (wantsDM) {
+      dmSent = await sendDirectMessage(assigneeEmail, blocks);
+    }
+    if (SLA_WARNING_CHANNEL) {
+      channelSent = await sendBlockKitMessage(SLA_WARNING_CHANNEL, blocks);
+    }
+    if (isTimelineEnabled()) {
+      const reply = await recordTicketEvent(ticketId, 'pre_breach_warning', {
+        blocks,
+        text: `${threshold}% used, ${Math.round(remaining / 60)} business minutes left`,
+        summary: timelineSummary
+      });
+      threadSent = !!reply;
+    }
+  } catch (err) {
+    console.error(`Error sending SLA warning for ticket ${ticketId}:`, err);
+  }
+
+  if ((wantsDM || SLA_WARNING_CHANNEL || isTimelineEnabled()) && !dmSent && !channelSent && !threadSent) {
+    return null; // Nothing delivered - try again on the next check
+  }
+
+  for (const t of crossed) {
+    stateUpdate.alert_history.push({
+      type: 'pre_breach_warning',
+      threshold: t,
+      timestamp: now,
+      deadline: deadline,
+      status: stateUpdate.sla_status,
+      remaining_seconds: remaining,
+      skipped: t !== threshold,
+      dm_sent: t === threshold && dmSent,
+      channel_sent: t === threshold && channelSent,
+      thread_sent: t === threshold && threadSent
+    });
+  }
+
+  console.log(`⏳ SLA ${threshold}% warning for ticket ${ticketId} (${slaName}, ${Math.round(remaining / 60)} business minutes left)`);
+  return threshold;
+}
+
+/**
+ * Format a duration in seconds as "1h 5m" / "12m"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Formatted duration
+ */
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Work out how a live SLA alert should currently look
+ * @param {Object} ticket - Ticket object
+ * @param {Object} slaState - Current SLA state (with slack_message)
+ * @param {Object} config - Business hours config
+ * @param {number} now - Current timestamp (seconds)
+ * @returns {Object} - Live state for generateSLAAlertBlocks
+ */
+function getLiveAlertState(ticket, slaState, config, now) {
+  let resolution = null;
+  if (slaState.sla_status === 'hit') {
+    resolution = 'hit';
+  } else if (ticket.open === false || ticket.state === 'closed') {
+    resolution = 'closed';
+  }
+
+  const deadline = slaState.slack_message.deadline;
+  const overdueSeconds = deadline && now > deadline && !slaState.is_paused
+    ? calculateBusinessHoursElapsed(deadline, now, config)
+    : 0;
+
+  return {
+    slaStatus: slaState.sla_status,
+    resolution,
+    overdueSeconds,
+    unwarranted: !!slaState.has_unwarranted_tag,
+    originalAssignee: slaState.slack_message.assignee_name,
+    updatedAt: now
+  };
+}
+
+/**
+ * Summarize the parts of a live alert that should trigger an immediate update
+ * @param {Object} ticket - Ticket object
+ * @param {Object} slaApplied - SLA applied to the ticket
+ * @param {Object} live - Live state from getLiveAlertState
+ * @returns {string} - Comparison key
+ */
+function getAlertStateKey(ticket, slaApplied, live) {
+  return JSON.stringify([
+    live.slaStatus,
+    live.resolution,
+    live.unwarranted,
+    ticket.admin_assignee?.name || null,
+    slaApplied.sla_name || null
+  ]);
+}
+
+/**
+ * Update a previously posted SLA alert to reflect the ticket's current state
+ * Status, assignee and unwarranted-tag changes are pushed straight away; the
+ * overdue countdown is refreshed at most every SLA_MESSAGE_UPDATE_INTERVAL_SECONDS.
+ * Once resolved or unwarranted the message is final and no longer updated.
+ * @param {Object} ticket - Ticket object
+ * @param {Object} slaApplied - SLA applied to the ticket
+ * @param {Object} slaState - SLA state being saved (slack_message is updated in place)
+ * @param {Object} config - Business hours config
+ * @param {number} now - Current timestamp (seconds)
+ * @param {Object} overrides - Live state overrides (e.g. { resolution: 'removed' })
+ */
+async function refreshSLAMessage(ticket, slaApplied, slaState, config, now, overrides = {}) {
+  const message = slaState.slack_message;
+  if (!message || message.final) {
+    return;
+  }
+
+  const live = { ...getLiveAlertState(ticket, slaState, config, now), ...overrides };
+
+  const stateKey = getAlertStateKey(ticket, slaApplied, live);
+  const countdownDue = live.overdueSeconds > 0 && now - (message.updated_at || 0) >= SLA_MESSAGE_UPDATE_INTERVAL_SECONDS;
+  if (stateKey === message.state_key && !countdownDue) {
+    return;
+  }
+
+  const ticketId = ticket.id || ticket.ticket_id;
+  const blocks = generateSLAAlertBlocks(ticket, slaApplied, getTicketLink(ticketId), message.violation_type, message.deadline, live);
+
+  try {
+    const updated = await updateMessage(message.channel, message.ts, blocks, { text: blocks[0].text.text });
+    if (!updated) return;
+  } catch (err) {
+    console.error(`Error updating SLA alert for ticket ${ticketId}:`, err);
+    return;
+  }
+
+  message.state_key = stateKey;
+  message.updated_at = now;
+  message.final = !!(live.resolution || live.unwarranted);
+  console.log(`🔄 Updated SLA alert for ticket ${ticketId}${message.final ? ' (final)' : ''}`);
 }
 
 /**
  * Generate Slack alert blocks
+ * The same blocks are re-rendered for live updates: pass `live` to show the
+ * current countdown, resolution, assignee and unwarranted tag.
+ * @param {Object} ticket - Ticket object
+ * @param {Object} slaApplied - SLA applied to the ticket
+ * @param {string} ticketLink - Ticket link
+ * @param {string} violationType - 'status_missed' or 'deadline_violation'
+ * @param {number} deadline - Deadline timestamp (seconds)
+ * @param {Object} live - Live state { slaStatus, resolution, overdueSeconds, unwarranted, originalAssignee, updatedAt }
+ * @returns {Array} - Block Kit blocks
  */
-function generateSLAAlertBlocks(ticket, slaApplied, ticketLink, violationType, deadline) {
+function generateSLAAlertBlocks(ticket, slaApplied, ticketLink, violationType, deadline, live = {}) {
   const ticketId = ticket.ticket_id || ticket.id;
   const subject = ticket.ticket_attributes?._default_title_ || ticket.subject || 'No subject';
   const assigneeName = ticket.admin_assignee?.name || 'Unassigned';
@@ -529,12 +932,41 @@ function generateSLAAlertBlocks(ticket, slaApplied, ticketLink, violationType, d
   const slaName = slaApplied.sla_name || 'Unknown SLA';
   
   const isDeadlineViolation = violationType === 'deadline_violation';
-  const headerText = isDeadlineViolation ? '⏰ SLA Deadline Violated' : '⚠️ SLA Missed';
+  let headerText = isDeadlineViolation ? '⏰ SLA Deadline Violated' : '⚠️ SLA Missed';
+  if (live.unwarranted) {
+    headerText = '🚫 Unwarranted SLA';
+  } else if (live.resolution === 'hit') {
+    headerText = '✅ Resolved - SLA Hit';
+  } else if (live.resolution === 'closed') {
+    headerText = '✅ Resolved - Ticket Closed';
+  } else if (live.resolution === 'removed') {
+    headerText = '✅ Resolved - SLA Removed';
+  }
+  
+  // Strike through the details once the alert turns out to be unwarranted
+  const strike = text => (live.unwarranted ? `~${text}~` : text);
+  
+  let assigneeText = `${assigneeName}${assigneeEmail ? ` (${assigneeEmail})` : ''}`;
+  if (live.originalAssignee && live.originalAssignee !== assigneeName) {
+    assigneeText += `\n_Reassigned from ${live.originalAssignee}_`;
+  }
+  
+  const statusText = live.slaStatus
+    ? `SLA ${live.slaStatus}`
+    : (ticket.ticket_state?.internal_label || (ticket.open ? 'Open' : 'Closed'));
   
   const deadlineText = deadline 
     ? `Deadline: ${new Date(deadline * 1000).toLocaleString()}`
     : 'Deadline: Unknown';
   
+  const contextParts = [deadlineText, `Created: ${new Date(ticket.created_at * 1000).toLocaleString()}`];
+  if (live.overdueSeconds > 0 && !live.resolution && !live.unwarranted) {
+    contextParts.push(`⏱️ Overdue by ${formatDuration(live.overdueSeconds)} (business time)`);
+  }
+  if (live.updatedAt) {
+    contextParts.push(`Updated: ${new Date(live.updatedAt * 1000).toLocaleTimeString()}`);
+  }
+  
   return [
     {
       type: 'header',
@@ -549,19 +981,19 @@ function generateSLAAlertBlocks(ticket, slaApplied, ticketLink, violationType, d
       fields: [
         {
           type: 'mrkdwn',
-          text: `*SLA Name:*\n${slaName}`
+          text: `*SLA Name:*\n${strike(slaName)}`
         },
         {
           type: 'mrkdwn',
-          text: `*Ticket ID:*\n${ticketId}`
+          text: `*Ticket ID:*\n${strike(ticketId)}`
         },
         {
           type: 'mrkdwn',
-          text: `*Assignee:*\n${assigneeName}${assigneeEmail ? ` (${assigneeEmail})` : ''}`
+          text: `*Assignee:*\n${assigneeText}`
         },
         {
           type: 'mrkdwn',
-          text: `*Status:*\n${ticket.ticket_state?.internal_label || ticket.open ? 'Open' : 'Closed'}`
+          text: `*Status:*\n${statusText}`
         }
       ]
     },
@@ -569,7 +1001,7 @@ function generateSLAAlertBlocks(ticket, slaApplied, ticketLink, violationType, d
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `*Subject:*\n${subject}`
+        text: `*Subject:*\n${strike(subject)}`
       }
     },
     {
@@ -577,7 +1009,7 @@ function generateSLAAlertBlocks(ticket, slaApplied, ticketLink, violationType, d
       elements: [
         {
           type: 'mrkdwn',
-          text: `${deadlineText} | Created: ${new Date(ticket.created_at * 1000).toLocaleString()}`
+          text: contextParts.join(' | ')
         }
       ]
     },
@@ -628,16 +1060,101 @@ function generateSLAAlertBlocks(ticket, slaApplied, ticketLink, violationType, d
   ];
 }
 
+/**
+ * Generate Block Kit blocks for a pre-breach SLA warning
+ * @param {Object} ticket - Ticket object
+ * @param {string} slaName - SLA name
+ * @param {string} ticketLink - Ticket link
+ * @param {number} threshold - Percentage of the SLA used
+ * @param {number} deadline - Deadline timestamp (seconds)
+ * @param {number} remainingSeconds - Business seconds left
+ * @returns {Array} - Block Kit blocks
+ */
+function generateSLAWarningBlocks(ticket, slaName, ticketLink, threshold, deadline, remainingSeconds) {
+  const ticketId = ticket.ticket_id || ticket.id;
+  const subject = ticket.ticket_attributes?._default_title_ || ticket.subject || 'No subject';
+  const assigneeName = ticket.admin_assignee?.name || 'Unassigned';
+  const remainingMinutes = Math.max(1, Math.round(remainingSeconds / 60));
+
+  return [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `⏳ SLA ${threshold}% used - about to breach`,
+        emoji: true
+      }
+    },
+    {
+      type: 'section',
+      fields: [
+        {
+          type: 'mrkdwn',
+          text: `*SLA Name:*\n${slaName}`
+        },
+        {
+          type: 'mrkdwn',
+          text: `*Ticket ID:*\n${ticketId}`
+        },
+        {
+          type: 'mrkdwn',
+          text: `*Assignee:*\n${assigneeName}`
+        },
+        {
+          type: 'mrkdwn',
+          text: `*Time left:*\n${remainingMinutes} business minute${remainingMinutes === 1 ? '' : 's'}`
+        }
+      ]
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Subject:*\n${subject}`
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `Deadline: ${new Date(deadline * 1000).toLocaleString()}`
+        }
+      ]
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: 'Open in Intercom',
+            emoji: true
+          },
+          url: ticketLink,
+          action_id: 'open_intercom',
+          style: 'primary'
+        }
+      ]
+    }
+  ];
+}
+
 /**
  * Get all tracked SLA tickets for dashboard
- * @returns {Array} - Array of SLA ticket data
+ * @returns {Promise<Array>} - Array of SLA ticket data
  */
-export function getAllSLATickets() {
+export async function getAllSLATickets() {
   const tickets = [];
   const now = Math.floor(Date.now() / 1000);
+  const slaState = await getAllSLAState();
   
-  for (const [ticketId, state] of slaStateCache.entries()) {
-    const remaining = state.deadline ? Math.max(0, state.deadline - now) : null;
+  for (const [ticketId, state] of Object.entries(slaState)) {
+    const config = getScheduleConfig(state.schedule);
+    
+    // Remaining time only counts business time, matching how the deadline was calculated
+    const remaining = state.deadline ? calculateBusinessHoursElapsed(now, state.deadline, config) : null;
     const isOverdue = state.deadline && now > state.deadline;
     const minutesRemaining = remaining ? Math.floor(remaining / 60) : null;
     
@@ -645,11 +1162,11 @@ export function getAllSLATickets() {
     const timeSinceAssignment = state.assigned_at ? (now - state.assigned_at) : null;
     const timeSinceAssignmentMinutes = timeSinceAssignment ? Math.floor(timeSinceAssignment / 60) : null;
     
-    // Calculate progress percentage (0-100)
+    // Calculate progress percentage (0-100) in business time
     let progressPercent = null;
     if (state.deadline && state.assigned_at) {
-      const totalDuration = state.deadline - state.assigned_at;
-      const elapsed = now - state.assigned_at;
+      const totalDuration = state.sla_duration || calculateBusinessHoursElapsed(state.assigned_at, state.deadline, config);
+      const elapsed = calculateBusinessHoursElapsed(state.assigned_at, now, config);
       if (totalDuration > 0) {
         progressPercent = Math.min(100, Math.max(0, (elapsed / totalDuration) * 100));
       }
@@ -666,7 +1183,8 @@ export function getAllSLATickets() {
       is_overdue: isOverdue,
       is_paused: state.is_paused,
       updated_at: state.updated_at,
-      alert_count: state.alert_history?.length || 0,
+      alert_count: state.alert_history?.filter(a => a.type !== 'pre_breach_warning').length || 0,
+      warning_count: state.alert_history?.filter(a => a.type === 'pre_breach_warning' && !a.skipped).length || 0,
       tags: state.tags || [],
       has_unwarranted_tag: state.has_unwarranted_tag || false,
       assignee_name: state.assignee_name || null,
@@ -674,6 +1192,8 @@ export function getAllSLATickets() {
       ticket_subject: state.ticket_subject || null,
       ticket_state: state.ticket_state || null,
       ticket_created_at: state.ticket_created_at || null,
+      team_assignee_id: state.team_assignee_id || null,
+      schedule: state.schedule || null,
       time_since_assignment: timeSinceAssignment,
       time_since_assignment_minutes: timeSinceAssignmentMinutes,
       progress_percent: progressPercent
@@ -697,10 +1217,10 @@ export function getAllSLATickets() {
 /**
  * Get SLA stats, optionally from a filtered set of tickets
  * @param {Array} filteredTickets - Optional pre-filtered tickets array. If not provided, uses all tickets.
- * @returns {Object} - Stats object
+ * @returns {Promise<Object>} - Stats object
  */
-export function getSLAStats(filteredTickets = null) {
-  const tickets = filteredTickets || getAllSLATickets();
+export async function getSLAStats(filteredTickets = null) {
+  const tickets = filteredTickets || await getAllSLATickets();
   const now = Math.floor(Date.now() / 1000);
   
   const active = tickets.filter(t => t.sla_status === 'active').length;
@@ -732,7 +1252,8 @@ export function getSLAStats(filteredTickets = null) {
   // Agent performance breakdown
   // First, count all assignments (from assignment tracking)
   const allAssignmentsByAgent = {};
-  for (const [ticketId, assignment] of assignmentTrackingCache.entries()) {
+  const assignmentTracking = await getAll(ASSIGNMENT_TRACKING_NAMESPACE);
+  for (const [ticketId, assignment] of Object.entries(assignmentTracking)) {
     if (!assignment.assignee_name) continue;
     const agent = assignment.assignee_name;
     if (!allAssignmentsByAgent[agent]) {
@@ -0,0 +1,256 @@
+/**
+ * Shared Slack Web API client
+ * - Paces calls by Slack's rate-limit tier for each method (chat.postMessage per channel)
+ * - Waits out 429 responses (Retry-After) and retries transient failures with backoff
+ *   (methods that post messages only after rate limits, which Slack didn't process)
+ * - Times out requests that hang
+ * - Throws SlackApiError, so callers can tell "try again later" from "won't ever work"
+ */
+
+const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
+const SLACK_API_BASE_URL = 'https://slack.com/api';
+
+const SLACK_REQUEST_TIMEOUT_MS = parseInt(process.env.SLACK_REQUEST_TIMEOUT_MS || '10000', 10);
+const SLACK_MAX_RETRIES = parseInt(process.env.SLACK_MAX_RETRIES || '3', 10);
+const SLACK_RETRY_BASE_MS = 500;
+// Longer Retry-After waits are left to the caller's own retry (webhook queue, next poll)
+const SLACK_MAX_RETRY_AFTER_SECONDS = 30;
+
+// Calls per minute and burst size for each rate-limit tier
+// (https://api.slack.com/docs/rate-limits)
+const RATE_LIMITS = {
+  tier2: { perMinute: 20, burst: 3 },
+  tier3: { perMinute: 50, burst: 10 },
+  tier4: { perMinute: 100, burst: 20 },
+  // chat.postMessage: about one message per second per channel, short bursts allowed
+  channel: { perMinute: 60, burst: 3 }
+};
+
+const METHOD_LIMITS = {
+  'users.lookupByEmail': 'tier3',
+  'users.info': 'tier4',
+  'conversations.open': 'tier3',
+  'chat.postMessage': 'channel',
+  'chat.update': 'tier3',
+  'views.open': 'tier4',
+  'views.update': 'tier4'
+};
+
+// Methods that post something new: a call that timed out or failed with a 5xx may
+// still have gone through, so retrying could post twice. The caller decides.
+const NON_IDEMPOTENT_METHODS = ['chat.postMessage', 'chat.postEphemeral', 'chat.scheduleMessage'];
+
+// Slack error codes worth retrying
+const TRANSIENT_ERRORS = ['internal_error', 'fatal_error', 'service_unavailable', 'request_timeout', 'ratelimited'];
+
+// Slack error codes meaning the recipient can't be reached (fall back instead of retrying)
+const RECIPIENT_ERRORS = [
+  'users_not_found',
+  'user_not_found',
+  'user_disabled',
+  'account_inactive',
+  'channel_not_found',
+  'is_archived',
+  'cannot_dm_bot',
+  'not_in_channel'
+];
+
+/**
+ * Error from a Slack API call
+ * - code: Slack error ("channel_not_found"), or http_<status>, timeout, network_error, not_configured
+ * - retryable: true if the same call may succeed later
+ * - retryAfterSeconds: Slack's Retry-After, for rate-limited calls
+ * - messages: Slack's response_metadata.messages (e.g. invalid blocks), if any
+ */
+export class SlackApiError extends Error {
+  constructor(method, code, { status = null, retryable = false, retryAfterSeconds = null, messages = null, cause = null } = {}) {
+    super(`Slack API error (${method}): ${code}`);
+    this.name = 'SlackApiError';
+    this.method = method;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.messages = messages;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Check whether an error means the Slack recipient can't be reached
+ * @param {Error} err - Error thrown by callSlack
+ * @returns {boolean} - True for unknown, deactivated or archived users and channels
+ */
+export function isRecipientError(err) {
+  return err instanceof SlackApiError && RECIPIENT_ERRORS.includes(err.code);
+}
+
+// Token buckets, key: method or "chat.postMessage:<channel>"
+const buckets = new Map();
+
+const stats = {
+  requests: 0,
+  retries: 0,
+  rateLimited: 0,
+  failures: 0,
+  lastError: null
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the token bucket for a call
+ * @param {string} method - API method
+ * @param {Object} params - Call parameters (chat.postMessage is limited per channel)
+ * @returns {Object} - Bucket { key, limit, tokens, updatedAt, pausedUntil }
+ */
+function getBucket(method, params) {
+  const limitName = METHOD_LIMITS[method] || 'tier3';
+  const key = limitName === 'channel' ? `${method}:${params.channel}` : method;
+
+  if (!buckets.has(key)) {
+    const limit = RATE_LIMITS[limitName];
+    buckets.set(key, { key, limit, tokens: limit.burst, updatedAt: Date.now(), pausedUntil: 0 });
+  }
+  return buckets.get(key);
+}
+
+/**
+ * Wait until the bucket allows another call, then take a token
+ * @param {Object} bucket - Token bucket
+ */
+async function acquire(bucket) {
+  for (;;) {
+    const now = Date.now();
+    if (bucket.pausedUntil > now) {
+      await sleep(bucket.pausedUntil - now);
+      continue;
+    }
+
+    const ratePerMs = bucket.limit.perMinute / 60000;
+    bucket.tokens = Math.min(bucket.limit.burst, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+    await sleep(Math.ceil((1 - bucket.tokens) / ratePerMs));
+  }
+}
+
+/**
+ * Get the delay before a retry
+ * Exponential backoff with ±20% jitter.
+ * @param {number} attempt - Attempt that failed (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelayMs(attempt) {
+  const jitter = 0.8 + Math.random() * 0.4;
+  return Math.round(SLACK_RETRY_BASE_MS * 2 ** (attempt - 1) * jitter);
+}
+
+/**
+ * Make one request
+ * @param {string} method - API method
+ * @param {Object} params - Call parameters
+ * @returns {Promise<Object>} - Response JSON (ok: true)
+ * @throws {SlackApiError}
+ */
+async function request(method, params) {
+  const formData = new URLSearchParams();
+  for (const [name, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    formData.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+
+  let response;
+  try {
+    response = await fetch(`${SLACK_API_BASE_URL}/${method}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: formData.toString(),
+      signal: AbortSignal.timeout(SLACK_REQUEST_TIMEOUT_MS)
+    });
+  } catch (err) {
+    const code = err.name === 'TimeoutError' ? 'timeout' : 'network_error';
+    throw new SlackApiError(method, code, { retryable: true, cause: err });
+  }
+
+  if (response.status === 429) {
+    const retryAfterSeconds = parseInt(response.headers.get('retry-after') || '1', 10) || 1;
+    throw new SlackApiError(method, 'ratelimited', { status: 429, retryable: true, retryAfterSeconds });
+  }
+  if (!response.ok) {
+    throw new SlackApiError(method, `http_${response.status}`, { status: response.status, retryable: response.status >= 500 });
+  }
+
+  const data = await response.json();
+  if (!data.ok) {
+    throw new SlackApiError(method, data.error || 'unknown_error', {
+      status: response.status,
+      retryable: TRANSIENT_ERRORS.includes(data.error),
+      messages: data.response_metadata?.messages || null
+    });
+  }
+  return data;
+}
+
+/**
+ * Call a Slack Web API method
+ * @param {string} method - API method, e.g. chat.postMessage
+ * @param {Object} params - Parameters (objects such as blocks are sent as JSON)
+ * @param {Object} options - Additional options
+ * @param {number} options.retries - Retries for transient errors (default SLACK_MAX_RETRIES)
+ * @param {boolean} options.idempotent - Safe to repeat after a timeout or 5xx (default: all but posting methods)
+ * @returns {Promise<Object>} - Response JSON
+ * @throws {SlackApiError} - After retries for transient errors, straight away for others
+ */
+export async function callSlack(method, params = {}, options = {}) {
+  if (!SLACK_BOT_TOKEN) {
+    throw new SlackApiError(method, 'not_configured');
+  }
+
+  const bucket = getBucket(method, params);
+  const maxRetries = options.retries ?? SLACK_MAX_RETRIES;
+  const idempotent = options.idempotent ?? !NON_IDEMPOTENT_METHODS.includes(method);
+
+  for (let attempt = 1; ; attempt++) {
+    await acquire(bucket);
+    stats.requests++;
+
+    try {
+      return await request(method, params);
+    } catch (err) {
+      if (err.code === 'ratelimited') {
+        stats.rateLimited++;
+        // Hold every call sharing the bucket, not just this one
+        bucket.pausedUntil = Date.now() + (err.retryAfterSeconds || 1) * 1000;
+      }
+
+      const isRateLimited = err.code === 'ratelimited';
+      const canWait = !isRateLimited || (err.retryAfterSeconds || 1) <= SLACK_MAX_RETRY_AFTER_SECONDS;
+      if (!err.retryable || (!idempotent && !isRateLimited) || attempt > maxRetries || !canWait) {
+        stats.failures++;
+        stats.lastError = { method, code: err.code, at: new Date().toISOString() };
+        throw err;
+      }
+
+      stats.retries++;
+      const delayMs = isRateLimited ? 0 : getRetryDelayMs(attempt);
+      console.warn(`Slack ${method} failed (${err.code}), retry ${attempt}/${maxRetries}${delayMs ? ` in ${delayMs}ms` : ` after ${err.retryAfterSeconds}s`}`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Get Slack client stats since startup
+ * @returns {Object} - { requests, retries, rateLimited, failures, lastError }
+ */
+export function getSlackClientStats() {
+  return { ...stats };
+}
@@ -1,12 +1,60 @@
 /**
  * Slack slash command handlers for opt-in/opt-out
+ * Admins (SLACK_ADMIN_USER_IDS) can also link Intercom admins to Slack users
+ * whose emails differ: /cx-alerts link @user <intercom email or admin ID>
  */
 
 import { optIn, optOut, isOptedIn, getStats } from './preferences.js';
-import { lookupUserByEmail } from './slack.js';
+import { verifySlackSignature, respondToAction } from './slack.js';
+import { HANDOFF_ACTION_IDS, HANDOFF_MODAL_CALLBACK_IDS, handleHandoffAction, handleHandoffSubmission } from './handoff-actions.js';
+import { getSlackUserEmail, linkIdentity, unlinkIdentity, listIdentityLinks } from './identity.js';
+import { getAdmin, findAdminByEmail } from './intercom.js';
 
-const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
-const SLACK_API_BASE_URL = 'https://slack.com/api';
+// Slack user IDs allowed to run the identity link commands
+const SLACK_ADMIN_USER_IDS = (process.env.SLACK_ADMIN_USER_IDS || '')
+  .split(',').map(id => id.trim()).filter(Boolean);
+
+/**
+ * Keep the raw request body for signature verification
+ * Pass as the `verify` option of express.urlencoded().
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Buffer} buf - Raw body
+ */
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Express middleware that rejects requests not signed by Slack
+ * Requires the raw body captured by captureRawBody.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export function requireSlackSignature(req, res, next) {
+  const timestamp = req.headers['x-slack-request-timestamp'];
+  const signature = req.headers['x-slack-signature'];
+  const result = verifySlackSignature(req.rawBody, timestamp, signature);
+
+  if (!result.valid) {
+    const log = result.reason === 'signing_secret_not_configured' ? console.error : console.warn;
+    log(JSON.stringify({
+      event: 'slack_signature_rejected',
+      reason: result.reason,
+      path: req.path,
+      ip: req.ip,
+      requestTimestamp: timestamp || null,
+      ageSeconds: result.ageSeconds,
+      hasSignature: !!signature,
+      contentType: req.headers['content-type'],
+      timestamp: new Date().toISOString()
+    }));
+    return res.status(401).json({ error: 'Invalid Slack signature' });
+  }
+
+  next();
+}
 
 /**
  * Handle Slack slash command
@@ -28,7 +76,7 @@ export async function handleSlashCommand(req, res) {
 
   const { command, text, user_id, response_url } = req.body;
 
-  // Verify it's from Slack
+  // Only /cx-alerts is handled (the signature was checked by requireSlackSignature)
   if (!command || command !== '/cx-alerts') {
     console.warn(JSON.stringify({
       event: 'unknown_command',
@@ -50,8 +98,9 @@ export async function handleSlashCommand(req, res) {
     });
   }
 
-  // Parse command text
-  const action = text?.trim().toLowerCase() || 'status';
+  // Parse command text: action, then arguments (link commands)
+  const [commandAction = 'status', ...args] = (text || '').trim().split(/\s+/).filter(Boolean);
+  const action = commandAction.toLowerCase();
   
   // Get user email from Slack user ID
   let userEmail = null;
@@ -62,7 +111,7 @@ export async function handleSlashCommand(req, res) {
       timestamp: new Date().toISOString()
     }));
     
-    userEmail = await getUserEmailFromSlackId(user_id);
+    userEmail = await getSlackUserEmail(user_id);
     
     console.log(JSON.stringify({
       event: 'user_email_fetched',
@@ -103,6 +152,12 @@ export async function handleSlashCommand(req, res) {
   
   try {
     switch (action) {
+      case 'link':
+      case 'unlink':
+      case 'links':
+        response = await handleLinkCommand(action, args, user_id);
+        break;
+
       case 'opt-in':
       case 'on':
       case 'enable':
@@ -124,7 +179,7 @@ export async function handleSlashCommand(req, res) {
       case 'opt-out':
       case 'off':
       case 'disable':
-        optOut(userEmail);
+        await optOut(userEmail);
         response = {
           response_type: 'ephemeral',
           blocks: [
@@ -141,7 +196,7 @@ export async function handleSlashCommand(req, res) {
 
       case 'status':
       default:
-        const optedIn = isOptedIn(userEmail);
+        const optedIn = await isOptedIn(userEmail);
         response = {
           response_type: 'ephemeral',
           blocks: [
@@ -186,24 +241,68 @@ export async function handleSlashCommand(req, res) {
 }
 
 /**
- * Handle Slack interactive button actions (opt-out button)
+ * Express handler for /slack/interactive
+ * Button clicks are acked before any work: Slack gives up after 3 seconds and
+ * their replies go through response_url anyway. Modal submissions are answered
+ * when done, since the response body carries validation errors.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export async function handleInteractiveRequest(req, res) {
+  const payload = req.body.payload;
+  let action = null;
+  try {
+    action = JSON.parse(payload);
+  } catch {
+    // handleInteractiveAction reports it below
+  }
+
+  if (action?.type === 'block_actions') {
+    res.status(200).send();
+    try {
+      const response = await handleInteractiveAction(payload);
+      if (response?.text || response?.blocks) {
+        await respondToAction(action.response_url, response);
+      }
+    } catch (err) {
+      console.error('Error handling interactive action:', err);
+      await respondToAction(action.response_url, { text: '❌ An error occurred. Please try again later.' }).catch(() => {});
+    }
+    return;
+  }
+
+  try {
+    const response = await handleInteractiveAction(payload);
+    res.json(response);
+  } catch (err) {
+    console.error('Error handling interactive action:', err);
+    res.json({
+      response_type: 'ephemeral',
+      text: '❌ An error occurred. Please try again later.'
+    });
+  }
+}
+
+/**
+ * Handle Slack interactive actions
+ * Buttons (opt-out, quick reply, acknowledge, snooze, reassign) and handoff modal submissions.
  * @param {Object} payload - Slack interaction payload (JSON string)
  * @returns {Promise<Object>} - Response object
  */
 export async function handleInteractiveAction(payload) {
   const action = JSON.parse(payload);
   
-  if (action.type !== 'block_actions') {
+  const isModalSubmission = action.type === 'view_submission' && HANDOFF_MODAL_CALLBACK_IDS.includes(action.view?.callback_id);
+  if (action.type !== 'block_actions' && !isModalSubmission) {
     return { text: 'Unknown action type' };
   }
 
-  const actionItem = action.actions[0];
   const userId = action.user.id;
 
   // Get user email
   let userEmail = null;
   try {
-    userEmail = await getUserEmailFromSlackId(userId);
+    userEmail = await getSlackUserEmail(userId);
   } catch (err) {
     console.error('Failed to get user email:', err);
     return {
@@ -219,6 +318,16 @@ export async function handleInteractiveAction(payload) {
     };
   }
 
+  if (isModalSubmission) {
+    return handleHandoffSubmission(action, userEmail);
+  }
+
+  const actionItem = action.actions[0];
+
+  if (HANDOFF_ACTION_IDS.includes(actionItem.action_id)) {
+    return handleHandoffAction(action, actionItem, userEmail);
+  }
+
   if (actionItem.action_id === 'opt_out') {
     await optOut(userEmail);
     return {
@@ -239,34 +348,64 @@ export async function handleInteractiveAction(payload) {
 }
 
 /**
- * Get user email from Slack user ID
- * @param {string} userId - Slack user ID
- * @returns {Promise<string|null>} - User email or null
+ * Handle the identity link commands (admins only)
+ * - link @user <intercom email or admin ID>: send that admin's handoffs to @user
+ * - unlink <intercom email or admin ID>: go back to matching by email
+ * - links: list the links
+ * @param {string} action - link, unlink or links
+ * @param {Array<string>} args - Command arguments
+ * @param {string} userId - Slack user ID of the caller
+ * @returns {Promise<Object>} - Slash command response
  */
-async function getUserEmailFromSlackId(userId) {
-  if (!SLACK_BOT_TOKEN) {
-    throw new Error('SLACK_BOT_TOKEN not configured');
+async function handleLinkCommand(action, args, userId) {
+  const ephemeral = text => ({ response_type: 'ephemeral', text });
+
+  if (!SLACK_ADMIN_USER_IDS.includes(userId)) {
+    return ephemeral('❌ Only CX alert admins can manage identity links.');
   }
 
-  const url = `${SLACK_API_BASE_URL}/users.info`;
-  const formData = new URLSearchParams();
-  formData.append('user', userId);
+  if (action === 'links') {
+    const links = await listIdentityLinks();
+    if (links.length === 0) {
+      return ephemeral('No identity links. Use `/cx-alerts link @user <intercom email or admin ID>` to add one.');
+    }
+    const lines = links.map(link =>
+      `• Intercom ${[link.intercomEmail, link.intercomAdminId && `#${link.intercomAdminId}`].filter(Boolean).join(' ')} → <@${link.slackUserId}>`
+    );
+    return ephemeral(`🔗 *Identity links*\n${lines.join('\n')}`);
+  }
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: formData.toString()
-  });
+  const target = action === 'link' ? args[1] : args[0];
+  const mention = action === 'link' ? args[0]?.match(/^<@([UW][A-Z0-9]+)(\|[^>]*)?>$/) : null;
+  if (!target || (action === 'link' && !mention)) {
+    return ephemeral(action === 'link'
+      ? 'Usage: `/cx-alerts link @user <intercom email or admin ID>`'
+      : 'Usage: `/cx-alerts unlink <intercom email or admin ID>`');
+  }
+
+  // Look up the other half of the Intercom identity, so the link matches by admin ID and email
+  let admin;
+  if (/^\d+$/.test(target)) {
+    admin = await getAdmin(target).catch(() => null);
+    if (!admin && action === 'link') {
+      return ephemeral(`❌ Intercom admin ${target} not found.`);
+    }
+  } else {
+    admin = await findAdminByEmail(target);
+  }
+  const adminId = admin?.id || (/^\d+$/.test(target) ? target : null);
+  const email = admin?.email || (target.includes('@') ? target : null);
 
-  const data = await response.json();
+  if (action === 'unlink') {
+    const removed = await unlinkIdentity({ adminId, email });
+    return ephemeral(removed ? `🔓 Unlinked ${email || adminId}. Their handoffs are matched by email again.` : `No link found for ${target}.`);
+  }
 
-  if (!data.ok || !data.user) {
-    return null;
+  if (!email && !adminId) {
+    return ephemeral(`❌ ${target} is not an email address or Intercom admin ID.`);
   }
 
-  return data.user.profile?.email || data.user.email || null;
+  const slackUserId = mention[1];
+  await linkIdentity(slackUserId, { adminId, email }, userId);
+  return ephemeral(`🔗 Linked Intercom ${admin?.name ? `*${admin.name}* ` : ''}(${[email, adminId && `#${adminId}`].filter(Boolean).join(' ')}) to <@${slackUserId}>. Their handoff DMs now go to <@${slackUserId}>.`);
 }
-
@@ -2,108 +2,219 @@
  * Slack integration with Block Kit and fallback channel support
  */
 
-const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
+import crypto from 'crypto';
+import { htmlToText, getHandoffDigest } from './fin.js';
+import { resolveSlackUser, openUserDM, forgetSlackUser } from './identity.js';
+import { callSlack, isRecipientError } from './slack-client.js';
+
+const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
 const FALLBACK_CHANNEL = process.env.FALLBACK_CHANNEL;
-const SLACK_API_BASE_URL = 'https://slack.com/api';
+
+// Requests signed longer ago than this are rejected as possible replays
+const SLACK_SIGNATURE_MAX_AGE_SECONDS = parseInt(process.env.SLACK_SIGNATURE_MAX_AGE_SECONDS || '300', 10);
 
 /**
- * Look up Slack user by email address
- * @param {string} email - Email address to look up
- * @returns {Promise<string|null>} - Slack user ID or null if not found
+ * Verify a Slack request signature (v0 HMAC-SHA256 of "v0:timestamp:body")
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} timestamp - X-Slack-Request-Timestamp header value
+ * @param {string} signature - X-Slack-Signature header value (format: v0=hexdigest)
+ * @returns {{valid: boolean, reason: string|null, ageSeconds: number|null}} - Result and rejection reason
  */
-export async function lookupUserByEmail(email) {
-  if (!SLACK_BOT_TOKEN) {
-    throw new Error('SLACK_BOT_TOKEN not configured');
+export function verifySlackSignature(rawBody, timestamp, signature) {
+  if (!SLACK_SIGNING_SECRET) {
+    return { valid: false, reason: 'signing_secret_not_configured', ageSeconds: null };
+  }
+  if (!timestamp || !signature) {
+    return { valid: false, reason: 'missing_signature_headers', ageSeconds: null };
+  }
+  if (rawBody === undefined || rawBody === null) {
+    return { valid: false, reason: 'missing_body', ageSeconds: null };
   }
 
-  if (!email) {
-    return null;
+  const requestTime = Number(timestamp);
+  if (!Number.isInteger(requestTime)) {
+    return { valid: false, reason: 'invalid_timestamp', ageSeconds: null };
   }
 
-  const url = `${SLACK_API_BASE_URL}/users.lookupByEmail`;
-  const formData = new URLSearchParams();
-  formData.append('email', email);
+  // Replay protection: the timestamp is part of the signed string, so an old
+  // request can't be re-sent with a fresh timestamp
+  const ageSeconds = Math.floor(Date.now() / 1000) - requestTime;
+  if (Math.abs(ageSeconds) > SLACK_SIGNATURE_MAX_AGE_SECONDS) {
+    return { valid: false, reason: 'timestamp_outside_window', ageSeconds };
+  }
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: formData.toString()
-  });
+  const [version, receivedHash] = signature.split('=');
+  if (version !== 'v0' || !receivedHash || !/^[0-9a-f]+$/i.test(receivedHash)) {
+    return { valid: false, reason: 'invalid_signature_format', ageSeconds };
+  }
 
-  const data = await response.json();
+  const bodyBuffer = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody);
+  const computedHash = crypto
+    .createHmac('sha256', SLACK_SIGNING_SECRET)
+    .update(`v0:${timestamp}:`)
+    .update(bodyBuffer)
+    .digest('hex');
 
-  if (!data.ok) {
-    return null;
+  if (receivedHash.length !== computedHash.length ||
+      !crypto.timingSafeEqual(Buffer.from(receivedHash, 'hex'), Buffer.from(computedHash, 'hex'))) {
+    return { valid: false, reason: 'signature_mismatch', ageSeconds };
   }
 
-  return data.user?.id || null;
+  return { valid: true, reason: null, ageSeconds };
 }
 
 /**
- * Open or get existing DM conversation with a user
- * @param {string} userId - Slack user ID
- * @returns {Promise<string|null>} - Channel ID or null if failed
+ * Post a Block Kit message and return its reference
+ * @param {string} channelId - Slack channel ID (or name)
+ * @param {Array} blocks - Block Kit blocks
+ * @param {Object} options - Additional options
+ * @param {string} options.text - Notification fallback text
+ * @param {string} options.threadTs - Post as a reply in this message's thread
+ * @param {boolean} options.throwErrors - Throw the SlackApiError instead of returning null
+ * @returns {Promise<{channel: string, ts: string}|null>} - Message reference, or null on failure
  */
-export async function openDM(userId) {
-  if (!SLACK_BOT_TOKEN || !userId) {
+export async function postMessage(channelId, blocks, options = {}) {
+  if (!channelId || !blocks) {
     return null;
   }
 
-  const url = `${SLACK_API_BASE_URL}/conversations.open`;
-  const formData = new URLSearchParams();
-  formData.append('users', userId);
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: formData.toString()
-  });
-
-  const data = await response.json();
+  try {
+    const data = await callSlack('chat.postMessage', {
+      channel: channelId,
+      blocks,
+      text: options.text,
+      thread_ts: options.threadTs
+    });
 
-  if (!data.ok) {
+    // chat.update needs the channel ID, not the name we may have posted to
+    return { channel: data.channel, ts: data.ts };
+  } catch (err) {
+    if (options.throwErrors) throw err;
+    console.error('Slack API error (chat.postMessage):', err.code || err.message);
     return null;
   }
-
-  return data.channel?.id || null;
 }
 
 /**
  * Send a Block Kit message to a Slack channel
  * @param {string} channelId - Slack channel ID
  * @param {Array} blocks - Block Kit blocks
+ * @param {Object} options - Additional options
+ * @param {string} options.threadTs - Post as a reply in this message's thread
  * @returns {Promise<boolean>} - True if message sent successfully
  */
-export async function sendBlockKitMessage(channelId, blocks) {
-  if (!SLACK_BOT_TOKEN || !channelId || !blocks) {
+export async function sendBlockKitMessage(channelId, blocks, options = {}) {
+  const message = await postMessage(channelId, blocks, options);
+  return !!message;
+}
+
+/**
+ * Replace the content of a message the bot posted earlier
+ * @param {string} channelId - Slack channel ID (as returned by postMessage)
+ * @param {string} ts - Message timestamp (as returned by postMessage)
+ * @param {Array} blocks - New Block Kit blocks
+ * @param {Object} options - Additional options
+ * @param {string} options.text - Notification fallback text
+ * @returns {Promise<boolean>} - True if the message was updated
+ */
+export async function updateMessage(channelId, ts, blocks, options = {}) {
+  if (!channelId || !ts || !blocks) {
     return false;
   }
 
-  const url = `${SLACK_API_BASE_URL}/chat.postMessage`;
-  
-  const formData = new URLSearchParams();
-  formData.append('channel', channelId);
-  formData.append('blocks', JSON.stringify(blocks));
+  try {
+    await callSlack('chat.update', { channel: channelId, ts, blocks, text: options.text });
+    return true;
+  } catch (err) {
+    console.error('Slack API error (chat.update):', err.code || err.message);
+    return false;
+  }
+}
+
+/**
+ * Send a Block Kit DM to a user by email
+ * @param {string} email - Recipient email
+ * @param {Array} blocks - Block Kit blocks
+ * @returns {Promise<boolean>} - True if message sent successfully
+ */
+export async function sendDirectMessage(email, blocks) {
+  const userId = (await resolveSlackUser({ email }))?.slackUserId;
+  if (!userId) {
+    console.warn(`Could not find Slack user for email: ${email}`);
+    return false;
+  }
+
+  const channelId = await openUserDM(userId);
+  if (!channelId) {
+    console.warn(`Could not open DM channel for user: ${userId}`);
+    return false;
+  }
+
+  return sendBlockKitMessage(channelId, blocks);
+}
+
+/**
+ * Open a modal in response to an interaction
+ * trigger_id expires after 3 seconds, so this call isn't retried.
+ * @param {string} triggerId - trigger_id from the interaction payload (valid for 3 seconds)
+ * @param {Object} view - Modal view definition
+ * @returns {Promise<string|null>} - View ID (for updateView), or null if the modal wasn't opened
+ */
+export async function openView(triggerId, view) {
+  if (!triggerId) {
+    return null;
+  }
+
+  try {
+    const data = await callSlack('views.open', { trigger_id: triggerId, view }, { retries: 0 });
+    return data.view?.id || null;
+  } catch (err) {
+    console.error('Slack API error (views.open):', err.code || err.message, err.messages || '');
+    return null;
+  }
+}
+
+/**
+ * Replace the content of an open modal
+ * Fails with not_found if the user closed the modal in the meantime.
+ * @param {string} viewId - View ID returned by openView
+ * @param {Object} view - New modal view definition
+ * @returns {Promise<boolean>} - True if the modal was updated
+ */
+export async function updateView(viewId, view) {
+  if (!viewId) {
+    return false;
+  }
 
-  const response = await fetch(url, {
+  try {
+    await callSlack('views.update', { view_id: viewId, view });
+    return true;
+  } catch (err) {
+    console.error('Slack API error (views.update):', err.code || err.message, err.messages || '');
+    return false;
+  }
+}
+
+/**
+ * Reply to an interaction through its response_url
+ * Used for ephemeral confirmations and errors after a button click.
+ * @param {string} responseUrl - response_url from the interaction payload
+ * @param {Object} message - Message ({ text, blocks, response_type, replace_original })
+ * @returns {Promise<boolean>} - True if accepted
+ */
+export async function respondToAction(responseUrl, message) {
+  if (!responseUrl) {
+    return false;
+  }
+
+  const response = await fetch(responseUrl, {
     method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: formData.toString()
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ response_type: 'ephemeral', replace_original: false, ...message })
   });
 
-  const data = await response.json();
-
-  if (!data.ok) {
-    console.error('Slack API error (chat.postMessage):', data.error);
+  if (!response.ok) {
+    console.error('Slack response_url error:', response.status, await response.text());
     return false;
   }
 
@@ -136,6 +247,174 @@ export async function postToFallbackChannel(assigneeEmail, conversationId, conve
   return await sendBlockKitMessage(FALLBACK_CHANNEL, blocks);
 }
 
+/**
+ * Generate the actions block for an assignment DM
+ * Quick reply / Acknowledge / Snooze / Reassign are handled in
+ * handoff-actions.js; the button value is the conversation (or ticket) ID.
+ * @param {string} conversationId - Intercom conversation or ticket ID
+ * @param {string} link - Link to open it in Intercom
+ * @param {string} optOutConfirmText - Text of the opt-out confirmation dialog
+ * @param {Object} options - Additional options
+ * @param {boolean} options.quickReply - Add a "Quick reply" button (conversations only)
+ * @returns {Object} - Block Kit actions block
+ */
+export function generateHandoffActions(conversationId, link, optOutConfirmText, options = {}) {
+  const value = String(conversationId);
+
+  return {
+    type: 'actions',
+    block_id: 'handoff_actions',
+    elements: [
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: 'Open in Intercom',
+          emoji: true
+        },
+        url: link,
+        action_id: 'open_intercom',
+        style: 'primary'
+      },
+      ...(options.quickReply ? [{
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: '💬 Quick reply',
+          emoji: true
+        },
+        action_id: 'handoff_quick_reply',
+        value
+      }] : []),
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: '👍 Acknowledge',
+          emoji: true
+        },
+        action_id: 'handoff_acknowledge',
+        value
+      },
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: '💤 Snooze 15m',
+          emoji: true
+        },
+        action_id: 'handoff_snooze',
+        value
+      },
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: '🔀 Reassign',
+          emoji: true
+        },
+        action_id: 'handoff_reassign',
+        value
+      },
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: '🔕 Stop notifications',
+          emoji: true
+        },
+        action_id: 'opt_out',
+        style: 'danger',
+        confirm: {
+          title: {
+            type: 'plain_text',
+            text: 'Stop notifications?'
+          },
+          text: {
+            type: 'mrkdwn',
+            text: optOutConfirmText
+          },
+          confirm: {
+            type: 'plain_text',
+            text: 'Stop notifications'
+          },
+          deny: {
+            type: 'plain_text',
+            text: 'Cancel'
+          }
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Truncate text to a maximum length without splitting emoji or other surrogate pairs
+ * Length is counted in UTF-16 code units, as Slack counts Block Kit limits.
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length (including the trailing '...')
+ * @returns {string} - Truncated text
+ */
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  let truncated = '';
+  for (const char of text) {
+    if (truncated.length + char.length > maxLength - 3) break;
+    truncated += char;
+  }
+  return truncated.trimEnd() + '...';
+}
+
+/**
+ * Escape text for use in mrkdwn (Slack treats <, > and & as control characters)
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeMrkdwn(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Longest excerpt of each message in the handoff digest. Four excerpts plus
+// labels stay well under Block Kit's 3000 character limit for section text.
+const DIGEST_EXCERPT_LENGTH = 500;
+
+/**
+ * Format the handoff digest (see getHandoffDigest in fin.js) as mrkdwn
+ * @param {Object} digest - { question, latestMessage, finAnswer, reason }
+ * @returns {string|null} - mrkdwn text, or null if there's nothing to show
+ */
+function formatHandoffDigest(digest) {
+  if (!digest) {
+    return null;
+  }
+
+  // Escape before truncating so the limit holds, then drop any entity cut in half
+  const excerpt = text => truncateText(escapeMrkdwn(text.replace(/\s+/g, ' ').trim()), DIGEST_EXCERPT_LENGTH)
+    .replace(/&[a-z]*\.\.\.$/, '...');
+  const lines = [];
+
+  if (digest.question) {
+    lines.push(`*Customer asked:*\n>${excerpt(digest.question)}`);
+  }
+  if (digest.finAnswer) {
+    lines.push(`*Fin's last answer:*\n>${excerpt(digest.finAnswer)}`);
+  }
+  if (digest.latestMessage) {
+    lines.push(`*Latest from customer:*\n>${excerpt(digest.latestMessage)}`);
+  }
+  if (lines.length === 0) {
+    return null;
+  }
+  if (digest.reason) {
+    lines.push(`*Why handed off:* ${escapeMrkdwn(digest.reason)}`);
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Generate Block Kit blocks for assignment notification
  * @param {Object} params - Notification parameters
@@ -150,7 +429,8 @@ function generateAssignmentBlocks({
   language,
   sourceType,
   priority,
-  hasEmailLinks
+  hasEmailLinks,
+  digest
 }) {
   const blocks = [
     {
@@ -187,6 +467,18 @@ function generateAssignmentBlocks({
     });
   }
 
+  // Add what Fin already tried
+  const digestText = formatHandoffDigest(digest);
+  if (digestText) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: digestText
+      }
+    });
+  }
+
   // Add brand/language if available
   const contextFields = [];
   if (brand) contextFields.push(`*Brand:* ${brand}`);
@@ -215,51 +507,10 @@ function generateAssignmentBlocks({
     });
   }
 
-  // Add buttons: Open in Intercom + Opt-out
-  blocks.push({
-    type: 'actions',
-    elements: [
-      {
-        type: 'button',
-        text: {
-          type: 'plain_text',
-          text: 'Open in Intercom',
-          emoji: true
-        },
-        url: conversationLink,
-        action_id: 'open_intercom',
-        style: 'primary'
-      },
-      {
-        type: 'button',
-        text: {
-          type: 'plain_text',
-          text: '🔕 Stop notifications',
-          emoji: true
-        },
-        action_id: 'opt_out',
-        style: 'danger',
-        confirm: {
-          title: {
-            type: 'plain_text',
-            text: 'Stop notifications?'
-          },
-          text: {
-            type: 'mrkdwn',
-            text: 'You won\'t receive notifications when Fin-handled conversations are assigned to you. You can opt back in anytime with `/cx-alerts opt-in`.'
-          },
-          confirm: {
-            type: 'plain_text',
-            text: 'Stop notifications'
-          },
-          deny: {
-            type: 'plain_text',
-            text: 'Cancel'
-          }
-        }
-      }
-    ]
-  });
+  // Add buttons: Open in Intercom, quick reply, handoff actions, opt-out
+  blocks.push(generateHandoffActions(conversationId, conversationLink,
+    'You won\'t receive notifications when Fin-handled conversations are assigned to you. You can opt back in anytime with `/cx-alerts opt-in`.',
+    { quickReply: true }));
 
   return blocks;
 }
@@ -268,41 +519,38 @@ function generateAssignmentBlocks({
  * Send DM to assignee with Block Kit format
  * @param {string} assigneeEmail - Assignee email
  * @param {Object} conversation - Conversation object
- * @param {string} conversationLink - Conversation link
- * @returns {Promise<{success: boolean, usedFallback: boolean}>}
+ * @param {string} conversationLink - Conversation (or ticket) link
+ * @param {Object} options - Additional options
+ * @param {string} options.assigneeName - Assignee name, if already known
+ * @param {string} options.assigneeId - Intercom admin ID, for identity links
+ * @returns {Promise<{success: boolean, usedFallback: boolean, message?: Object, error?: SlackApiError}>} - message is
+ *   { channel, ts, blocks } of the DM; error is set when Slack failed for another reason than an unreachable
+ *   assignee (error.retryable tells whether trying again later may work)
+ * @throws {SlackApiError} - If looking up the assignee fails
  */
-export async function sendAssignmentDM(assigneeEmail, conversation, conversationLink) {
-  // Look up user
-  const userId = await lookupUserByEmail(assigneeEmail);
+export async function sendAssignmentDM(assigneeEmail, conversation, conversationLink, options = {}) {
+  // Unreachable assignees get the fallback channel instead
+  const useFallback = async () => {
+    if (!FALLBACK_CHANNEL) {
+      return { success: false, usedFallback: false };
+    }
+    const posted = await postToFallbackChannel(assigneeEmail, conversation.id, conversationLink);
+    return { success: posted, usedFallback: true };
+  };
+
+  // Look up user (identity directory: links, cache, then Slack)
+  const userId = (await resolveSlackUser({ email: assigneeEmail, adminId: options.assigneeId }))?.slackUserId;
   
   if (!userId) {
     console.warn(`Could not find Slack user for email: ${assigneeEmail}`);
-    // Try fallback channel
-    if (FALLBACK_CHANNEL) {
-      const posted = await postToFallbackChannel(
-        assigneeEmail,
-        conversation.id,
-        conversationLink
-      );
-      return { success: posted, usedFallback: true };
-    }
-    return { success: false, usedFallback: false };
+    return useFallback();
   }
 
   // Open DM
-  const channelId = await openDM(userId);
+  const channelId = await openUserDM(userId);
   if (!channelId) {
     console.warn(`Could not open DM channel for user: ${userId}`);
-    // Try fallback channel
-    if (FALLBACK_CHANNEL) {
-      const posted = await postToFallbackChannel(
-        assigneeEmail,
-        conversation.id,
-        conversationLink
-      );
-      return { success: posted, usedFallback: true };
-    }
-    return { success: false, usedFallback: false };
+    return useFallback();
   }
 
   // Extract conversation details
@@ -314,16 +562,7 @@ export async function sendAssignmentDM(assigneeEmail, conversation, conversation
   // Clean HTML from subject
   let cleanSubject = subject;
   if (typeof cleanSubject === 'string') {
-    cleanSubject = cleanSubject.replace(/<[^>]*>/g, '').trim();
-    cleanSubject = cleanSubject.replace(/&nbsp;/g, ' ')
-                                .replace(/&amp;/g, '&')
-                                .replace(/&lt;/g, '<')
-                                .replace(/&gt;/g, '>')
-                                .replace(/&quot;/g, '"')
-                                .replace(/&#39;/g, "'");
-    if (cleanSubject.length > 100) {
-      cleanSubject = cleanSubject.substring(0, 97) + '...';
-    }
+    cleanSubject = truncateText(htmlToText(cleanSubject), 100);
   }
 
   const brand = conversation.custom_attributes?.Brand;
@@ -336,9 +575,9 @@ export async function sendAssignmentDM(assigneeEmail, conversation, conversation
                         conversation.source?.body && 
                         /https?:\/\//i.test(conversation.source.body);
 
-  // Get assignee name from conversation parts or use email
-  let assigneeName = assigneeEmail;
-  const parts = conversation.conversation_parts?.conversation_parts || [];
+  // Get assignee name from the caller, conversation parts or use email
+  let assigneeName = options.assigneeName || assigneeEmail;
+  const parts = options.assigneeName ? [] : conversation.conversation_parts?.conversation_parts || [];
   for (const part of parts) {
     if (part.part_type === 'assignment' && part.author?.name) {
       assigneeName = part.author.name;
@@ -351,6 +590,7 @@ export async function sendAssignmentDM(assigneeEmail, conversation, conversation
     conversationId: conversation.id,
     conversationLink,
     subject: cleanSubject,
+    digest: getHandoffDigest(conversation),
     brand,
     language,
     sourceType,
@@ -358,6 +598,18 @@ export async function sendAssignmentDM(assigneeEmail, conversation, conversation
     hasEmailLinks
   });
 
-  const success = await sendBlockKitMessage(channelId, blocks);
-  return { success, usedFallback: false };
+  // Keep the DM reference so later events (reassignment, close) can update it
+  try {
+    const message = await postMessage(channelId, blocks, { throwErrors: true });
+    return { success: true, usedFallback: false, message: { ...message, blocks } };
+  } catch (err) {
+    if (isRecipientError(err)) {
+      // Deactivated user or stale DM channel: look them up again next time
+      console.warn(`Could not DM ${assigneeEmail} (${err.code})`);
+      await forgetSlackUser(userId);
+      return useFallback();
+    }
+    console.error(`Failed to DM ${assigneeEmail}:`, err.message);
+    return { success: false, usedFallback: false, message: null, error: err };
+  }
 }
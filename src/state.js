@@ -1,15 +1,19 @@
 /**
- * State management for polling - tracks last check timestamp and notified assignments
+ * State management for polling - tracks last check timestamp and deferred notifications
+ * Persists through the shared storage backend (state.json and
+ * deferred-notifications.json with the JSON backend)
+ * Notified assignments are kept by dedupe.js, shared with the webhook server.
+ *
+ * Every write touches only its own keys: the poller processes tickets in
+ * parallel, and rewriting the whole state would drop other workers' changes.
  */
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { get, set, getAll, setMany, remove } from './storage.js';
+import { importNotifiedAssignments } from './dedupe.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const STATE_FILE = path.join(__dirname, '..', 'state.json');
+const STATE_NAMESPACE = 'state';
+// Key: ticket ID, Value: { schedule, deferredAt }
+const DEFERRED_NAMESPACE = 'deferred_notifications';
 
 /**
  * Get the full state object
@@ -17,31 +21,26 @@ const STATE_FILE = path.join(__dirname, '..', 'state.json');
  */
 async function getState() {
   try {
-    const data = await fs.readFile(STATE_FILE, 'utf-8');
-    return JSON.parse(data);
+    const state = await getAll(STATE_NAMESPACE);
+    return {
+      lastCheckTime: null,
+      ...state
+    };
   } catch (err) {
-    if (err.code === 'ENOENT') {
-      // File doesn't exist yet - return default state
-      return {
-        lastCheckTime: null,
-        notifiedAssignments: {}
-      };
-    }
-    console.error('Error reading state file:', err);
+    console.error('Error reading state:', err);
     throw err;
   }
 }
 
 /**
- * Save the full state object
- * @param {Object} state - State object
+ * Save state fields (other keys are left alone)
+ * @param {Object} fields - key -> value
  */
-async function saveState(state) {
+async function saveState(fields) {
   try {
-    state.updatedAt = new Date().toISOString();
-    await fs.writeFile(STATE_FILE, JSON.stringify(state, null, 2), 'utf-8');
+    await setMany(STATE_NAMESPACE, { ...fields, updatedAt: new Date().toISOString() });
   } catch (err) {
-    console.error('Error writing state file:', err);
+    console.error('Error writing state:', err);
     throw err;
   }
 }
@@ -60,145 +59,67 @@ export async function getLastCheckTime() {
  * @param {number} timestamp - Unix timestamp in seconds
  */
 export async function updateLastCheckTime(timestamp) {
-  const state = await getState();
-  state.lastCheckTime = timestamp;
-  await saveState(state);
+  await saveState({ lastCheckTime: timestamp });
 }
 
 /**
- * Check if an assignment has already been notified
+ * Defer an assignment notification until the owning team's business hours
  * @param {string} ticketId - Ticket ID
- * @param {string} assigneeId - Assignee ID
- * @param {number} assignmentTimestamp - Assignment timestamp in seconds
- * @param {Object} options - Additional options
- * @param {boolean} options.isUsingUpdatedAtAsAssignment - True if using updated_at as assignment timestamp (less reliable)
- * @returns {Promise<boolean>} - True if already notified
+ * @param {string} scheduleName - Business hours schedule of the owning team
  */
-export async function isAssignmentNotified(ticketId, assigneeId, assignmentTimestamp, options = {}) {
-  const state = await getState();
-  const assignmentKey = `${ticketId}:${assigneeId}`;
-  const notifiedAssignment = state.notifiedAssignments?.[assignmentKey];
-  
-  if (!notifiedAssignment) {
-    return false;
-  }
-  
-  // If the assignment timestamp matches exactly, it's the same assignment
-  if (notifiedAssignment.assignmentTimestamp === assignmentTimestamp) {
-    return true;
-  }
-  
-  // If the timestamp is different but very close (within 5 minutes), 
-  // it's likely the same assignment being reprocessed due to ticket updates
-  // This handles cases where updated_at changes but assignment hasn't actually changed
-  // Increased to 5 minutes to handle cases where assignment timestamp is recalculated
-  const timeDiff = Math.abs(notifiedAssignment.assignmentTimestamp - assignmentTimestamp);
-  if (timeDiff < 300 && notifiedAssignment.assigneeId === assigneeId) {
-    console.log(`Skipping duplicate assignment: ${ticketId}:${assigneeId} (timestamp diff: ${timeDiff}s, within 5min window)`);
-    return true;
-  }
-  
-  // If the assignment was notified very recently (within last 10 minutes), 
-  // and assignee is the same, it's likely a duplicate
-  const notifiedAgo = Math.floor(Date.now() / 1000) - notifiedAssignment.notifiedAt;
-  if (notifiedAgo < 600 && notifiedAssignment.assigneeId === assigneeId) {
-    console.log(`Skipping duplicate assignment: ${ticketId}:${assigneeId} (notified ${notifiedAgo}s ago)`);
-    return true;
-  }
-  
-  // CRITICAL: If we're using updated_at as assignment timestamp (statistics not available),
-  // be VERY conservative. updated_at changes for many reasons (comments, status changes, etc.),
-  // not just assignments. If we've already notified for this ticket+assignee, only allow
-  // a new notification if it's been more than 24 hours since the last notification,
-  // indicating it might be a real reassignment.
-  if (options.isUsingUpdatedAtAsAssignment && notifiedAssignment.assigneeId === assigneeId) {
-    // If it's been less than 24 hours since we last notified, skip it
-    // This prevents duplicate notifications when tickets are updated for other reasons
-    if (notifiedAgo < 86400) { // Less than 24 hours (86400 seconds)
-      console.log(`Skipping notification for ticket ${ticketId} - already notified ${Math.floor(notifiedAgo / 60)} minutes ago (using updated_at, likely ticket update not reassignment)`);
-      return true;
-    }
-    // If it's been more than 24 hours, allow it (might be a real reassignment)
-    console.log(`Allowing notification for ticket ${ticketId} - last notified ${Math.floor(notifiedAgo / 3600)} hours ago (using updated_at, possible reassignment)`);
-    return false;
-  }
-  
-  // If we have statistics (first_assignment_at or last_assignment_at), we can be more precise.
-  // If the assignment timestamp from statistics hasn't changed significantly, it's the same assignment.
-  // Only allow if the assignment timestamp is significantly different (more than 1 hour),
-  // indicating a real reassignment rather than just a ticket update.
-  if (!options.isUsingUpdatedAtAsAssignment && notifiedAssignment.assigneeId === assigneeId) {
-    // If the assignment timestamp difference is less than 1 hour, it's likely the same assignment
-    // being reprocessed due to ticket updates (comments, status changes, etc.)
-    if (timeDiff < 3600) { // Less than 1 hour difference
-      console.log(`Skipping notification for ticket ${ticketId} - assignment timestamp diff: ${timeDiff}s (likely same assignment, ticket was updated)`);
-      return true;
-    }
-    // If the assignment timestamp difference is more than 1 hour, it might be a real reassignment
-    console.log(`Allowing notification for ticket ${ticketId} - assignment timestamp diff: ${timeDiff}s (possible reassignment)`);
-    return false;
-  }
-  
-  // Different timestamp and assignee is the same - could be a reassignment or ticket update
-  // We'll allow it to proceed, but the timestamp check will help distinguish
-  return false;
+export async function deferNotification(ticketId, scheduleName) {
+  // Keep the original deferral time so repeated polls don't reset it
+  const existing = await get(DEFERRED_NAMESPACE, ticketId);
+  await set(DEFERRED_NAMESPACE, ticketId, {
+    schedule: scheduleName,
+    deferredAt: existing?.deferredAt || Math.floor(Date.now() / 1000)
+  });
 }
 
 /**
- * Mark an assignment as notified
+ * Get deferred assignment notifications
+ * @returns {Promise<Object>} - ticketId -> { schedule, deferredAt }
+ */
+export async function getDeferredNotifications() {
+  return getAll(DEFERRED_NAMESPACE);
+}
+
+/**
+ * Remove a deferred notification once it has been handled
  * @param {string} ticketId - Ticket ID
- * @param {string} assigneeId - Assignee ID
- * @param {number} assignmentTimestamp - Assignment timestamp in seconds
  */
-export async function markAssignmentNotified(ticketId, assigneeId, assignmentTimestamp) {
-  const state = await getState();
-  if (!state.notifiedAssignments) {
-    state.notifiedAssignments = {};
-  }
-  
-  const assignmentKey = `${ticketId}:${assigneeId}`;
-  state.notifiedAssignments[assignmentKey] = {
-    assigneeId,
-    assignmentTimestamp,
-    notifiedAt: Math.floor(Date.now() / 1000)
-  };
-  
-  // Clean up old entries (older than 7 days) to prevent state file from growing too large
-  const sevenDaysAgo = Math.floor(Date.now() / 1000) - (7 * 24 * 60 * 60);
-  for (const [key, value] of Object.entries(state.notifiedAssignments)) {
-    if (value.notifiedAt < sevenDaysAgo) {
-      delete state.notifiedAssignments[key];
-    }
-  }
-  
-  await saveState(state);
+export async function clearDeferredNotification(ticketId) {
+  await remove(DEFERRED_NAMESPACE, ticketId);
 }
 
 /**
- * Initialize state file if it doesn't exist
+ * Initialize state if it doesn't exist
  * @param {number} initialTimestamp - Initial timestamp to use (defaults to now)
  */
 export async function initializeState(initialTimestamp = null) {
-  try {
-    await fs.access(STATE_FILE);
-    // File exists, ensure it has the new structure
-    const state = await getState();
-    if (!state.notifiedAssignments) {
-      state.notifiedAssignments = {};
-      await saveState(state);
+  const existing = await getAll(STATE_NAMESPACE);
+
+  if (Object.keys(existing).length > 0) {
+    // Move notified assignments from older state files to the shared dedupe store
+    if (existing.notifiedAssignments) {
+      const imported = await importNotifiedAssignments(existing.notifiedAssignments);
+      await remove(STATE_NAMESPACE, 'notifiedAssignments');
+      console.log(`Moved ${imported} notified assignments from state to the dedupe store`);
     }
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      // File doesn't exist - create it
-      const timestamp = initialTimestamp || Math.floor(Date.now() / 1000);
-      const state = {
-        lastCheckTime: timestamp,
-        notifiedAssignments: {}
-      };
-      await saveState(state);
-      console.log(`Initialized state file with timestamp: ${timestamp} (${new Date(timestamp * 1000).toISOString()})`);
-    } else {
-      throw err;
+    // Deferred notifications used to be one object in state, rewritten on every change
+    if (existing.deferredNotifications) {
+      const deferred = existing.deferredNotifications;
+      if (Object.keys(deferred).length > 0) {
+        await setMany(DEFERRED_NAMESPACE, deferred);
+      }
+      await remove(STATE_NAMESPACE, 'deferredNotifications');
+      console.log(`Moved ${Object.keys(deferred).length} deferred notifications from state to their own store`);
     }
+    return;
   }
+
+  // No state yet - create it
+  const timestamp = initialTimestamp || Math.floor(Date.now() / 1000);
+  await saveState({ lastCheckTime: timestamp });
+  console.log(`Initialized state with timestamp: ${timestamp} (${new Date(timestamp * 1000).toISOString()})`);
 }
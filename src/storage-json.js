@@ -0,0 +1,406 @@
+/**
+ * JSON file storage backend
+ * One JSON file per namespace (e.g. sla-state.json), safe to share between
+ * the poller, command server, dashboard and scripts:
+ * - Writes go to a temp file that is renamed over the original, so readers
+ *   never see a half-written file
+ * - Writes are queued per namespace and flushed after a short debounce, so
+ *   bursts of updates become one write and concurrent updates aren't lost
+ * - A lock file serializes flushes across processes; each flush re-reads the
+ *   file under the lock and applies only the keys this process changed
+ * - The previous good copy is kept as <file>.bak and used if the file is corrupt
+ */
+
+import fs from 'fs/promises';
+
+const FLUSH_DEBOUNCE_MS = parseInt(process.env.STORAGE_FLUSH_DEBOUNCE_MS || '50', 10);
+const LOCK_TIMEOUT_MS = parseInt(process.env.STORAGE_LOCK_TIMEOUT_MS || '5000', 10);
+const LOCK_STALE_MS = parseInt(process.env.STORAGE_LOCK_STALE_MS || '10000', 10);
+const LOCK_RETRY_MS = 25;
+// Delay before retrying a flush that failed (disk full, lock timeout)
+const FLUSH_RETRY_MS = 1000;
+
+/**
+ * Check if a stored entry with a TTL envelope has expired
+ * @param {Object} entry - { value, expiresAt }
+ * @returns {boolean} - True if expired
+ */
+function isExpired(entry) {
+  return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+}
+
+/**
+ * Unwrap a raw stored value into { value, expiresAt }
+ * Entries written with a TTL are stored as { __expiresAt, value } envelopes.
+ * @param {*} raw - Raw value from the file
+ * @returns {Object} - { value, expiresAt }
+ */
+function unwrap(raw) {
+  if (raw && typeof raw === 'object' && '__expiresAt' in raw) {
+    return { value: raw.value, expiresAt: raw.__expiresAt };
+  }
+  return { value: raw, expiresAt: null };
+}
+
+/**
+ * Read and parse a JSON file
+ * Falls back to the .bak copy if the file is corrupt.
+ * @param {string} file - File path
+ * @returns {Promise<Object|null>} - { data, mtimeMs }, or null if the file doesn't exist
+ */
+async function readJsonFile(file) {
+  let text;
+  let stat;
+  try {
+    stat = await fs.stat(file);
+    text = await fs.readFile(file, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  try {
+    return { data: JSON.parse(text), mtimeMs: stat.mtimeMs };
+  } catch (parseErr) {
+    console.error(`Error parsing storage file ${file}:`, parseErr.message);
+  }
+
+  try {
+    const data = JSON.parse(await fs.readFile(`${file}.bak`, 'utf-8'));
+    console.warn(`Recovered ${file} from ${file}.bak`);
+    return { data, mtimeMs: stat.mtimeMs, recovered: true };
+  } catch (bakErr) {
+    throw new Error(`Storage file ${file} is corrupt and no usable backup was found`);
+  }
+}
+
+/**
+ * Write a file atomically (temp file + fsync + rename)
+ * @param {string} file - Destination path
+ * @param {string} contents - File contents
+ */
+async function writeFileAtomic(file, contents) {
+  const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  const handle = await fs.open(tmpFile, 'w');
+  try {
+    await handle.writeFile(contents, 'utf-8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tmpFile, file);
+  } catch (err) {
+    await fs.unlink(tmpFile).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Acquire a cross-process lock file
+ * Locks older than STORAGE_LOCK_STALE_MS are assumed to belong to a crashed
+ * process and are removed.
+ * @param {string} lockFile - Lock file path
+ * @returns {Promise<Function>} - Release function
+ */
+async function acquireLock(lockFile) {
+  const startedAt = Date.now();
+
+  while (true) {
+    try {
+      const handle = await fs.open(lockFile, 'wx');
+      await handle.writeFile(`${process.pid}\n`, 'utf-8');
+      await handle.close();
+      return () => fs.unlink(lockFile).catch(() => {});
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    try {
+      const stat = await fs.stat(lockFile);
+      if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        console.warn(`Removing stale storage lock ${lockFile}`);
+        await fs.unlink(lockFile).catch(() => {});
+        continue;
+      }
+    } catch (err) {
+      if (err.code === 'ENOENT') continue; // Released between our attempts
+      throw err;
+    }
+
+    if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+      throw new Error(`Timed out waiting for storage lock ${lockFile}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+/**
+ * Create the JSON file backend
+ * @param {Function} getNamespaceFile - Maps a namespace to its file path
+ * @returns {Object} - Backend
+ */
+export function createJsonBackend(getNamespaceFile) {
+  // namespace -> { data, mtimeMs, pending, timer, waiters, flushing }
+  // pending: key -> raw value, or undefined for a delete
+  const namespaces = new Map();
+
+  function getEntry(namespace) {
+    let entry = namespaces.get(namespace);
+    if (!entry) {
+      entry = { data: null, mtimeMs: null, pending: new Map(), timer: null, waiters: [], flushing: null };
+      namespaces.set(namespace, entry);
+    }
+    return entry;
+  }
+
+  function applyPending(data, pending) {
+    const result = { ...data };
+    for (const [key, raw] of pending) {
+      if (raw === undefined) {
+        delete result[key];
+      } else {
+        result[key] = raw;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get the current data for a namespace, including unflushed writes
+   * Re-reads the file when another process has changed it.
+   */
+  async function load(namespace) {
+    const entry = getEntry(namespace);
+    const file = getNamespaceFile(namespace);
+
+    let mtimeMs = null;
+    try {
+      mtimeMs = (await fs.stat(file)).mtimeMs;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    if (entry.data && (mtimeMs === null || mtimeMs === entry.mtimeMs)) {
+      return entry.data;
+    }
+
+    try {
+      const result = await readJsonFile(file);
+      entry.data = applyPending(result?.data || {}, entry.pending);
+      entry.mtimeMs = result?.mtimeMs ?? null;
+    } catch (err) {
+      console.error(err.message);
+      // Keep serving the last good copy rather than an empty namespace
+      if (!entry.data) throw err;
+    }
+    return entry.data;
+  }
+
+  /**
+   * Write pending changes for a namespace to disk
+   * Runs under the namespace lock and merges with whatever is on disk, so
+   * writes from other processes to other keys are preserved.
+   */
+  async function flush(namespace) {
+    const entry = getEntry(namespace);
+    while (entry.flushing) {
+      await entry.flushing.catch(() => {});
+    }
+    if (entry.pending.size === 0) return;
+
+    const pending = entry.pending;
+    const waiters = entry.waiters;
+    entry.pending = new Map();
+    entry.waiters = [];
+
+    const file = getNamespaceFile(namespace);
+    entry.flushing = (async () => {
+      const release = await acquireLock(`${file}.lock`);
+      try {
+        let current = null;
+        try {
+          current = await readJsonFile(file);
+        } catch (err) {
+          // Corrupt with no backup - don't let it block writes forever
+          console.error(err.message);
+        }
+
+        const data = applyPending(current?.data || entry.data || {}, pending);
+
+        if (current && !current.recovered) {
+          await fs.copyFile(file, `${file}.bak`);
+        }
+        await writeFileAtomic(file, JSON.stringify(data, null, 2));
+
+        const stat = await fs.stat(file);
+        entry.data = applyPending(data, entry.pending);
+        entry.mtimeMs = stat.mtimeMs;
+      } finally {
+        await release();
+      }
+    })();
+
+    try {
+      await entry.flushing;
+      waiters.forEach(waiter => waiter.resolve());
+    } catch (err) {
+      console.error(`Error writing storage file ${file}:`, err.message);
+      // Put the changes back and retry them even if nothing else is written
+      for (const [key, raw] of pending) {
+        if (!entry.pending.has(key)) entry.pending.set(key, raw);
+      }
+      if (!entry.timer) {
+        entry.timer = setTimeout(() => {
+          entry.timer = null;
+          flush(namespace);
+        }, FLUSH_RETRY_MS);
+      }
+      waiters.forEach(waiter => waiter.reject(err));
+    } finally {
+      entry.flushing = null;
+    }
+  }
+
+  /**
+   * Set a key unless it has a live entry, deciding under the namespace lock
+   * Not debounced: the file is re-read and written while holding the lock, so
+   * only one process (and one caller in this process) gets the claim.
+   * @returns {Promise<boolean>} - True if the key was set
+   */
+  async function claim(namespace, key, raw) {
+    const entry = getEntry(namespace);
+    const file = getNamespaceFile(namespace);
+    while (entry.flushing) {
+      await entry.flushing.catch(() => {});
+    }
+
+    let claimed = false;
+    entry.flushing = (async () => {
+      const release = await acquireLock(`${file}.lock`);
+      try {
+        const current = await readJsonFile(file);
+        const data = { ...current?.data };
+        // Unflushed writes from this process count too
+        const visible = applyPending(data, entry.pending);
+        if (key in visible && !isExpired(unwrap(visible[key]))) {
+          entry.data = visible;
+          entry.mtimeMs = current?.mtimeMs ?? null;
+          return;
+        }
+
+        // Only the claimed key is written; pending writes keep their own flush
+        data[key] = raw;
+        if (current && !current.recovered) {
+          await fs.copyFile(file, `${file}.bak`);
+        }
+        await writeFileAtomic(file, JSON.stringify(data, null, 2));
+
+        entry.data = applyPending(data, entry.pending);
+        entry.mtimeMs = (await fs.stat(file)).mtimeMs;
+        claimed = true;
+      } finally {
+        await release();
+      }
+    })();
+
+    try {
+      await entry.flushing;
+    } finally {
+      entry.flushing = null;
+    }
+    return claimed;
+  }
+
+  /**
+   * Queue changes for a namespace and schedule a debounced flush
+   * @returns {Promise<void>} - Resolves once the changes are on disk
+   */
+  async function write(namespace, changes) {
+    await load(namespace);
+    const entry = getEntry(namespace);
+
+    for (const [key, raw] of changes) {
+      entry.pending.set(key, raw);
+    }
+    entry.data = applyPending(entry.data, changes);
+
+    const done = new Promise((resolve, reject) => {
+      entry.waiters.push({ resolve, reject });
+    });
+
+    if (!entry.timer) {
+      entry.timer = setTimeout(() => {
+        entry.timer = null;
+        flush(namespace);
+      }, FLUSH_DEBOUNCE_MS);
+    }
+
+    return done;
+  }
+
+  return {
+    name: 'json',
+
+    async get(namespace, key) {
+      const data = await load(namespace);
+      if (!(key in data)) return null;
+      const entry = unwrap(data[key]);
+      return isExpired(entry) ? null : entry.value;
+    },
+
+    async set(namespace, key, value, ttlSeconds = null) {
+      const raw = ttlSeconds ? { __expiresAt: Date.now() + ttlSeconds * 1000, value } : value;
+      return write(namespace, new Map([[key, raw]]));
+    },
+
+    async setMany(namespace, entries) {
+      return write(namespace, new Map(Object.entries(entries)));
+    },
+
+    async claim(namespace, key, value, ttlSeconds = null) {
+      const raw = ttlSeconds ? { __expiresAt: Date.now() + ttlSeconds * 1000, value } : value;
+      return claim(namespace, key, raw);
+    },
+
+    async delete(namespace, key) {
+      const data = await load(namespace);
+      if (!(key in data)) return;
+      return write(namespace, new Map([[key, undefined]]));
+    },
+
+    async getAll(namespace) {
+      const data = await load(namespace);
+      const result = {};
+      for (const [key, raw] of Object.entries(data)) {
+        const entry = unwrap(raw);
+        if (!isExpired(entry)) result[key] = entry.value;
+      }
+      return result;
+    },
+
+    async purgeExpired(namespace) {
+      const data = await load(namespace);
+      const expired = Object.keys(data).filter(key => isExpired(unwrap(data[key])));
+      if (expired.length > 0) {
+        await write(namespace, new Map(expired.map(key => [key, undefined])));
+      }
+      return expired.length;
+    },
+
+    async flush() {
+      for (const [namespace, entry] of namespaces) {
+        if (entry.timer) {
+          clearTimeout(entry.timer);
+          entry.timer = null;
+        }
+        await flush(namespace);
+      }
+    },
+
+    async close() {
+      await this.flush();
+    }
+  };
+}
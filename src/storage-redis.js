@@ -0,0 +1,126 @@
+/**
+ * Redis storage backend
+ * Each namespace is a hash; entries with a TTL are stored as separate keys
+ * so Redis can expire them. Requires the optional redis dependency.
+ */
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const REDIS_KEY_PREFIX = process.env.REDIS_KEY_PREFIX || 'fin-handoff:';
+
+// A key lives in the namespace hash or in its own TTL key, so a claim checks
+// both and sets one in a single atomic step.
+// KEYS: hash, TTL key. ARGV: field, value, TTL seconds ('' for none)
+const CLAIM_SCRIPT = `
+if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 1 or redis.call('EXISTS', KEYS[2]) == 1 then
+  return 0
+end
+if ARGV[3] ~= '' then
+  redis.call('SET', KEYS[2], ARGV[2], 'EX', ARGV[3])
+else
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+end
+return 1
+`;
+
+/**
+ * Create the Redis backend
+ * @returns {Promise<Object>} - Backend
+ */
+export async function createRedisBackend() {
+  let createClient;
+  try {
+    ({ createClient } = await import('redis'));
+  } catch (err) {
+    throw new Error('STORAGE_BACKEND=redis requires the redis package (npm install redis)');
+  }
+
+  const client = createClient({ url: REDIS_URL });
+  client.on('error', err => {
+    console.error('Redis client error:', err.message);
+  });
+  await client.connect();
+
+  const hashKey = namespace => `${REDIS_KEY_PREFIX}${namespace}`;
+  const ttlKey = (namespace, key) => `${REDIS_KEY_PREFIX}${namespace}:ttl:${key}`;
+
+  /**
+   * List the TTL keys of a namespace
+   */
+  async function scanTtlKeys(namespace) {
+    const keys = [];
+    for await (const batch of client.scanIterator({ MATCH: ttlKey(namespace, '*'), COUNT: 100 })) {
+      // redis v4 yields single keys, v5+ yields batches
+      keys.push(...(Array.isArray(batch) ? batch : [batch]));
+    }
+    return keys;
+  }
+
+  console.log(`Redis storage: ${REDIS_URL.replace(/\/\/[^@]*@/, '//***@')} (prefix: ${REDIS_KEY_PREFIX})`);
+
+  return {
+    name: 'redis',
+
+    async get(namespace, key) {
+      const raw = await client.hGet(hashKey(namespace), key) ?? await client.get(ttlKey(namespace, key));
+      return raw === null || raw === undefined ? null : JSON.parse(raw);
+    },
+
+    async set(namespace, key, value, ttlSeconds = null) {
+      const raw = JSON.stringify(value);
+      if (ttlSeconds) {
+        await client.set(ttlKey(namespace, key), raw, { EX: Math.ceil(ttlSeconds) });
+        await client.hDel(hashKey(namespace), key);
+      } else {
+        await client.hSet(hashKey(namespace), key, raw);
+      }
+    },
+
+    async setMany(namespace, entries) {
+      const fields = {};
+      for (const [key, value] of Object.entries(entries)) {
+        fields[key] = JSON.stringify(value);
+      }
+      if (Object.keys(fields).length > 0) {
+        await client.hSet(hashKey(namespace), fields);
+      }
+    },
+
+    async claim(namespace, key, value, ttlSeconds = null) {
+      const claimed = await client.eval(CLAIM_SCRIPT, {
+        keys: [hashKey(namespace), ttlKey(namespace, key)],
+        arguments: [key, JSON.stringify(value), ttlSeconds ? String(Math.ceil(ttlSeconds)) : '']
+      });
+      return Number(claimed) === 1;
+    },
+
+    async delete(namespace, key) {
+      await client.hDel(hashKey(namespace), key);
+      await client.del(ttlKey(namespace, key));
+    },
+
+    async getAll(namespace) {
+      const result = {};
+      for (const [key, raw] of Object.entries(await client.hGetAll(hashKey(namespace)))) {
+        result[key] = JSON.parse(raw);
+      }
+
+      const prefix = ttlKey(namespace, '');
+      for (const fullKey of await scanTtlKeys(namespace)) {
+        const raw = await client.get(fullKey);
+        if (raw !== null) {
+          result[fullKey.slice(prefix.length)] = JSON.parse(raw);
+        }
+      }
+      return result;
+    },
+
+    async purgeExpired() {
+      // Redis expires TTL keys itself
+      return 0;
+    },
+
+    async close() {
+      await client.quit();
+    }
+  };
+}
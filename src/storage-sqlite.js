@@ -0,0 +1,115 @@
+/**
+ * SQLite storage backend
+ * All namespaces share one key/value table. Requires the optional
+ * better-sqlite3 dependency.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SQLITE_PATH = process.env.SQLITE_PATH
+  ? path.resolve(process.env.SQLITE_PATH)
+  : path.join(__dirname, '..', 'storage.sqlite');
+
+/**
+ * Create the SQLite backend
+ * @returns {Promise<Object>} - Backend
+ */
+export async function createSqliteBackend() {
+  let Database;
+  try {
+    Database = (await import('better-sqlite3')).default;
+  } catch (err) {
+    throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const db = new Database(SQLITE_PATH);
+
+  // WAL lets the poller, command server and dashboard read while another process writes
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kv (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      expires_at INTEGER,
+      PRIMARY KEY (namespace, key)
+    )
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT value FROM kv WHERE namespace = ? AND key = ? AND (expires_at IS NULL OR expires_at > ?)'),
+    set: db.prepare(`
+      INSERT INTO kv (namespace, key, value, expires_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+    `),
+    delete: db.prepare('DELETE FROM kv WHERE namespace = ? AND key = ?'),
+    getAll: db.prepare('SELECT key, value FROM kv WHERE namespace = ? AND (expires_at IS NULL OR expires_at > ?)'),
+    purge: db.prepare('DELETE FROM kv WHERE namespace = ? AND expires_at IS NOT NULL AND expires_at <= ?')
+  };
+
+  const setMany = db.transaction((namespace, entries) => {
+    for (const [key, value] of Object.entries(entries)) {
+      statements.set.run(namespace, key, JSON.stringify(value), null);
+    }
+  });
+
+  // IMMEDIATE takes the write lock before the read, so two processes can't both claim
+  const claim = db.transaction((namespace, key, value, expiresAt) => {
+    if (statements.get.get(namespace, key, Date.now())) {
+      return false;
+    }
+    statements.set.run(namespace, key, JSON.stringify(value), expiresAt);
+    return true;
+  });
+
+  console.log(`SQLite storage: ${SQLITE_PATH}`);
+
+  return {
+    name: 'sqlite',
+
+    async get(namespace, key) {
+      const row = statements.get.get(namespace, key, Date.now());
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    async set(namespace, key, value, ttlSeconds = null) {
+      const expiresAt = ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+      statements.set.run(namespace, key, JSON.stringify(value), expiresAt);
+    },
+
+    async setMany(namespace, entries) {
+      setMany(namespace, entries);
+    },
+
+    async claim(namespace, key, value, ttlSeconds = null) {
+      const expiresAt = ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+      return claim.immediate(namespace, key, value, expiresAt);
+    },
+
+    async delete(namespace, key) {
+      statements.delete.run(namespace, key);
+    },
+
+    async getAll(namespace) {
+      const result = {};
+      for (const row of statements.getAll.all(namespace, Date.now())) {
+        result[row.key] = JSON.parse(row.value);
+      }
+      return result;
+    },
+
+    async purgeExpired(namespace) {
+      return statements.purge.run(namespace, Date.now()).changes;
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
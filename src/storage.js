@@ -0,0 +1,177 @@
+/**
+ * Pluggable storage backend for state, SLA state, preferences and dedupe
+ * Data is organised as namespaces of key -> JSON value entries.
+ *
+ * Backends (selected with STORAGE_BACKEND):
+ * - json (default): one JSON file per namespace, e.g. sla-state.json (see storage-json.js)
+ * - sqlite: single SQLite database (requires better-sqlite3)
+ * - redis: Redis hashes/keys (requires redis)
+ *
+ * The poller, command server and dashboard all read through this module,
+ * so they see the same data without keeping their own copies.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonBackend } from './storage-json.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+const STORAGE_DIR = process.env.STORAGE_DIR
+  ? path.resolve(process.env.STORAGE_DIR)
+  : path.join(__dirname, '..');
+
+// Backend instance, created on first use
+let backendPromise = null;
+
+/**
+ * Get the JSON file for a namespace (sla_state -> sla-state.json)
+ * Keeps the file names the service has always used.
+ * @param {string} namespace - Namespace name
+ * @returns {string} - Absolute file path
+ */
+export function getNamespaceFile(namespace) {
+  return path.join(STORAGE_DIR, `${namespace.replace(/_/g, '-')}.json`);
+}
+
+/**
+ * Create the SQLite backend
+ * @returns {Promise<Object>} - Backend
+ */
+async function createSqliteBackend() {
+  const { createSqliteBackend: create } = await import('./storage-sqlite.js');
+  return create();
+}
+
+/**
+ * Create the Redis backend
+ * @returns {Promise<Object>} - Backend
+ */
+async function createRedisBackend() {
+  const { createRedisBackend: create } = await import('./storage-redis.js');
+  return create();
+}
+
+/**
+ * Get the configured storage backend (created on first call)
+ * @returns {Promise<Object>} - Backend
+ */
+export function getBackend() {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      switch (STORAGE_BACKEND) {
+        case 'sqlite':
+          return await createSqliteBackend();
+        case 'redis':
+          return await createRedisBackend();
+        case 'json':
+          return createJsonBackend(getNamespaceFile);
+        default:
+          throw new Error(`Unknown STORAGE_BACKEND: ${STORAGE_BACKEND} (expected json, sqlite or redis)`);
+      }
+    })();
+
+    backendPromise.then(
+      backend => console.log(`Storage backend: ${backend.name}`),
+      err => {
+        console.error('Failed to initialize storage backend:', err.message);
+        backendPromise = null; // Allow a retry on the next call
+      }
+    );
+  }
+  return backendPromise;
+}
+
+/**
+ * Get a value
+ * @param {string} namespace - Namespace (e.g. 'sla_state')
+ * @param {string} key - Key
+ * @returns {Promise<*>} - Stored value, or null if missing/expired
+ */
+export async function get(namespace, key) {
+  return (await getBackend()).get(namespace, String(key));
+}
+
+/**
+ * Set a value
+ * @param {string} namespace - Namespace
+ * @param {string} key - Key
+ * @param {*} value - JSON-serializable value
+ * @param {Object} options - Additional options
+ * @param {number} options.ttlSeconds - Expire the entry after this many seconds
+ */
+export async function set(namespace, key, value, options = {}) {
+  return (await getBackend()).set(namespace, String(key), value, options.ttlSeconds || null);
+}
+
+/**
+ * Set several values in one write
+ * @param {string} namespace - Namespace
+ * @param {Object} entries - key -> value
+ */
+export async function setMany(namespace, entries) {
+  return (await getBackend()).setMany(namespace, entries);
+}
+
+/**
+ * Set a value only if the key has no live entry, atomically across processes
+ * For "exactly one process does this" claims (e.g. running a nudge step).
+ * @param {string} namespace - Namespace
+ * @param {string} key - Key
+ * @param {*} value - JSON-serializable value
+ * @param {Object} options - Additional options
+ * @param {number} options.ttlSeconds - Expire the claim after this many seconds
+ * @returns {Promise<boolean>} - True if this call set the key
+ */
+export async function claim(namespace, key, value, options = {}) {
+  return (await getBackend()).claim(namespace, String(key), value, options.ttlSeconds || null);
+}
+
+/**
+ * Delete a value
+ * @param {string} namespace - Namespace
+ * @param {string} key - Key
+ */
+export async function remove(namespace, key) {
+  return (await getBackend()).delete(namespace, String(key));
+}
+
+/**
+ * Get all values in a namespace
+ * @param {string} namespace - Namespace
+ * @returns {Promise<Object>} - key -> value (expired entries excluded)
+ */
+export async function getAll(namespace) {
+  return (await getBackend()).getAll(namespace);
+}
+
+/**
+ * Remove expired entries from a namespace
+ * @param {string} namespace - Namespace
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function purgeExpired(namespace) {
+  return (await getBackend()).purgeExpired(namespace);
+}
+
+/**
+ * Write any buffered changes to the backend
+ * Call before exiting so debounced writes aren't lost.
+ */
+export async function flush() {
+  if (!backendPromise) return;
+  const backend = await backendPromise;
+  if (backend.flush) await backend.flush();
+}
+
+/**
+ * Get storage info (for health endpoints)
+ * @returns {Object} - { backend }
+ */
+export function getStorageInfo() {
+  return {
+    backend: STORAGE_BACKEND
+  };
+}
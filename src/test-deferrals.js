@@ -0,0 +1,58 @@
+/**
+ * Script to check that deferred notifications survive parallel writes
+ * The poller defers and clears tickets from several workers at once.
+ * Uses a temporary STORAGE_DIR unless one is set (json and sqlite backends).
+ * Usage: node src/test-deferrals.js [count]
+ */
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const tempDir = process.env.STORAGE_DIR ? null : await fs.mkdtemp(path.join(os.tmpdir(), 'deferrals-'));
+if (tempDir) {
+  process.env.STORAGE_DIR = tempDir;
+}
+
+const { deferNotification, getDeferredNotifications, clearDeferredNotification } = await import('./state.js');
+const { flush } = await import('./storage.js');
+
+const count = parseInt(process.argv[2] || '10', 10);
+const ticketIds = Array.from({ length: count }, (_, i) => `test-deferral-${Date.now()}-${i}`);
+let failed = false;
+
+console.log(`\n🧪 Deferring ${count} tickets in parallel (${process.env.STORAGE_BACKEND || 'json'} backend, ${process.env.STORAGE_DIR})`);
+await Promise.all(ticketIds.map(ticketId => deferNotification(ticketId, 'default')));
+
+let deferred = await getDeferredNotifications();
+const missing = ticketIds.filter(ticketId => !deferred[ticketId]);
+if (missing.length > 0) {
+  failed = true;
+  console.error(`❌ ${missing.length} of ${count} deferrals lost: ${missing.join(', ')}`);
+} else {
+  console.log(`✅ All ${count} deferrals stored`);
+}
+
+console.log(`\n🧪 Clearing half of them while deferring the rest again`);
+await Promise.all(ticketIds.map((ticketId, i) =>
+  i % 2 === 0 ? clearDeferredNotification(ticketId) : deferNotification(ticketId, 'default')
+));
+
+deferred = await getDeferredNotifications();
+const wrong = ticketIds.filter((ticketId, i) => (i % 2 === 0) === !!deferred[ticketId]);
+if (wrong.length > 0) {
+  failed = true;
+  console.error(`❌ ${wrong.length} tickets in the wrong state: ${wrong.join(', ')}`);
+} else {
+  console.log(`✅ Cleared ${Math.ceil(count / 2)}, kept ${Math.floor(count / 2)}`);
+}
+
+await Promise.all(ticketIds.map(ticketId => clearDeferredNotification(ticketId)));
+await flush();
+if (tempDir) {
+  await fs.rm(tempDir, { recursive: true, force: true });
+}
+
+console.log(failed ? '\n❌ Failed\n' : '\n✅ Passed\n');
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,96 @@
+/**
+ * Script to check the keyed cache used for Intercom lookups
+ * Covers invalidation while a fetch is in flight (replies, assigns and snoozes
+ * invalidate the conversation while a nudge or SLA check may be fetching it),
+ * request coalescing and updated_at hints.
+ * Usage: node src/test-keyed-cache.js
+ */
+
+import { createKeyedCache } from './keyed-cache.js';
+
+let failed = false;
+
+function check(label, ok, details = '') {
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    failed = true;
+    console.error(`❌ ${label}${details ? `: ${details}` : ''}`);
+  }
+}
+
+/**
+ * Fetch function that resolves only when told to
+ * @returns {Object} - { fetch, resolve, calls }
+ */
+function deferredFetch() {
+  const pending = [];
+  const control = {
+    calls: 0,
+    fetch: () => {
+      control.calls++;
+      return new Promise(resolve => pending.push(resolve));
+    },
+    resolve: value => pending.shift()(value)
+  };
+  return control;
+}
+
+console.log('\n🧪 Invalidate while a fetch is in flight (entry already cached)');
+{
+  const cache = createKeyedCache('test-inflight', { ttlMs: 60 * 1000 });
+  await cache.get('1', async () => ({ id: '1', body: 'cached', updated_at: 100 }));
+
+  const control = deferredFetch();
+  const inflight = cache.get('1', control.fetch, { fresh: true });
+  cache.invalidate('1');
+  control.resolve({ id: '1', body: 'fetched before the change', updated_at: 100 });
+  await inflight;
+
+  const after = await cache.get('1', async () => ({ id: '1', body: 'after the change', updated_at: 200 }));
+  check('Next get refetches instead of returning the pre-change copy', after.body === 'after the change', `got "${after.body}"`);
+}
+
+console.log('\n🧪 Invalidate while a fetch is in flight (nothing cached yet)');
+{
+  const cache = createKeyedCache('test-inflight-empty', { ttlMs: 60 * 1000 });
+  const control = deferredFetch();
+  const inflight = cache.get('1', control.fetch);
+  cache.invalidate('1');
+  control.resolve({ id: '1', body: 'fetched before the change', updated_at: 100 });
+  await inflight;
+
+  const after = await cache.get('1', async () => ({ id: '1', body: 'after the change', updated_at: 200 }));
+  check('Next get refetches', after.body === 'after the change', `got "${after.body}"`);
+}
+
+console.log('\n🧪 Concurrent gets share one fetch');
+{
+  const cache = createKeyedCache('test-coalesce', { ttlMs: 60 * 1000 });
+  const control = deferredFetch();
+  const results = Promise.all([cache.get('1', control.fetch), cache.get('1', control.fetch), cache.get('1', control.fetch)]);
+  control.resolve({ id: '1', updated_at: 100 });
+  const values = await results;
+  check('One request for three callers', control.calls === 1, `${control.calls} requests`);
+  values[0].mutated = true;
+  check('Callers get separate copies', !values[1].mutated);
+}
+
+console.log('\n🧪 updated_at hints');
+{
+  const cache = createKeyedCache('test-updated-at', { ttlMs: 60 * 1000 });
+  await cache.get('1', async () => ({ id: '1', body: 'v1', updated_at: 100 }));
+
+  const same = await cache.get('1', async () => ({ id: '1', body: 'v2', updated_at: 200 }), { updatedAt: 100 });
+  check('Served from cache when not newer', same.body === 'v1', `got "${same.body}"`);
+
+  const newer = await cache.get('1', async () => ({ id: '1', body: 'v2', updated_at: 200 }), { updatedAt: 200 });
+  check('Refetched when a newer updated_at is known', newer.body === 'v2', `got "${newer.body}"`);
+
+  cache.noteUpdated('1', 300);
+  const noted = await cache.get('1', async () => ({ id: '1', body: 'v3', updated_at: 300 }));
+  check('Refetched after noteUpdated', noted.body === 'v3', `got "${noted.body}"`);
+}
+
+console.log(failed ? '\n❌ Failed\n' : '\n✅ Passed\n');
+process.exit(failed ? 1 : 0);
@@ -83,7 +83,7 @@ async function testSlackIntegration() {
   }
 
   try {
-    const { lookupUserByEmail } = await import('./slack.js');
+    const { lookupUserByEmail } = await import('./identity.js');
     
     // Test with a known email (you can change this)
     const testEmail = process.env.TEST_EMAIL || 'test@example.com';
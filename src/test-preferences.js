@@ -10,11 +10,11 @@ const email = process.argv[2];
 
 if (email) {
   // Check specific user
-  const optedIn = isOptedIn(email);
+  const optedIn = await isOptedIn(email);
   console.log(`\n📧 ${email}`);
   console.log(`   Status: ${optedIn ? '✅ Opted IN' : '🔕 Opted OUT'}`);
   
-  const allPrefs = getAllPreferences();
+  const allPrefs = await getAllPreferences();
   const userPref = allPrefs.find(p => p.email.toLowerCase() === email.toLowerCase());
   
   if (userPref) {
@@ -24,8 +24,8 @@ if (email) {
   }
 } else {
   // Show all preferences
-  const stats = getStats();
-  const allPrefs = getAllPreferences();
+  const stats = await getStats();
+  const allPrefs = await getAllPreferences();
   
   console.log('\n📊 Preference Statistics:');
   console.log(`   Total users with explicit preferences: ${stats.total}`);
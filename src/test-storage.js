@@ -0,0 +1,170 @@
+/**
+ * Script to check the storage backends
+ * Runs the same checks against each backend: get/set/remove, getAll, TTL
+ * expiry and purgeExpired, and claim (including two processes racing for the
+ * same keys). json and sqlite use a temporary directory; redis runs only when
+ * REDIS_URL is set and uses throwaway namespaces.
+ * Usage: node src/test-storage.js [json|sqlite|redis ...]
+ */
+
+import 'dotenv/config';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+const run = promisify(execFile);
+const __filename = fileURLToPath(import.meta.url);
+
+const [mode, ...args] = process.argv.slice(2);
+
+if (mode === 'suite') {
+  await runSuite();
+} else if (mode === 'claim') {
+  await runClaims(args[0], args.slice(1));
+} else {
+  await runAll(process.argv.slice(2));
+}
+
+/**
+ * Run the suite once per backend, each in its own process (backends are picked at startup)
+ * @param {Array<string>} backends - Backends to test (default: json, sqlite, and redis if REDIS_URL is set)
+ */
+async function runAll(backends) {
+  if (backends.length === 0) {
+    backends = ['json', 'sqlite', ...(process.env.REDIS_URL ? ['redis'] : [])];
+  }
+  if (!process.env.REDIS_URL && !backends.includes('redis')) {
+    console.log('ℹ️  REDIS_URL not set - skipping the redis backend');
+  }
+
+  let failed = false;
+  for (const backend of backends) {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    const env = {
+      ...process.env,
+      STORAGE_BACKEND: backend,
+      STORAGE_DIR: tempDir,
+      SQLITE_PATH: path.join(tempDir, 'storage.sqlite')
+    };
+
+    try {
+      const { stdout } = await run(process.execPath, [__filename, 'suite'], { env, timeout: 120 * 1000 });
+      process.stdout.write(stdout);
+    } catch (err) {
+      failed = true;
+      process.stdout.write(err.stdout || '');
+      process.stderr.write(err.stderr || '');
+      console.error(`❌ ${backend} backend failed`);
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  console.log(failed ? '\n❌ Failed\n' : '\n✅ Passed\n');
+  process.exit(failed ? 1 : 0);
+}
+
+/**
+ * Claim keys and print which ones this process got (for the cross-process check)
+ * @param {string} namespace - Namespace
+ * @param {Array<string>} keys - Keys to claim
+ */
+async function runClaims(namespace, keys) {
+  const { claim, flush } = await import('./storage.js');
+  const results = await Promise.all(keys.map(key => claim(namespace, key, { pid: process.pid })));
+  await flush();
+  console.log(JSON.stringify(results));
+  process.exit(0);
+}
+
+/**
+ * Run the checks against the configured backend
+ */
+async function runSuite() {
+  const { get, set, setMany, remove, getAll, purgeExpired, claim, flush } = await import('./storage.js');
+  const backend = process.env.STORAGE_BACKEND || 'json';
+  const ns = name => `test_${name}_${process.pid}`;
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  let failed = false;
+
+  function check(label, ok, details = '') {
+    if (ok) {
+      console.log(`✅ ${label}`);
+    } else {
+      failed = true;
+      console.error(`❌ ${label}${details ? `: ${details}` : ''}`);
+    }
+  }
+
+  console.log(`\n🧪 ${backend} backend`);
+
+  // get / set / setMany / remove / getAll
+  const basic = ns('basic');
+  await set(basic, 'a', { n: 1 });
+  await setMany(basic, { b: { n: 2 }, c: [1, 2, 3] });
+  check('get returns what set stored', (await get(basic, 'a'))?.n === 1);
+  check('get returns null for a missing key', (await get(basic, 'missing')) === null);
+  await remove(basic, 'b');
+  const all = await getAll(basic);
+  check('getAll lists live keys', JSON.stringify(Object.keys(all).sort()) === '["a","c"]', JSON.stringify(all));
+
+  // Parallel writes to different keys of one namespace
+  const parallel = ns('parallel');
+  await Promise.all(Array.from({ length: 20 }, (_, i) => set(parallel, `k${i}`, i)));
+  check('Parallel sets keep every key', Object.keys(await getAll(parallel)).length === 20);
+
+  // TTL expiry
+  const ttl = ns('ttl');
+  await set(ttl, 'short', 'x', { ttlSeconds: 1 });
+  await set(ttl, 'long', 'y', { ttlSeconds: 60 });
+  await set(ttl, 'forever', 'z');
+  check('TTL entry readable before it expires', (await get(ttl, 'short')) === 'x');
+  await sleep(1500);
+  check('TTL entry gone after it expires', (await get(ttl, 'short')) === null);
+  check('getAll skips expired entries', JSON.stringify(Object.keys(await getAll(ttl)).sort()) === '["forever","long"]');
+  await purgeExpired(ttl);
+  check('purgeExpired keeps live entries', (await get(ttl, 'long')) === 'y' && (await get(ttl, 'forever')) === 'z');
+
+  // claim
+  const claims = ns('claims');
+  const results = await Promise.all(Array.from({ length: 5 }, () => claim(claims, 'one', { at: Date.now() })));
+  check('Parallel claims: exactly one wins', results.filter(Boolean).length === 1, JSON.stringify(results));
+
+  await set(claims, 'plain', 'taken');
+  check('TTL claim fails on a key set without TTL', !(await claim(claims, 'plain', 'again', { ttlSeconds: 60 })));
+  await set(claims, 'expiring', 'taken', { ttlSeconds: 60 });
+  check('Claim without TTL fails on a key set with TTL', !(await claim(claims, 'expiring', 'again')));
+  check('TTL claim fails on a TTL claim', (await claim(claims, 'ttl', 'first', { ttlSeconds: 60 })) && !(await claim(claims, 'ttl', 'second', { ttlSeconds: 60 })));
+
+  check('Short claim taken', await claim(claims, 'short', 'first', { ttlSeconds: 1 }));
+  await sleep(1500);
+  check('Claim succeeds once the previous claim expired', await claim(claims, 'short', 'second', { ttlSeconds: 60 }));
+  check('Expired claim replaced', (await get(claims, 'short')) === 'second');
+
+  await remove(claims, 'one');
+  check('Claim succeeds after remove', await claim(claims, 'one', 'again'));
+
+  // Two processes racing for the same keys
+  await flush();
+  const race = ns('race');
+  const keys = Array.from({ length: 10 }, (_, i) => `k${i}`);
+  const outputs = await Promise.all([1, 2].map(() =>
+    run(process.execPath, [__filename, 'claim', race, ...keys], { env: process.env, timeout: 60 * 1000 })
+  ));
+  const won = outputs.map(({ stdout }) => JSON.parse(stdout.trim().split('\n').pop()));
+  const winners = keys.map((_, i) => won.filter(result => result[i]).length);
+  check('Two processes: each key claimed exactly once', winners.every(count => count === 1), JSON.stringify(won));
+
+  // Clean up (redis namespaces are shared with other data)
+  for (const namespace of [basic, parallel, ttl, claims, race]) {
+    for (const key of Object.keys(await getAll(namespace))) {
+      await remove(namespace, key);
+    }
+  }
+  await flush();
+
+  process.exit(failed ? 1 : 0);
+}
@@ -1,7 +1,7 @@
 import 'dotenv/config';
 import crypto from 'crypto';
 import { getConversation } from './intercom.js';
-import { lookupUserByEmail } from './slack.js';
+import { lookupUserByEmail } from './identity.js';
 
 /**
  * Test script to verify Intercom and Slack tokens are configured correctly
@@ -25,7 +25,7 @@ async function testIntercomToken() {
       headers: {
         'Authorization': `Bearer ${token}`,
         'Accept': 'application/json',
-        'Intercom-Version': '2.10'
+        'Intercom-Version': process.env.INTERCOM_API_VERSION || '2.11'
       }
     });
 
@@ -2,7 +2,9 @@
  * Send Slack DM notification for ticket assignment
  */
 
-import { lookupUserByEmail, openDM, sendBlockKitMessage } from './slack.js';
+import { postMessage, sendBlockKitMessage, generateHandoffActions } from './slack.js';
+import { resolveSlackUser, openUserDM, forgetSlackUser } from './identity.js';
+import { isRecipientError } from './slack-client.js';
 
 /**
  * Generate ticket link
@@ -70,50 +72,8 @@ function generateTicketBlocks(ticket, assigneeName, ticketLink) {
         text: `*Description:*\n${description.substring(0, 500)}${description.length > 500 ? '...' : ''}`
       }
     }] : []),
-    {
-      type: 'actions',
-      elements: [
-        {
-          type: 'button',
-          text: {
-            type: 'plain_text',
-            text: 'Open in Intercom',
-            emoji: true
-          },
-          url: ticketLink,
-          action_id: 'open_intercom',
-          style: 'primary'
-        },
-        {
-          type: 'button',
-          text: {
-            type: 'plain_text',
-            text: '🔕 Stop notifications',
-            emoji: true
-          },
-          action_id: 'opt_out',
-          style: 'danger',
-          confirm: {
-            title: {
-              type: 'plain_text',
-              text: 'Stop notifications?'
-            },
-            text: {
-              type: 'mrkdwn',
-              text: 'You won\'t receive notifications when tickets are assigned to you. You can opt back in anytime with `/fin-handoff opt-in`.'
-            },
-            confirm: {
-              type: 'plain_text',
-              text: 'Stop notifications'
-            },
-            deny: {
-              type: 'plain_text',
-              text: 'Cancel'
-            }
-          }
-        }
-      ]
-    }
+    generateHandoffActions(ticket.id, ticketLink,
+      'You won\'t receive notifications when tickets are assigned to you. You can opt back in anytime with `/fin-handoff opt-in`.')
   ];
 }
 
@@ -122,12 +82,13 @@ function generateTicketBlocks(ticket, assigneeName, ticketLink) {
  * @param {string} assigneeEmail - Assignee email address
  * @param {Object} ticket - Ticket object
  * @param {string} ticketLink - Ticket link
- * @returns {Promise<Object>} - Result object with success flag
+ * @returns {Promise<Object>} - Result object with success flag (and message { channel, ts, blocks } for DMs,
+ *   or error - the SlackApiError - when Slack failed)
  */
 export async function sendTicketAssignmentDM(assigneeEmail, ticket, ticketLink) {
   try {
-    // Look up Slack user by email
-    const userId = await lookupUserByEmail(assigneeEmail);
+    // Look up Slack user (identity directory: links, cache, then Slack)
+    const userId = (await resolveSlackUser({ email: assigneeEmail, adminId: ticket.admin_assignee?.id }))?.slackUserId;
     
     if (!userId) {
       console.log(`Could not find Slack user for email: ${assigneeEmail}`);
@@ -139,7 +100,7 @@ export async function sendTicketAssignmentDM(assigneeEmail, ticket, ticketLink)
     }
 
     // Open DM channel
-    const channelId = await openDM(userId);
+    const channelId = await openUserDM(userId);
     if (!channelId) {
       console.log(`Could not open DM channel for user: ${userId}`);
       // Try fallback channel if configured
@@ -156,18 +117,25 @@ export async function sendTicketAssignmentDM(assigneeEmail, ticket, ticketLink)
     const blocks = generateTicketBlocks(ticket, assigneeName, ticketLink);
 
     // Send message
-    const success = await sendBlockKitMessage(channelId, blocks);
-
-    if (success) {
-      console.log(`Sent ticket assignment DM to ${assigneeEmail} (${userId})`);
-      return { success: true, usedFallback: false };
-    } else {
-      console.error(`Failed to send DM to ${assigneeEmail}`);
-      return { success: false, reason: 'send_failed' };
+    let message;
+    try {
+      message = await postMessage(channelId, blocks, { throwErrors: true });
+    } catch (err) {
+      if (!isRecipientError(err)) throw err;
+      // Deactivated user or stale DM channel: look them up again next time
+      console.log(`Could not DM ${assigneeEmail} (${err.code})`);
+      await forgetSlackUser(userId);
+      if (process.env.FALLBACK_CHANNEL) {
+        return await sendTicketToFallbackChannel(ticket, ticketLink, assigneeEmail);
+      }
+      return { success: false, reason: err.code };
     }
+
+    console.log(`Sent ticket assignment DM to ${assigneeEmail} (${userId})`);
+    return { success: true, usedFallback: false, message: { ...message, blocks } };
   } catch (err) {
     console.error(`Error sending ticket assignment DM to ${assigneeEmail}:`, err);
-    return { success: false, reason: err.message };
+    return { success: false, reason: err.code || err.message, error: err };
   }
 }
 
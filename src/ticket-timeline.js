@@ -0,0 +1,214 @@
+/**
+ * Threaded ticket timelines in the SLA alert channel
+ * Each ticket gets one parent message; assignments, nudges, warnings, alerts,
+ * reassignments and closures are posted as replies in its thread.
+ *
+ * To keep the channel to tickets that need attention, the thread is only
+ * opened by an alert-level event (pre-breach warning, deadline violation,
+ * missed SLA). Earlier events are kept and posted into the thread when it opens.
+ */
+
+import { postMessage, updateMessage } from './slack.js';
+import { get, set } from './storage.js';
+
+const TIMELINE_CHANNEL = process.env.SLA_ALERT_CHANNEL;
+const THREADS_ENABLED = !!TIMELINE_CHANNEL && process.env.SLA_ALERT_THREADS !== 'false';
+
+// Timelines are kept for this long after their last event
+const TIMELINE_TTL_SECONDS = parseInt(process.env.TICKET_TIMELINE_TTL_DAYS || '30', 10) * 24 * 60 * 60;
+
+// Events kept while waiting for the thread to open
+const MAX_PENDING_EVENTS = 20;
+
+// Key: ticket or conversation ID, Value: { channel, ts, opened_at, summary, pending: [events] }
+const TIMELINE_NAMESPACE = 'ticket_threads';
+
+const EVENT_TYPES = {
+  assignment: { emoji: '👤', label: 'Assigned', opensThread: false },
+  nudge: { emoji: '🔔', label: 'Escalation', opensThread: false },
+  acknowledged: { emoji: '👍', label: 'Acknowledged', opensThread: false },
+  replied: { emoji: '💬', label: 'Replied', opensThread: false },
+  snoozed: { emoji: '💤', label: 'Snoozed', opensThread: false },
+  pre_breach_warning: { emoji: '⏳', label: 'SLA warning', opensThread: true },
+  deadline_violation: { emoji: '⏰', label: 'SLA deadline violated', opensThread: true },
+  status_missed: { emoji: '⚠️', label: 'SLA missed', opensThread: true },
+  reassignment: { emoji: '🔀', label: 'Reassigned', opensThread: false },
+  sla_hit: { emoji: '✅', label: 'SLA hit', opensThread: false },
+  closed: { emoji: '🔒', label: 'Closed', opensThread: false }
+};
+
+// Per-ticket promise chains so concurrent events can't open two threads
+const ticketLocks = new Map();
+
+/**
+ * Check if threaded timelines are enabled
+ * @returns {boolean} - True if events are posted to ticket threads
+ */
+export function isTimelineEnabled() {
+  return THREADS_ENABLED;
+}
+
+/**
+ * Get the thread of a ticket, if it has been opened
+ * @param {string} ticketId - Ticket or conversation ID
+ * @returns {Promise<{channel: string, ts: string}|null>} - Parent message reference
+ */
+export async function getTicketThread(ticketId) {
+  const timeline = await get(TIMELINE_NAMESPACE, ticketId);
+  return timeline?.ts ? { channel: timeline.channel, ts: timeline.ts } : null;
+}
+
+/**
+ * Record an event on a ticket's timeline
+ * @param {string} ticketId - Ticket or conversation ID
+ * @param {string} type - Event type (see EVENT_TYPES)
+ * @param {Object} event - Event details
+ * @param {string} event.text - One-line description
+ * @param {Array} event.blocks - Full Block Kit blocks to post instead of the one-line reply
+ * @param {Object} event.summary - Ticket details for the parent message { subject, link, assigneeName, slaName }
+ * @returns {Promise<{channel: string, ts: string}|null>} - The posted reply, or null if not posted
+ */
+export async function recordTicketEvent(ticketId, type, event = {}) {
+  if (!THREADS_ENABLED || !ticketId || !EVENT_TYPES[type]) {
+    return null;
+  }
+
+  const key = String(ticketId);
+  const previous = ticketLocks.get(key) || Promise.resolve();
+  const run = previous.then(() => applyTicketEvent(key, type, event));
+  const settled = run.catch(() => {});
+  ticketLocks.set(key, settled);
+  settled.then(() => {
+    if (ticketLocks.get(key) === settled) ticketLocks.delete(key);
+  });
+
+  try {
+    return await run;
+  } catch (err) {
+    console.error(`[${ticketId}] Error recording ${type} timeline event:`, err);
+    return null;
+  }
+}
+
+/**
+ * Post (or queue) a timeline event; runs under the ticket's lock
+ */
+async function applyTicketEvent(ticketId, type, event) {
+  const now = Math.floor(Date.now() / 1000);
+  const timeline = (await get(TIMELINE_NAMESPACE, ticketId)) || { channel: null, ts: null, pending: [], summary: {} };
+  timeline.summary = { ...timeline.summary, ...stripEmpty(event.summary || {}) };
+
+  const entry = { type, text: event.text || '', at: now };
+  let reply = null;
+
+  if (!timeline.ts && !EVENT_TYPES[type].opensThread) {
+    // Not worth a thread yet - keep it for the audit trail
+    timeline.pending = [...(timeline.pending || []), entry].slice(-MAX_PENDING_EVENTS);
+  } else {
+    if (!timeline.ts) {
+      const parent = await postMessage(TIMELINE_CHANNEL, generateParentBlocks(ticketId, timeline.summary, entry), {
+        text: `Ticket ${ticketId}: ${EVENT_TYPES[type].label}`
+      });
+      if (!parent) {
+        return null;
+      }
+      timeline.channel = parent.channel;
+      timeline.ts = parent.ts;
+      timeline.opened_at = now;
+
+      // Backfill what happened before the thread opened
+      for (const pendingEntry of timeline.pending || []) {
+        await postMessage(timeline.channel, generateEventBlocks(pendingEntry), {
+          text: EVENT_TYPES[pendingEntry.type].label,
+          threadTs: timeline.ts
+        });
+      }
+      timeline.pending = [];
+    } else {
+      await updateMessage(timeline.channel, timeline.ts, generateParentBlocks(ticketId, timeline.summary, entry), {
+        text: `Ticket ${ticketId}: ${EVENT_TYPES[type].label}`
+      });
+    }
+
+    reply = await postMessage(timeline.channel, event.blocks || generateEventBlocks(entry), {
+      text: `${EVENT_TYPES[type].label}${entry.text ? `: ${entry.text}` : ''}`,
+      threadTs: timeline.ts
+    });
+  }
+
+  await set(TIMELINE_NAMESPACE, ticketId, timeline, { ttlSeconds: TIMELINE_TTL_SECONDS });
+  return reply;
+}
+
+/**
+ * Drop empty values so partial summaries don't overwrite known details
+ * @param {Object} obj - Object to clean
+ * @returns {Object} - Object without null/undefined/empty values
+ */
+function stripEmpty(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+}
+
+/**
+ * Generate the parent message for a ticket's thread
+ * Re-rendered on every event so the channel shows the latest state.
+ * @param {string} ticketId - Ticket or conversation ID
+ * @param {Object} summary - { subject, link, assigneeName, slaName }
+ * @param {Object} latest - Latest event entry
+ * @returns {Array} - Block Kit blocks
+ */
+function generateParentBlocks(ticketId, summary, latest) {
+  const title = summary.link ? `<${summary.link}|Ticket ${ticketId}>` : `Ticket ${ticketId}`;
+  const details = [
+    summary.assigneeName ? `*Assignee:* ${summary.assigneeName}` : null,
+    summary.slaName ? `*SLA:* ${summary.slaName}` : null
+  ].filter(Boolean).join('  •  ');
+  const { emoji, label } = EVENT_TYPES[latest.type];
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🎫 *${title}*${summary.subject ? ` - ${summary.subject}` : ''}${details ? `\n${details}` : ''}`
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `Latest: ${emoji} ${label}${latest.text ? ` - ${latest.text}` : ''} (${new Date(latest.at * 1000).toLocaleString()}) | Timeline in thread`
+        }
+      ]
+    }
+  ];
+}
+
+/**
+ * Generate a one-line thread reply for an event
+ * @param {Object} entry - { type, text, at }
+ * @returns {Array} - Block Kit blocks
+ */
+function generateEventBlocks(entry) {
+  const { emoji, label } = EVENT_TYPES[entry.type];
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${emoji} *${label}*${entry.text ? ` - ${entry.text}` : ''}`
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: new Date(entry.at * 1000).toLocaleString()
+        }
+      ]
+    }
+  ];
+}
@@ -1,29 +1,31 @@
 /**
  * Intercom Tickets API client
- * Uses REST API v2.11+ for ticket search
+ * Ticket search needs REST API v2.11+ (see INTERCOM_API_VERSION in intercom-client.js)
  */
 
-// Support both INTERCOM_ACCESS_TOKEN and INTERCOM_TOKEN for backward compatibility
-const INTERCOM_ACCESS_TOKEN = process.env.INTERCOM_ACCESS_TOKEN || process.env.INTERCOM_TOKEN;
+import { intercomRequest, intercomPaginate } from './intercom-client.js';
+import { createKeyedCache } from './keyed-cache.js';
 
-// Validate token is set
-if (!INTERCOM_ACCESS_TOKEN) {
-  console.warn('⚠️  INTERCOM_ACCESS_TOKEN not set. Please set it in your .env file.');
-}
-const INTERCOM_BASE_URL = 'https://api.intercom.io';
+// getAdmin used to be duplicated here; scripts still import it from this module
+export { getAdmin } from './intercom.js';
+
+// Tickets are served from cache for this long unless a newer updated_at is known
+// (search results carry updated_at, so changed tickets are always refetched)
+const INTERCOM_CACHE_TTL_SECONDS = parseInt(process.env.INTERCOM_CACHE_TTL_SECONDS || '60', 10);
+
+const ticketCache = createKeyedCache('tickets', { ttlMs: INTERCOM_CACHE_TTL_SECONDS * 1000 });
 
 /**
  * Search for tickets created or updated after a specific timestamp
+ * Follows the search cursor up to 1000 tickets.
  * @param {number} sinceTimestamp - Unix timestamp in seconds
  * @param {Object} options - Additional options
+ * @param {number} options.limit - Tickets per page (default: 50)
  * @param {boolean} options.includeUpdated - Also search by updated_at (default: true)
  * @returns {Promise<Array>} - Array of ticket objects
+ * @throws {IntercomApiError}
  */
 export async function searchTickets(sinceTimestamp, options = {}) {
-  if (!INTERCOM_ACCESS_TOKEN) {
-    throw new Error('INTERCOM_ACCESS_TOKEN not configured');
-  }
-
   const {
     limit = 50,
     includeUpdated = true // Default to true to catch SLA status changes
@@ -57,176 +59,52 @@ export async function searchTickets(sinceTimestamp, options = {}) {
     }
   };
 
-  const url = `${INTERCOM_BASE_URL}/tickets/search`;
-
   console.log(`Searching tickets ${includeUpdated ? 'created or updated' : 'created'} after ${new Date(sinceTimestamp * 1000).toISOString()}`);
 
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${INTERCOM_ACCESS_TOKEN}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        'Intercom-Version': '2.11'
-      },
-      body: JSON.stringify(query)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Intercom Tickets API error:', response.status, errorText);
-      throw new Error(`Intercom Tickets API error: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    // Intercom API v2.11 returns tickets in data._results or data.tickets
-    let tickets = data._results || data.tickets || data.data || [];
-    
-    // Debug: Log pagination info
-    console.log(`📄 Pagination info:`, {
-      hasPages: !!data.pages,
-      pagesType: typeof data.pages,
-      pagesKeys: data.pages ? Object.keys(data.pages) : [],
-      nextPage: data.pages?.next,
-      totalCount: data.total_count,
-      ticketsInPage: tickets.length
+    const { items: tickets, pages, totalCount } = await intercomPaginate('POST', '/tickets/search', {
+      body: query,
+      // Intercom API v2.11 returns tickets in data._results or data.tickets
+      getItems: data => data._results || data.tickets || data.data || []
     });
-    
-    // Handle pagination if there are more results
-    // Intercom API v2.11 uses cursor-based pagination with pages.next.starting_after
-    let pageCount = 1;
-    let startingAfter = data.pages?.next?.starting_after;
-    
-    // Continue paginating while there's a next page cursor
-    while (startingAfter && tickets.length < 1000) { // Limit to 1000 tickets max to avoid infinite loops
-      try {
-        // Use cursor-based pagination with starting_after
-        const nextQuery = {
-          ...query,
-          pagination: {
-            per_page: limit,
-            starting_after: startingAfter
-          }
-        };
-        
-        const nextResponse = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${INTERCOM_ACCESS_TOKEN}`,
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-            'Intercom-Version': '2.11'
-          },
-          body: JSON.stringify(nextQuery)
-        });
-        
-        if (!nextResponse.ok) {
-          const errorText = await nextResponse.text();
-          console.warn(`Failed to fetch next page: ${nextResponse.status} - ${errorText}`);
-          break;
-        }
-        
-        const nextData = await nextResponse.json();
-        const nextTickets = nextData._results || nextData.tickets || nextData.data || [];
-        
-        if (nextTickets.length === 0) {
-          // No more tickets
-          break;
-        }
-        
-        tickets = tickets.concat(nextTickets);
-        pageCount++;
-        startingAfter = nextData.pages?.next?.starting_after;
-        
-        console.log(`📄 Fetched page ${pageCount}: ${nextTickets.length} tickets (total: ${tickets.length})`);
-      } catch (err) {
-        console.error('Error fetching next page:', err);
-        break;
-      }
-    }
 
-    console.log(`Found ${tickets.length} tickets ${includeUpdated ? 'created or updated' : 'created'} after ${new Date(sinceTimestamp * 1000).toISOString()} (${pageCount} page${pageCount > 1 ? 's' : ''})`);
+    console.log(`Found ${tickets.length}${totalCount !== null ? ` of ${totalCount}` : ''} tickets ${includeUpdated ? 'created or updated' : 'created'} after ${new Date(sinceTimestamp * 1000).toISOString()} (${pages} page${pages > 1 ? 's' : ''})`);
 
     return tickets;
   } catch (err) {
-    console.error('Error searching tickets:', err);
+    console.error('Error searching tickets:', err.message);
     throw err;
   }
 }
 
 /**
  * Get ticket details by ID
+ * Cached for INTERCOM_CACHE_TTL_SECONDS; concurrent calls for the same ID share one request.
  * @param {string} ticketId - Ticket ID
+ * @param {Object} options - Additional options
+ * @param {number} options.updatedAt - Known updated_at (e.g. from search); a cached copy older than this is refetched
+ * @param {boolean} options.fresh - Skip the cache
  * @returns {Promise<Object>} - Ticket object
+ * @throws {IntercomApiError} - status 404 if the ticket doesn't exist
  */
-export async function getTicket(ticketId) {
-  if (!INTERCOM_ACCESS_TOKEN) {
-    throw new Error('INTERCOM_ACCESS_TOKEN not configured');
-  }
-
-  const url = `${INTERCOM_BASE_URL}/tickets/${ticketId}`;
-
-  console.log(`Fetching ticket: ${ticketId}`);
-
-  try {
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${INTERCOM_ACCESS_TOKEN}`,
-        'Accept': 'application/json',
-        'Intercom-Version': '2.11'
-      }
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Intercom Tickets API error:', response.status, errorText);
-      throw new Error(`Intercom Tickets API error: ${response.status} - ${errorText}`);
+export async function getTicket(ticketId, options = {}) {
+  return ticketCache.get(ticketId, async () => {
+    console.log(`Fetching ticket: ${ticketId}`);
+
+    try {
+      return await intercomRequest('GET', `/tickets/${ticketId}`);
+    } catch (err) {
+      console.error(`Error fetching ticket ${ticketId}:`, err.message);
+      throw err;
     }
-
-    const ticket = await response.json();
-    return ticket;
-  } catch (err) {
-    console.error(`Error fetching ticket ${ticketId}:`, err);
-    throw err;
-  }
+  }, options);
 }
 
 /**
- * Get admin details from Intercom API
- * @param {string} adminId - Intercom admin ID
- * @returns {Promise<Object>} - Admin object with email and name
+ * Drop a cached ticket older than an update we heard about
+ * @param {string} ticketId - Ticket ID
+ * @param {number} updatedAt - Its new updated_at (Unix seconds), e.g. from a webhook
  */
-export async function getAdmin(adminId) {
-  if (!INTERCOM_ACCESS_TOKEN) {
-    throw new Error('INTERCOM_ACCESS_TOKEN not configured');
-  }
-
-  const url = `${INTERCOM_BASE_URL}/admins/${adminId}`;
-
-  console.log(`Fetching admin: ${adminId}`);
-
-  try {
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${INTERCOM_ACCESS_TOKEN}`,
-        'Accept': 'application/json',
-        'Intercom-Version': '2.11'
-      }
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Intercom API error (getAdmin):', response.status, errorText);
-      throw new Error(`Intercom API error: ${response.status} - ${errorText}`);
-    }
-
-    const admin = await response.json();
-    return admin;
-  } catch (err) {
-    console.error(`Error fetching admin ${adminId}:`, err);
-    throw err;
-  }
+export function noteTicketUpdated(ticketId, updatedAt) {
+  ticketCache.noteUpdated(ticketId, updatedAt);
 }
@@ -1,20 +1,13 @@
 /**
  * Update existing SLA state with assignee information and tags
- * Reads sla-state.json and fetches missing info for tickets
+ * Reads the stored SLA state and fetches missing info for tickets
  * Usage: node src/update-assignees.js
  */
 
 import 'dotenv/config';
 import { getTicket, getAdmin } from './tickets.js';
 import { getConversation } from './intercom.js';
-import { reloadSLAState } from './sla-monitor-enhanced.js';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const SLA_STATE_FILE = path.join(__dirname, '..', 'sla-state.json');
+import { getAllSLAState, saveSLAState } from './sla-monitor-enhanced.js';
 
 /**
  * Get ticket tags as array of strings
@@ -39,12 +32,8 @@ function hasUnwarrantedSLATag(ticket) {
 
 async function updateAssignees() {
   try {
-    // Reload current state
-    await reloadSLAState();
-    
-    // Read the state file directly
-    const stateData = await fs.readFile(SLA_STATE_FILE, 'utf-8');
-    const state = JSON.parse(stateData);
+    // Read the current state from storage
+    const state = await getAllSLAState();
     
     console.log(`\n🔄 Updating ticket information for ${Object.keys(state).length} tickets...\n`);
     
@@ -170,7 +159,10 @@ async function updateAssignees() {
           }
         }
         
-        if (!needsUpdate) {
+        if (needsUpdate) {
+          // Save each ticket as we go so the poller's updates to other tickets aren't overwritten
+          await saveSLAState(ticketId, ticketState);
+        } else {
           skipped++;
         }
         
@@ -183,9 +175,6 @@ async function updateAssignees() {
       }
     }
     
-    // Save updated state
-    await fs.writeFile(SLA_STATE_FILE, JSON.stringify(state, null, 2), 'utf-8');
-    
     const unwarrantedCount = Object.values(state).filter(t => t.has_unwarranted_tag).length;
     
     console.log(`\n📊 Summary:`);
@@ -194,7 +183,7 @@ async function updateAssignees() {
     console.log(`   Unwarranted tickets found: ${unwarrantedCount}`);
     console.log(`   Skipped: ${skipped} (already had info)`);
     console.log(`   Errors: ${errors}`);
-    console.log(`\n✅ Done! sla-state.json has been updated.`);
+    console.log(`\n✅ Done! SLA state has been updated.`);
     
   } catch (err) {
     console.error('\n❌ Fatal error:', err);
@@ -5,8 +5,8 @@
 
 import { getAllPreferences, getStats } from './preferences.js';
 
-const prefs = getAllPreferences();
-const stats = getStats();
+const prefs = await getAllPreferences();
+const stats = await getStats();
 
 console.log('\n📊 Preference Statistics:');
 console.log(`   Total users with preferences: ${stats.total}`);
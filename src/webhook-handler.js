@@ -1,31 +1,15 @@
 /**
- * Webhook handler with structured logging, deduplication, and Fin gate
+ * Webhook handler with structured logging and deduplication
+ * Turns assignment webhooks into assignment events for the shared pipeline
+ * (assignment-events.js), which applies the Fin gate, opt-out, DM and nudges.
+ * Reply, close, snooze, unassign and ticket topics go to conversation-lifecycle.js.
  */
 
-import { getConversation, getAdmin } from './intercom.js';
-import { sendAssignmentDM } from './slack.js';
-import { isFinInvolved } from './fin.js';
-import { 
-  isWebhookProcessed, 
-  markWebhookProcessed, 
-  isAssignmentNotified, 
-  markAssignmentNotified 
-} from './dedupe.js';
-import { scheduleNudge } from './nudge.js';
-import { isOptedIn } from './preferences.js';
-import { recordMessageSent } from './stats.js';
-
-const FIN_GATE_MODE = process.env.FIN_GATE_MODE || 'required'; // required | log_only
-const FALLBACK_CHANNEL = process.env.FALLBACK_CHANNEL;
-
-/**
- * Generate conversation link
- * @param {string} conversationId - Intercom conversation ID
- * @returns {string} - Conversation URL
- */
-export function getConversationLink(conversationId) {
-  return `https://app.intercom.com/a/inbox/${conversationId}`;
-}
+import { getConversation, noteConversationUpdated } from './intercom.js';
+import { noteTicketUpdated } from './tickets.js';
+import { isWebhookProcessed, markWebhookProcessed } from './dedupe.js';
+import { createAssignmentEvent, processAssignmentEvent, ASSIGNMENT_SOURCES } from './assignment-events.js';
+import { isLifecycleTopic, handleLifecycleWebhook, handleTeamReassignment } from './conversation-lifecycle.js';
 
 /**
  * Extract conversation ID and assignee ID from webhook payload
@@ -242,8 +226,25 @@ export function extractAssignmentInfo(payload, requestId = 'unknown') {
   }
 }
 
+/**
+ * Drop cached copies of a webhook's item that predate it
+ * @param {Object} item - payload.data.item (conversation or ticket)
+ */
+function noteItemUpdated(item) {
+  if (!item?.id || !item.updated_at) {
+    return;
+  }
+  if (item.type === 'ticket') {
+    noteTicketUpdated(item.id, item.updated_at);
+  } else if (item.type === 'conversation') {
+    noteConversationUpdated(item.id, item.updated_at);
+  }
+}
+
 /**
  * Handle Intercom webhook payload with structured logging
+ * Throws on transient failures (Intercom fetch, Slack send) so the webhook
+ * queue retries the payload; ignored webhooks return normally.
  * @param {Object} payload - Webhook payload JSON
  */
 export async function handleWebhook(payload) {
@@ -259,6 +260,8 @@ export async function handleWebhook(payload) {
     timestamp: new Date().toISOString()
   };
 
+  noteItemUpdated(payload.data?.item);
+
   // Check topic - handle assignment webhooks
   // conversation.admin.assigned - standard assignment webhook
   // conversation.admin.open.assigned - assignment of an open conversation
@@ -267,6 +270,19 @@ export async function handleWebhook(payload) {
                               topic === 'conversation.admin.open.assigned' ||
                               topic === 'conversation.team.assigned';
   
+  if (isLifecycleTopic(topic)) {
+    if (await isWebhookProcessed(webhookId)) {
+      console.log(JSON.stringify({ ...logEntry, decision: 'ignored', reason: 'webhook_duplicate' }));
+      return;
+    }
+
+    // Throws on transient failures - don't mark as processed so the webhook queue retries it
+    const result = await handleLifecycleWebhook(payload);
+    console.log(JSON.stringify({ ...logEntry, ...result }));
+    await markWebhookProcessed(webhookId, { conversationId: result.itemId, decision: result.decision });
+    return;
+  }
+
   if (!isAssignmentWebhook) {
     console.log(JSON.stringify({ ...logEntry, decision: 'ignored', reason: 'wrong_topic' }));
     return;
@@ -279,12 +295,15 @@ export async function handleWebhook(payload) {
     const hasAgent = item?.admin_assignee_id || item?.admin_assignee?.id;
     
     if (!hasAgent) {
-      // Team-only assignment - skip it
+      // Team-only assignment - no DM, but the previous assignee's DM no longer applies
+      const teamAssigneeId = item?.team_assignee_id || item?.team?.id || null;
+      const previousDmUpdated = item?.id ? await handleTeamReassignment(String(item.id), teamAssigneeId) : false;
       console.log(JSON.stringify({ 
         ...logEntry, 
         decision: 'ignored', 
         reason: 'team_only_assignment',
-        teamAssigneeId: item?.team_assignee_id || item?.team?.id || null,
+        teamAssigneeId,
+        previousDmUpdated,
         note: 'Only team assigned, no agent - skipping'
       }));
       return;
@@ -294,13 +313,14 @@ export async function handleWebhook(payload) {
   }
 
   // Check webhook deduplication
-  if (isWebhookProcessed(webhookId)) {
+  if (await isWebhookProcessed(webhookId)) {
     console.log(JSON.stringify({ ...logEntry, decision: 'ignored', reason: 'webhook_duplicate' }));
     return;
   }
 
   // Extract assignment info
   let assignmentInfo = extractAssignmentInfo(payload, requestId);
+  let fetchedConversation = null;
   
   // Fallback: if extraction failed but we have a conversationId, try fetching from API
   if (!assignmentInfo) {
@@ -357,6 +377,7 @@ export async function handleWebhook(payload) {
       console.log(`[${requestId}] Extraction failed, attempting fallback fetch for conversation ${conversationId}`);
       try {
         const conversation = await getConversation(conversationId);
+        fetchedConversation = conversation;
         
         // Extract assignment from fetched conversation - check multiple sources
         const teamAssigneeId = conversation.team?.id || conversation.team_assignee_id;
@@ -419,6 +440,7 @@ export async function handleWebhook(payload) {
           conversationId,
           error: err.message
         }));
+        throw new Error(`conversation_fetch_failed: ${err.message}`);
       }
     }
     
@@ -443,11 +465,6 @@ export async function handleWebhook(payload) {
   // Simple logic: Only process if there's an agent assigned
   // Ignore teams completely - if there's an agent, notify them regardless of team assignment
   if (!assigneeId) {
-    // No agent assigned - skip (even if there's a team, we don't care)
-    if (teamAssigneeId && FALLBACK_CHANNEL) {
-      // Team-only assignment with fallback channel - could post to channel if needed
-      // But for now, we'll skip team-only assignments entirely
-    }
     console.log(JSON.stringify({ 
       ...logEntry, 
       decision: 'ignored', 
@@ -469,166 +486,21 @@ export async function handleWebhook(payload) {
     }));
   }
 
-  // Fetch admin details to get actual email
-  let assigneeEmail = extractedEmail;
-  let assigneeName = extractedName;
-  
-  try {
-    const admin = await getAdmin(assigneeId);
-    assigneeEmail = admin.email;
-    assigneeName = admin.name || assigneeName;
-    
-    // Map Intercom email if needed
-    if (assigneeEmail && assigneeEmail.includes('@intercom-mail.com')) {
-      const usernameMatch = assigneeEmail.match(/^([^@]+)@/);
-      if (usernameMatch) {
-        const emailMapping = process.env.EMAIL_DOMAIN || 'staytuned.digital';
-        assigneeEmail = `${usernameMatch[1]}@${emailMapping}`;
-      }
-    }
-  } catch (err) {
-    console.error(`[${requestId}] Failed to fetch admin details:`, err);
-    if (!assigneeEmail) {
-      console.log(JSON.stringify({ 
-        ...logEntry, 
-        decision: 'ignored', 
-        reason: 'no_assignee_email' 
-      }));
-      return;
-    }
-  }
-
-  if (!assigneeEmail) {
-    console.log(JSON.stringify({ 
-      ...logEntry, 
-      decision: 'ignored', 
-      reason: 'no_assignee_email' 
-    }));
-    return;
-  }
-
-  logEntry.assigneeEmail = assigneeEmail;
-
-  // Check assignment deduplication
-  if (lastAssignmentAt && isAssignmentNotified(conversationId, assigneeEmail, lastAssignmentAt)) {
-    console.log(JSON.stringify({ 
-      ...logEntry, 
-      decision: 'ignored', 
-      reason: 'assignment_already_notified' 
-    }));
-    markWebhookProcessed(webhookId, { conversationId, assigneeEmail });
-    return;
-  }
-
-  // Fetch conversation details
-  let conversation;
-  try {
-    conversation = await getConversation(conversationId);
-  } catch (err) {
-    console.error(`[${requestId}] Failed to fetch conversation:`, err);
-    console.log(JSON.stringify({ 
-      ...logEntry, 
-      decision: 'error', 
-      reason: 'conversation_fetch_failed' 
-    }));
-    return;
-  }
-
-  // Noise control: Skip if conversation not open
-  // BUT: Process if assignment was very recent (within last 5 minutes) even if closed
-  // This handles workflow assignments that immediately close conversations
-  const assignmentAgeMinutes = lastAssignmentAt ? 
-    (Date.now() / 1000 - lastAssignmentAt) / 60 : null;
-  const isRecentAssignment = assignmentAgeMinutes !== null && assignmentAgeMinutes <= 5;
-  
-  if (conversation.state !== 'open') {
-    if (isRecentAssignment) {
-      // Recent assignment but conversation is closed - still process it
-      console.log(JSON.stringify({ 
-        ...logEntry, 
-        decision: 'processing_despite_closed',
-        reason: 'recent_assignment',
-        state: conversation.state,
-        assignmentAgeMinutes: assignmentAgeMinutes.toFixed(2)
-      }));
-      // Continue processing below
-    } else {
-      // Old assignment or no timestamp - skip it
-      console.log(JSON.stringify({ 
-        ...logEntry, 
-        decision: 'ignored', 
-        reason: 'conversation_not_open',
-        state: conversation.state,
-        assignmentAgeMinutes: assignmentAgeMinutes ? assignmentAgeMinutes.toFixed(2) : null
-      }));
-      markWebhookProcessed(webhookId, { conversationId, assigneeEmail });
-      return;
-    }
-  }
-
-  // Fin involvement check
-  const finCheck = isFinInvolved(conversation, payload);
-  logEntry.finInvolved = finCheck.involved;
-  logEntry.finMatchedRules = finCheck.matchedRules;
-
-  // Apply Fin gate
-  if (FIN_GATE_MODE === 'required') {
-    if (!finCheck.involved) {
-      console.log(JSON.stringify({ 
-        ...logEntry, 
-        decision: 'ignored', 
-        reason: 'fin_not_involved',
-        finReason: finCheck.reason
-      }));
-      markWebhookProcessed(webhookId, { conversationId, assigneeEmail });
-      return;
-    }
-  } else if (FIN_GATE_MODE === 'log_only') {
-    console.log(`[${requestId}] FIN_GATE_MODE=log_only: Fin involved=${finCheck.involved}, but sending anyway`);
-  }
-
-  // Check opt-in preference
-  const userOptedIn = isOptedIn(assigneeEmail);
-  if (!userOptedIn) {
-    console.log(JSON.stringify({ 
-      ...logEntry, 
-      decision: 'ignored', 
-      reason: 'user_opted_out',
-      assigneeEmail
-    }));
-    markWebhookProcessed(webhookId, { conversationId, assigneeEmail });
-    return;
-  }
-
-  // Generate conversation link
-  const conversationLink = getConversationLink(conversationId);
-
-  // Send Slack DM
-  const result = await sendAssignmentDM(assigneeEmail, conversation, conversationLink);
-  
-  if (result.success) {
-    logEntry.decision = 'sent';
-    logEntry.usedFallback = result.usedFallback;
-    
-    // Record stats
-    recordMessageSent();
-    
-    // Mark as processed
-    markWebhookProcessed(webhookId, { conversationId, assigneeEmail });
-    if (lastAssignmentAt) {
-      markAssignmentNotified(conversationId, assigneeEmail, lastAssignmentAt, { webhookId });
-    }
-
-    // Schedule SLA nudge if enabled
-    // The scheduleNudge function checks if feature is enabled internally
-    scheduleNudge(conversationId, assigneeEmail, conversationLink);
+  const event = createAssignmentEvent({
+    source: ASSIGNMENT_SOURCES.WEBHOOK,
+    sourceId: requestId,
+    kind: 'conversation',
+    id: conversationId,
+    assigneeId,
+    assigneeEmail: extractedEmail,
+    assigneeName: extractedName,
+    teamAssigneeId,
+    assignedAt: lastAssignmentAt,
+    conversation: fetchedConversation,
+    payload
+  });
 
-    console.log(JSON.stringify(logEntry));
-  } else {
-    logEntry.decision = 'failed';
-    logEntry.reason = 'slack_send_failed';
-    console.log(JSON.stringify(logEntry));
-    
-    // Don't mark as processed if send failed, so it can be retried
-  }
+  // Throws on transient failures - don't mark as processed so the webhook queue retries it
+  const result = await processAssignmentEvent(event);
+  await markWebhookProcessed(webhookId, { conversationId, decision: result.decision });
 }
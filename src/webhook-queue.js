@@ -0,0 +1,289 @@
+/**
+ * Persisted queue between /intercom/webhook and handleWebhook
+ * Webhooks are stored before the endpoint answers 200, processed one at a
+ * time, and retried with exponential backoff when handling throws (Intercom
+ * or Slack API failures). Webhooks that keep failing go to a dead-letter
+ * list where they can be inspected, replayed or discarded.
+ */
+
+import { handleWebhook } from './webhook-handler.js';
+import { get, set, remove, getAll } from './storage.js';
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10);
+const WEBHOOK_RETRY_MAX_SECONDS = parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS || '3600', 10);
+
+// Dead letters are kept this long unless replayed or discarded
+const DEAD_LETTER_TTL_SECONDS = parseInt(process.env.WEBHOOK_DEAD_LETTER_TTL_DAYS || '30', 10) * 24 * 60 * 60;
+
+// Key: job ID (notification ID), Value: { id, payload, topic, attempts, enqueuedAt, nextAttemptAt, lastError }
+const QUEUE_NAMESPACE = 'webhook_queue';
+
+// Key: job ID, Value: job + { failedAt }
+const DEAD_LETTER_NAMESPACE = 'webhook_dead_letters';
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Wait before trying again when the queue can't be read to arm the timer
+const ARM_RETRY_MS = 30 * 1000;
+
+let drainTimer = null;
+let draining = null;
+let drainRequested = false;
+
+/**
+ * Get the delay before the next attempt
+ * Exponential backoff with ±20% jitter, capped at WEBHOOK_RETRY_MAX_SECONDS.
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelayMs(attempts) {
+  const seconds = Math.min(WEBHOOK_RETRY_MAX_SECONDS, WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1));
+  const jitter = 0.8 + Math.random() * 0.4;
+  return Math.round(seconds * jitter * 1000);
+}
+
+/**
+ * Persist a webhook and schedule it for processing
+ * @param {Object} payload - Parsed webhook payload
+ * @returns {Promise<Object>} - Queued job
+ */
+export async function enqueueWebhook(payload) {
+  const now = Date.now();
+  const job = {
+    id: String(payload.id || payload._requestId || `job_${now}_${Math.random().toString(36).slice(2, 9)}`),
+    payload,
+    topic: payload.topic || payload.type || null,
+    attempts: 0,
+    enqueuedAt: now,
+    nextAttemptAt: now,
+    lastError: null
+  };
+
+  await set(QUEUE_NAMESPACE, job.id, job);
+  requestDrain();
+  return job;
+}
+
+/**
+ * Process due jobs now (or after the current run finishes)
+ */
+function requestDrain() {
+  if (draining) {
+    drainRequested = true;
+    return;
+  }
+
+  clearTimeout(drainTimer);
+  drainTimer = null;
+  draining = drain()
+    .catch(err => console.error('Error processing webhook queue:', err))
+    .finally(() => {
+      draining = null;
+      if (drainRequested) {
+        drainRequested = false;
+        requestDrain();
+      } else {
+        armNextDrain().catch(err => {
+          console.error(`Error arming webhook queue timer, retrying in ${ARM_RETRY_MS / 1000}s:`, err);
+          // The drain re-arms the timer when it finishes
+          clearTimeout(drainTimer);
+          drainTimer = setTimeout(requestDrain, ARM_RETRY_MS);
+        });
+      }
+    });
+}
+
+/**
+ * Arm a timer for the next job that isn't due yet
+ */
+async function armNextDrain() {
+  const jobs = Object.values(await getAll(QUEUE_NAMESPACE));
+  if (jobs.length === 0) {
+    return;
+  }
+
+  const nextAt = Math.min(...jobs.map(job => job.nextAttemptAt));
+  clearTimeout(drainTimer);
+  drainTimer = setTimeout(requestDrain, Math.min(Math.max(0, nextAt - Date.now()), MAX_TIMER_MS));
+}
+
+/**
+ * Run all due jobs, oldest first, one at a time
+ */
+async function drain() {
+  const now = Date.now();
+  const due = Object.values(await getAll(QUEUE_NAMESPACE))
+    .filter(job => job.nextAttemptAt <= now)
+    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+  for (const job of due) {
+    await runJob(job);
+  }
+}
+
+/**
+ * Run one job and record the outcome
+ * @param {Object} job - Queued job
+ */
+async function runJob(job) {
+  // Skip if it was discarded or already handled in the meantime
+  const current = await get(QUEUE_NAMESPACE, job.id);
+  if (!current || current.attempts !== job.attempts) {
+    return;
+  }
+
+  const attempts = job.attempts + 1;
+
+  try {
+    await handleWebhook(job.payload);
+    await remove(QUEUE_NAMESPACE, job.id);
+    if (attempts > 1) {
+      console.log(JSON.stringify({ event: 'webhook_retry_succeeded', webhookId: job.id, attempts, timestamp: new Date().toISOString() }));
+    }
+    return;
+  } catch (err) {
+    const failed = { ...job, attempts, lastError: err.message, lastAttemptAt: Date.now() };
+
+    if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      await set(DEAD_LETTER_NAMESPACE, job.id, { ...failed, failedAt: Date.now() }, { ttlSeconds: DEAD_LETTER_TTL_SECONDS });
+      await remove(QUEUE_NAMESPACE, job.id);
+      console.error(JSON.stringify({
+        event: 'webhook_dead_lettered',
+        webhookId: job.id,
+        topic: job.topic,
+        attempts,
+        error: err.message,
+        timestamp: new Date().toISOString()
+      }));
+      return;
+    }
+
+    failed.nextAttemptAt = Date.now() + getRetryDelayMs(attempts);
+    await set(QUEUE_NAMESPACE, job.id, failed);
+    console.warn(JSON.stringify({
+      event: 'webhook_retry_scheduled',
+      webhookId: job.id,
+      topic: job.topic,
+      attempts,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      nextAttemptAt: new Date(failed.nextAttemptAt).toISOString(),
+      error: err.message,
+      timestamp: new Date().toISOString()
+    }));
+  }
+}
+
+/**
+ * Resume queued webhooks after a restart
+ * @returns {Promise<number>} - Number of queued jobs
+ */
+export async function restoreWebhookQueue() {
+  const count = Object.keys(await getAll(QUEUE_NAMESPACE)).length;
+  console.log(`Restored webhook queue: ${count} pending`);
+  if (count > 0) {
+    requestDrain();
+  }
+  return count;
+}
+
+/**
+ * Summarize a job for admin listings (without the full payload)
+ * @param {Object} job - Queued or dead-lettered job
+ * @returns {Object} - Summary
+ */
+function summarizeJob(job) {
+  const item = job.payload?.data?.item;
+  return {
+    id: job.id,
+    topic: job.topic,
+    conversationId: item?.id || null,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    enqueuedAt: new Date(job.enqueuedAt).toISOString(),
+    nextAttemptAt: job.failedAt ? null : new Date(job.nextAttemptAt).toISOString(),
+    failedAt: job.failedAt ? new Date(job.failedAt).toISOString() : null
+  };
+}
+
+/**
+ * List queued (pending or retrying) webhooks
+ * @returns {Promise<Array<Object>>} - Job summaries, next attempt first
+ */
+export async function listQueuedWebhooks() {
+  return Object.values(await getAll(QUEUE_NAMESPACE))
+    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+    .map(summarizeJob);
+}
+
+/**
+ * List dead-lettered webhooks
+ * @returns {Promise<Array<Object>>} - Job summaries, most recent failure first
+ */
+export async function listDeadLetters() {
+  return Object.values(await getAll(DEAD_LETTER_NAMESPACE))
+    .sort((a, b) => b.failedAt - a.failedAt)
+    .map(summarizeJob);
+}
+
+/**
+ * Get a dead-lettered webhook including its payload
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} - Job or null if not found
+ */
+export async function getDeadLetter(id) {
+  return get(DEAD_LETTER_NAMESPACE, id);
+}
+
+/**
+ * Move a dead-lettered webhook back onto the queue with a fresh set of attempts
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} - Re-queued job or null if not found
+ */
+export async function replayDeadLetter(id) {
+  const deadLetter = await get(DEAD_LETTER_NAMESPACE, id);
+  if (!deadLetter) {
+    return null;
+  }
+
+  const { failedAt, ...job } = deadLetter;
+  const requeued = { ...job, attempts: 0, nextAttemptAt: Date.now(), replayedAt: Date.now() };
+  await set(QUEUE_NAMESPACE, id, requeued);
+  await remove(DEAD_LETTER_NAMESPACE, id);
+  console.log(JSON.stringify({ event: 'webhook_replayed_from_dead_letter', webhookId: id, timestamp: new Date().toISOString() }));
+
+  requestDrain();
+  return requeued;
+}
+
+/**
+ * Delete a dead-lettered webhook
+ * @param {string} id - Job ID
+ * @returns {Promise<boolean>} - True if it existed
+ */
+export async function discardDeadLetter(id) {
+  const deadLetter = await get(DEAD_LETTER_NAMESPACE, id);
+  if (!deadLetter) {
+    return false;
+  }
+  await remove(DEAD_LETTER_NAMESPACE, id);
+  console.log(JSON.stringify({ event: 'webhook_dead_letter_discarded', webhookId: id, timestamp: new Date().toISOString() }));
+  return true;
+}
+
+/**
+ * Get queue stats (for /health)
+ * @returns {Promise<Object>} - { queued, retrying, deadLetters, maxAttempts }
+ */
+export async function getWebhookQueueStats() {
+  const jobs = Object.values(await getAll(QUEUE_NAMESPACE));
+  const deadLetters = await getAll(DEAD_LETTER_NAMESPACE);
+
+  return {
+    queued: jobs.length,
+    retrying: jobs.filter(job => job.attempts > 0).length,
+    deadLetters: Object.keys(deadLetters).length,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS
+  };
+}